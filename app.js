@@ -0,0 +1,128 @@
+const express = require("express");
+const cors = require("cors");
+const { createAuthMiddleware } = require("./middlewares/auth");
+const { createAuthorization } = require("./middlewares/authorization");
+const { createAuditLog } = require("./middlewares/audit");
+const { createRateLimiter } = require("./middlewares/rateLimit");
+const { createRequestLogger } = require("./middlewares/requestLogger");
+const { createErrorHandlers } = require("./middlewares/errors");
+const { createStorage } = require("./storage");
+const { createMailTransport } = require("./mail");
+const { createNotifier } = require("./utils/notifications");
+const { createUsersRouter } = require("./routes/users");
+const { createLoansRouter } = require("./routes/loans");
+const { createApplicationsRouter } = require("./routes/applications");
+const { createManagerRouter } = require("./routes/manager");
+const { createAdminRouter } = require("./routes/admin");
+const { createNotificationsRouter } = require("./routes/notifications");
+const { createAnalyticsRouter } = require("./routes/analytics");
+const { createCouponsRouter } = require("./routes/coupons");
+const { createInvitesRouter } = require("./routes/invites");
+const { createJobsRouter } = require("./routes/jobs");
+const { createPartiesRouter } = require("./routes/parties");
+const { JOBS, createJobRunner } = require("./jobs");
+
+// Builds the Express app around injected clients so it can run against test
+// doubles:
+//   db       a MongoDB Db (anything with collection(name))
+//   auth     Firebase Admin's admin.auth(), for ID tokens and custom claims
+//   payments a Stripe client
+//   storage  document storage backend, defaults to STORAGE_DRIVER
+//   mailer   mail transport, defaults to MAIL_TRANSPORT
+//   rateLimitStore  rate limit counters, defaults to RATE_LIMIT_STORE
+//   rateLimits      policy overrides, defaults to RATE_LIMITS
+//   logger          structured logger, defaults to JSON lines on stdout
+const createApp = ({
+  db,
+  auth,
+  payments,
+  storage = createStorage(),
+  mailer = createMailTransport(),
+  rateLimitStore,
+  rateLimits,
+  logger,
+}) => {
+  const app = express();
+  // deployed behind one proxy (Vercel), needed for the client IP in audit logs
+  app.set("trust proxy", 1);
+  app.use(createRequestLogger({ logger }));
+  // middleware
+  app.use(
+    cors({
+      origin: [process.env.CLIENT_DOMAIN],
+      credentials: true,
+      optionSuccessStatus: 200,
+    }),
+  );
+  app.use(
+    express.json({
+      // keep the raw body around, Stripe signs the exact bytes it sent
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    }),
+  );
+
+  const collections = {
+    usersCollection: db.collection("users"),
+    loansCollection: db.collection("loans"),
+    loanVersionsCollection: db.collection("loanVersions"),
+    applicationsCollection: db.collection("loanApplications"),
+    repaymentsCollection: db.collection("repayments"),
+    stripeEventsCollection: db.collection("stripeEvents"),
+    auditCollection: db.collection("auditLog"),
+    settingsCollection: db.collection("settings"),
+    notificationsCollection: db.collection("notifications"),
+    couponsCollection: db.collection("coupons"),
+    invitesCollection: db.collection("invites"),
+    jobsCollection: db.collection("jobs"),
+    jobRunsCollection: db.collection("jobRuns"),
+  };
+
+  const deps = {
+    ...collections,
+    payments,
+    storage,
+    ...createAuthMiddleware({
+      auth,
+      usersCollection: collections.usersCollection,
+    }),
+    ...createAuthorization(collections),
+    ...createAuditLog(collections),
+    ...createNotifier({ ...collections, mailer }),
+    ...createRateLimiter({ store: rateLimitStore, policies: rateLimits }),
+  };
+
+  // index.js starts it, tests and admins run jobs through it directly
+  const jobRunner = createJobRunner({
+    ...collections,
+    jobs: JOBS,
+    context: deps,
+  });
+  app.locals.jobRunner = jobRunner;
+  deps.jobRunner = jobRunner;
+
+  app.use(createUsersRouter(deps));
+  app.use(createLoansRouter(deps));
+  app.use(createApplicationsRouter(deps));
+  app.use(createPartiesRouter(deps));
+  app.use(createManagerRouter(deps));
+  app.use(createAdminRouter(deps));
+  app.use(createAnalyticsRouter(deps));
+  app.use(createCouponsRouter(deps));
+  app.use(createInvitesRouter(deps));
+  app.use(createJobsRouter(deps));
+  app.use(createNotificationsRouter(deps));
+
+  app.get("/", (req, res) => {
+    res.send("Hello from Server..");
+  });
+
+  const { notFound, errorHandler } = createErrorHandlers({ logger });
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = { createApp };
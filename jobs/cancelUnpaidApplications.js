@@ -0,0 +1,111 @@
+const { UNPAID } = require("../utils/fees");
+const {
+  TransitionError,
+  transitionApplication,
+} = require("../utils/applicationStatus");
+const { logger } = require("../utils/logger");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Applications made through the old form carry appliedAt as an ISO string,
+// which a date comparison never matches. Those are read as dates here; one
+// that does not parse counts as made now, so it is never cancelled.
+const appliedBefore = (cutoff, now) => ({
+  $or: [
+    { appliedAt: { $lt: cutoff } },
+    {
+      appliedAt: { $type: "string" },
+      $expr: {
+        $lt: [
+          {
+            $convert: {
+              input: "$appliedAt",
+              to: "date",
+              onError: now,
+              onNull: now,
+            },
+          },
+          cutoff,
+        ],
+      },
+    },
+  ],
+});
+
+// Cancels drafts and pending applications whose fee is still unpaid `days`
+// after they were made. An open checkout session is expired at Stripe first;
+// one that cannot be expired may have been paid and is left to
+// reconcile-payments.
+module.exports = {
+  description: "Cancel applications whose fee is still unpaid after `days`",
+  schedule: "0 * * * *",
+  defaults: { days: 7, limit: 200 },
+  bounds: { days: [1, 90], limit: [1, 1000] },
+  run: async (
+    { applicationsCollection, payments, notify },
+    { options, now },
+  ) => {
+    const stale = await applicationsCollection
+      .find({
+        status: { $in: ["draft", "pending"] },
+        ...UNPAID,
+        ...appliedBefore(new Date(now.getTime() - options.days * DAY), now),
+      })
+      .limit(options.limit)
+      .toArray();
+
+    let cancelled = 0;
+    let skipped = 0;
+    for (const application of stale) {
+      const session = application.checkoutSession;
+      if (session?.status === "open") {
+        try {
+          await payments.checkout.sessions.expire(session.id);
+        } catch (err) {
+          logger.warn("Could not expire checkout session", {
+            applicationId: application._id.toString(),
+            err,
+          });
+          skipped++;
+          continue;
+        }
+      }
+
+      try {
+        await transitionApplication(
+          applicationsCollection,
+          application._id.toString(),
+          "cancelled",
+          {
+            actor: "system",
+            role: "system",
+            reason: `Application fee not paid within ${options.days} days`,
+            allowedFrom: ["draft", "pending"],
+            match: UNPAID,
+            ...(session?.status === "open" && {
+              set: {
+                checkoutSession: {
+                  ...session,
+                  status: "expired",
+                  expiredAt: now,
+                },
+              },
+            }),
+          },
+        );
+      } catch (err) {
+        // paid or moved on since it was read
+        if (!(err instanceof TransitionError)) throw err;
+        skipped++;
+        continue;
+      }
+      cancelled++;
+      await notify("application.expired", application.userEmail, {
+        applicationId: application._id.toString(),
+        loanTitle: application.loanTitle,
+        days: options.days,
+      });
+    }
+    return { checked: stale.length, cancelled, skipped };
+  },
+};
@@ -0,0 +1,52 @@
+const { IN_QUEUE } = require("../utils/assignment");
+
+const HOUR = 60 * 60 * 1000;
+
+// Flags applications that have waited on a manager (in the review queue with
+// the fee settled) for more than `hours`, and tells the assignee. Each
+// application is flagged once; slaBreachedAt stays as a record.
+// The wait starts at submission, the move to "pending" in statusHistory, so
+// time spent as a draft does not count. Applications from before
+// statusHistory was kept fall back to appliedAt.
+const submittedBefore = (cutoff) => ({
+  $or: [
+    { statusHistory: { $elemMatch: { to: "pending", at: { $lt: cutoff } } } },
+    { "statusHistory.to": { $ne: "pending" }, appliedAt: { $lt: cutoff } },
+  ],
+});
+
+module.exports = {
+  description: "Flag applications waiting for a manager longer than `hours`",
+  schedule: "*/30 * * * *",
+  defaults: { hours: 48, limit: 200 },
+  bounds: { hours: [1, 720], limit: [1, 1000] },
+  run: async ({ applicationsCollection, notify }, { options, now }) => {
+    const overdue = await applicationsCollection
+      .find({
+        ...IN_QUEUE,
+        applicationFeeStatus: { $nin: ["unpaid", null] },
+        ...submittedBefore(new Date(now.getTime() - options.hours * HOUR)),
+        slaBreachedAt: null,
+      })
+      .limit(options.limit)
+      .toArray();
+
+    let flagged = 0;
+    for (const application of overdue) {
+      const result = await applicationsCollection.updateOne(
+        { _id: application._id, slaBreachedAt: null },
+        { $set: { slaBreachedAt: now } },
+      );
+      if (result.modifiedCount === 0) continue;
+      flagged++;
+      if (application.assignedTo) {
+        await notify("review.overdue", application.assignedTo, {
+          applicationId: application._id.toString(),
+          loanTitle: application.loanTitle,
+          hours: options.hours,
+        });
+      }
+    }
+    return { checked: overdue.length, flagged };
+  },
+};
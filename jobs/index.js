@@ -0,0 +1,15 @@
+const { createJobRunner } = require("./runner");
+
+// Background jobs by name. Each has a description, a default cron schedule
+// and options (both stored per job in MongoDB and editable by admins), the
+// [min, max] whole numbers each option accepts and run(context,
+// { options, now }) resolving to a summary of what it did.
+const JOBS = {
+  "cancel-unpaid-applications": require("./cancelUnpaidApplications"),
+  "flag-review-sla": require("./flagReviewSla"),
+  "reconcile-payments": require("./reconcilePayments"),
+  "purge-checkout-sessions": require("./purgeCheckoutSessions"),
+  "send-repayment-reminders": require("./sendRepaymentReminders"),
+};
+
+module.exports = { JOBS, createJobRunner };
@@ -0,0 +1,54 @@
+const { UNPAID } = require("../utils/fees");
+const { logger } = require("../utils/logger");
+
+const HOUR = 60 * 60 * 1000;
+
+// Expires checkout sessions left open for `hours`, so an abandoned payment
+// page cannot be paid any more (Stripe would keep it open for 24 hours).
+// Stripe refuses to expire a session that was paid, reconcile-payments picks
+// those up.
+module.exports = {
+  description: "Expire checkout sessions left open longer than `hours`",
+  schedule: "45 * * * *",
+  defaults: { hours: 6, limit: 100 },
+  bounds: { hours: [1, 23], limit: [1, 1000] },
+  run: async ({ applicationsCollection, payments }, { options, now }) => {
+    const abandoned = await applicationsCollection
+      .find({
+        ...UNPAID,
+        "checkoutSession.status": "open",
+        "checkoutSession.createdAt": {
+          $lt: new Date(now.getTime() - options.hours * HOUR),
+        },
+      })
+      .limit(options.limit)
+      .toArray();
+
+    let expired = 0;
+    let failed = 0;
+    for (const application of abandoned) {
+      const { id } = application.checkoutSession;
+      try {
+        await payments.checkout.sessions.expire(id);
+      } catch (err) {
+        logger.warn("Could not expire checkout session", {
+          applicationId: application._id.toString(),
+          err,
+        });
+        failed++;
+        continue;
+      }
+      await applicationsCollection.updateOne(
+        { _id: application._id, "checkoutSession.id": id },
+        {
+          $set: {
+            "checkoutSession.status": "expired",
+            "checkoutSession.expiredAt": now,
+          },
+        },
+      );
+      expired++;
+    }
+    return { checked: abandoned.length, expired, failed };
+  },
+};
@@ -0,0 +1,66 @@
+const { UNPAID } = require("../utils/fees");
+const {
+  markFeePaid,
+  markCheckoutExpired,
+  onFeePaid,
+} = require("../utils/stripeEvents");
+const { logger } = require("../utils/logger");
+
+const MINUTE = 60 * 1000;
+
+// Asks Stripe about checkout sessions still open on unpaid applications, in
+// case a webhook never arrived. Sessions younger than `minAgeMinutes` are
+// left to the webhook.
+module.exports = {
+  description: "Check open checkout sessions of unpaid fees against Stripe",
+  schedule: "*/15 * * * *",
+  defaults: { minAgeMinutes: 10, limit: 100 },
+  bounds: { minAgeMinutes: [1, 1440], limit: [1, 1000] },
+  run: async (
+    { applicationsCollection, couponsCollection, payments, notify },
+    { options, now },
+  ) => {
+    const open = await applicationsCollection
+      .find({
+        ...UNPAID,
+        "checkoutSession.status": "open",
+        "checkoutSession.createdAt": {
+          $lt: new Date(now.getTime() - options.minAgeMinutes * MINUTE),
+        },
+      })
+      .limit(options.limit)
+      .toArray();
+
+    const counts = { checked: open.length, paid: 0, expired: 0, failed: 0 };
+    for (const application of open) {
+      let session;
+      try {
+        session = await payments.checkout.sessions.retrieve(
+          application.checkoutSession.id,
+        );
+      } catch (err) {
+        logger.warn("Could not retrieve checkout session", {
+          applicationId: application._id.toString(),
+          err,
+        });
+        counts.failed++;
+        continue;
+      }
+
+      if (session.payment_status === "paid") {
+        const result = await markFeePaid(applicationsCollection, session);
+        if (result.modifiedCount > 0) {
+          await onFeePaid(
+            { applicationsCollection, couponsCollection, notify },
+            session,
+          );
+          counts.paid++;
+        }
+      } else if (session.status === "expired") {
+        await markCheckoutExpired(applicationsCollection, session);
+        counts.expired++;
+      }
+    }
+    return counts;
+  },
+};
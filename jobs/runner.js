@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+const { CronExpressionParser } = require("cron-parser");
+const { AppError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+class JobError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "JobError";
+  }
+}
+
+// Schedules are five field cron expressions, evaluated in UTC
+const nextRunAt = (schedule, after) =>
+  CronExpressionParser.parse(schedule, { currentDate: after, tz: "UTC" })
+    .next()
+    .toDate();
+
+const isValidSchedule = (schedule) => {
+  try {
+    return (
+      typeof schedule === "string" &&
+      schedule.trim().split(/\s+/).length === 5 &&
+      Boolean(nextRunAt(schedule, new Date()))
+    );
+  } catch {
+    return false;
+  }
+};
+
+// Runs the `jobs` registry on the schedules stored in jobsCollection, one
+// document per job with its schedule, options and last run. Every run first
+// takes the job's lock in MongoDB, so with several instances polling only one
+// of them runs a job at a time; a lock older than `lockMs` (a crashed
+// instance) is taken over. Every run is kept in jobRunsCollection.
+const createJobRunner = ({
+  jobsCollection,
+  jobRunsCollection,
+  jobs,
+  context,
+  lockMs = 10 * 60 * 1000,
+  instanceId = crypto.randomUUID(),
+  now = () => new Date(),
+}) => {
+  // New jobs get their default schedule, stored ones keep what admins set
+  const ensureJobs = async () => {
+    for (const [name, job] of Object.entries(jobs)) {
+      await jobsCollection.updateOne(
+        { _id: name },
+        {
+          $setOnInsert: {
+            schedule: job.schedule,
+            enabled: true,
+            options: job.defaults,
+            nextRunAt: nextRunAt(job.schedule, now()),
+            createdAt: now(),
+          },
+        },
+        { upsert: true },
+      );
+    }
+  };
+
+  // `trigger` is "schedule" or "manual". Scheduled runs only start when the
+  // job is enabled and due; resolves to the run, or null when the lock or
+  // the schedule said no.
+  const runJob = async (name, { trigger = "manual", triggeredBy } = {}) => {
+    const job = jobs[name];
+    if (!job) throw new JobError(`Unknown job "${name}"`, 404);
+
+    const startedAt = now();
+    const state = await jobsCollection.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: startedAt } }],
+        ...(trigger === "schedule" && {
+          enabled: true,
+          nextRunAt: { $lte: startedAt },
+        }),
+      },
+      {
+        $set: {
+          lockedBy: instanceId,
+          lockedUntil: new Date(startedAt.getTime() + lockMs),
+        },
+      },
+      { returnDocument: "after" },
+    );
+    if (!state) return null;
+
+    const options = { ...job.defaults, ...state.options };
+    const { insertedId } = await jobRunsCollection.insertOne({
+      job: name,
+      trigger,
+      triggeredBy: triggeredBy || null,
+      instance: instanceId,
+      options,
+      status: "running",
+      startedAt,
+    });
+
+    let outcome;
+    try {
+      const result = await job.run(context, { options, now: startedAt });
+      outcome = { status: "succeeded", result: result || {}, error: null };
+    } catch (err) {
+      logger.error("Job failed", { job: name, err });
+      outcome = { status: "failed", result: null, error: err.message };
+    }
+    const finishedAt = now();
+    const run = {
+      ...outcome,
+      finishedAt,
+      durationMs: finishedAt - startedAt,
+    };
+    await jobRunsCollection.updateOne({ _id: insertedId }, { $set: run });
+
+    await jobsCollection.updateOne(
+      { _id: name, lockedBy: instanceId },
+      {
+        $set: {
+          lockedBy: null,
+          lockedUntil: null,
+          lastRunAt: startedAt,
+          lastRunId: insertedId,
+          lastStatus: outcome.status,
+          lastError: outcome.error,
+          // a manual run does not move the schedule
+          ...(trigger === "schedule" && {
+            nextRunAt: nextRunAt(state.schedule, finishedAt),
+          }),
+        },
+      },
+    );
+    logger.info("Job finished", {
+      job: name,
+      trigger,
+      status: outcome.status,
+      durationMs: run.durationMs,
+    });
+    return {
+      _id: insertedId,
+      job: name,
+      trigger,
+      triggeredBy: triggeredBy || null,
+      options,
+      startedAt,
+      ...run,
+    };
+  };
+
+  // Runs every job that is due, one after the other
+  const tick = async () => {
+    const due = await jobsCollection
+      .find({ enabled: true, nextRunAt: { $lte: now() } })
+      .toArray();
+    const runs = [];
+    for (const { _id } of due) {
+      if (!jobs[_id]) continue;
+      const run = await runJob(_id, { trigger: "schedule" });
+      if (run) runs.push(run);
+    }
+    return runs;
+  };
+
+  // Polls for due jobs every `intervalMs` until the returned stop() is called
+  const start = async ({ intervalMs = 60 * 1000 } = {}) => {
+    await ensureJobs();
+    const poll = () =>
+      tick().catch((err) => logger.error("Job tick failed", { err }));
+    const timer = setInterval(poll, intervalMs);
+    timer.unref();
+    poll();
+    return () => clearInterval(timer);
+  };
+
+  return { jobs, ensureJobs, runJob, tick, start };
+};
+
+const sendJobError = (res, err) => {
+  if (!(err instanceof JobError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  JobError,
+  nextRunAt,
+  isValidSchedule,
+  createJobRunner,
+  sendJobError,
+};
@@ -0,0 +1,18 @@
+const { sendRepaymentReminders } = require("../utils/notifications");
+
+// Reminds borrowers of installments due within `days`, the same run as
+// POST /admin/notifications/repayment-reminders. Each installment is
+// reminded once, so a missed day only shifts reminders to the next run.
+module.exports = {
+  description: "Remind borrowers of installments due within `days`",
+  schedule: "0 8 * * *",
+  defaults: { days: 3 },
+  bounds: { days: [1, 30] },
+  run: ({ repaymentsCollection, notify }, { options, now }) =>
+    sendRepaymentReminders({
+      repaymentsCollection,
+      notify,
+      days: options.days,
+      now,
+    }),
+};
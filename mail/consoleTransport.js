@@ -0,0 +1,16 @@
+const crypto = require("crypto");
+
+// Prints messages to stdout, for local development
+const createConsoleTransport = ({ from }) => ({
+  name: "console",
+
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    console.log(
+      `[mail] ${messageId}\nFrom: ${from}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n`,
+    );
+    return { messageId };
+  },
+});
+
+module.exports = { createConsoleTransport };
@@ -0,0 +1,21 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Writes every message to "<dir>/<timestamp>-<id>.json" instead of sending it
+const createFileTransport = ({ dir, from }) => ({
+  name: "file",
+
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    const sentAt = new Date();
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(dir, `${sentAt.getTime()}-${messageId}.json`),
+      JSON.stringify({ messageId, from, to, subject, text, sentAt }, null, 2),
+    );
+    return { messageId };
+  },
+});
+
+module.exports = { createFileTransport };
@@ -0,0 +1,45 @@
+const path = require("path");
+const { createSmtpTransport } = require("./smtpTransport");
+const { createFileTransport } = require("./fileTransport");
+const { createConsoleTransport } = require("./consoleTransport");
+
+const from = () => process.env.MAIL_FROM || "LoanLink <no-reply@loanlink.app>";
+
+// Every mail transport exposes send({ to, subject, text }) resolving to
+// { messageId }, and rejects when the message could not be handed over.
+const transports = {
+  smtp: () =>
+    createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+      from: from(),
+    }),
+  file: () =>
+    createFileTransport({
+      dir: process.env.MAIL_DIR || path.join(__dirname, "..", "mail-outbox"),
+      from: from(),
+    }),
+  console: () => createConsoleTransport({ from: from() }),
+};
+
+// Production must pick a transport: falling back to the console there would
+// drop every email without an error
+const defaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.NODE_ENV === "production") {
+    throw new Error("MAIL_TRANSPORT must be set in production");
+  }
+  return "console";
+};
+
+const createMailTransport = (transport = defaultTransport()) => {
+  if (!transports[transport]) {
+    throw new Error(`Unknown mail transport "${transport}"`);
+  }
+  return transports[transport]();
+};
+
+module.exports = { transports, createMailTransport };
@@ -0,0 +1,22 @@
+const nodemailer = require("nodemailer");
+
+// Sends mail through an SMTP relay (production)
+const createSmtpTransport = ({ host, port, secure, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  return {
+    name: "smtp",
+
+    async send({ to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+module.exports = { createSmtpTransport };
@@ -0,0 +1,84 @@
+const { ObjectId } = require("mongodb");
+const { logger } = require("../utils/logger");
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top level fields that differ between two versions of a document
+const diff = (before, after) => {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  keys.delete("_id");
+  for (const key of keys) {
+    if (!isSame(before?.[key], after?.[key])) {
+      changes[key] = { before: before?.[key], after: after?.[key] };
+    }
+  }
+  return changes;
+};
+
+// Audit trail for privileged routes. The audit collection is append-only:
+// nothing in the app ever updates or deletes an entry.
+const createAuditLog = ({ auditCollection }) => {
+  // `collection` is where the target lives, `filter` maps the route param to
+  // a query when the target is not looked up by _id, `id` names a fixed
+  // target for routes without a param (singleton settings documents)
+  const audit =
+    (action, { collection, param = "id", filter, id } = {}) =>
+    async (req, res, next) => {
+      const toQuery = (id) =>
+        filter
+          ? filter(id)
+          : ObjectId.isValid(id)
+            ? { _id: new ObjectId(id) }
+            : null;
+
+      const paramId = id || req.params[param];
+      const before =
+        collection && paramId && toQuery(paramId)
+          ? await collection.findOne(toQuery(paramId))
+          : null;
+
+      // creates have no route param, the id comes back in the response
+      let responseBody;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        responseBody = body;
+        return json(body);
+      };
+
+      res.on("finish", async () => {
+        if (res.statusCode >= 400) return;
+        try {
+          const targetId = paramId || responseBody?.insertedId?.toString();
+          const after =
+            collection && targetId && toQuery(targetId)
+              ? await collection.findOne(toQuery(targetId))
+              : null;
+          await auditCollection.insertOne({
+            actor: req.tokenEmail,
+            action,
+            method: req.method,
+            route: req.route?.path,
+            url: req.originalUrl,
+            targetId: targetId || null,
+            changes: diff(before, after),
+            statusCode: res.statusCode,
+            ip: req.ip,
+            userAgent: req.get("user-agent") || "",
+            createdAt: new Date(),
+          });
+        } catch (err) {
+          (req.log || logger).error("Audit log write failed", { action, err });
+        }
+      });
+
+      next();
+    };
+
+  return { audit };
+};
+
+module.exports = { diff, createAuditLog };
@@ -0,0 +1,89 @@
+// Authentication and role middlewares. `auth` is Firebase Admin's auth():
+// verifyIdToken(token, checkRevoked), getUserByEmail, setCustomUserClaims and
+// revokeRefreshTokens.
+const { logger } = require("../utils/logger");
+const { STAFF_ROLES, claimsFor, syncClaims } = require("../utils/claims");
+
+const SUSPENDED = { message: "Your account is suspended" };
+
+const roleMessage = (roles) =>
+  roles.length === 1
+    ? `${roles[0][0].toUpperCase()}${roles[0].slice(1)} only actions!!`
+    : "Forbidden Access!";
+
+const createAuthMiddleware = ({ auth, usersCollection }) => {
+  // Tokens minted before claims were synced carry no role: read it from the
+  // users collection and write the claims for the next token, once per uid
+  // until that token is refreshed
+  const backfilled = new Set();
+  const claimsFromUsers = async (req, decoded) => {
+    const user = await usersCollection.findOne({ email: decoded.email });
+    if (!user) return decoded;
+    if (!backfilled.has(decoded.uid)) {
+      backfilled.add(decoded.uid);
+      syncClaims(auth, { uid: decoded.uid, ...user }).catch((err) => {
+        backfilled.delete(decoded.uid);
+        (req.log || logger).warn("Claims backfill failed", { err });
+      });
+    }
+    return { ...decoded, ...claimsFor(user) };
+  };
+
+  // jwt middlewares. Checks revocation and suspension too, so a suspended
+  // user's tokens stop working on every route, not only the role-gated ones.
+  const verifyJWT = async (req, res, next) => {
+    const token = req?.headers?.authorization?.split(" ")[1];
+    if (!token)
+      return res.status(401).send({ message: "Unauthorized Access!" });
+    let decoded;
+    try {
+      decoded = await auth.verifyIdToken(token, true);
+    } catch (err) {
+      (req.log || logger).debug("Token verification failed", {
+        reason: err.code || err.message,
+      });
+      if (err.code === "auth/id-token-revoked") {
+        return res
+          .status(401)
+          .send({ message: "Session has ended, please sign in again" });
+      }
+      return res.status(401).send({ message: "Unauthorized Access!" });
+    }
+    const claims =
+      decoded.role === undefined
+        ? await claimsFromUsers(req, decoded)
+        : decoded;
+    if (claims.suspended) return res.status(403).send(SUSPENDED);
+    req.tokenEmail = decoded.email;
+    req.tokenUid = decoded.uid;
+    req.tokenClaims = claims;
+    next();
+  };
+
+  //role middleware, runs verifyJWT itself when it has not run yet
+  const requireRole = (...roles) => {
+    const message = roleMessage(roles);
+    const check = (req, res, next) => {
+      const { role } = req.tokenClaims;
+      if (!roles.includes(role)) {
+        return res.status(403).send({ message, role });
+      }
+      next();
+    };
+    return (req, res, next) =>
+      req.tokenClaims
+        ? check(req, res, next)
+        : verifyJWT(req, res, () => check(req, res, next));
+  };
+
+  return {
+    verifyJWT,
+    requireRole,
+    verifyAdmin: requireRole("admin"),
+    verifyManager: requireRole("manager"),
+    verifyStaff: requireRole(...STAFF_ROLES),
+    syncClaims: (user, options) => syncClaims(auth, user, options),
+  };
+};
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,85 @@
+const { ObjectId } = require("mongodb");
+const { STAFF_ROLES } = require("../utils/claims");
+const { partyFor } = require("../utils/parties");
+
+const isStaff = (user) => STAFF_ROLES.includes(user?.role);
+
+// Borrower-facing authorization. Use after verifyJWT, which already turns
+// away suspended accounts from their claims:
+//   loadUser             attaches req.user
+//   authorizeApplication attaches req.application when the caller may act on it
+//   verifyAssignee       lets only the manager assigned to an application act
+//                        on it and attaches req.application
+const createAuthorization = ({ usersCollection, applicationsCollection }) => {
+  const loadUser = async (req, res, next) => {
+    const user = await usersCollection.findOne({ email: req.tokenEmail });
+    req.user = user || { email: req.tokenEmail, role: "borrower" };
+    next();
+  };
+
+  // `ownerOnly` shuts out staff too, for actions only the borrower can take;
+  // `allowParties` lets co-applicants and guarantors in as well
+  const authorizeApplication =
+    ({ ownerOnly = false, allowParties = false, param = "id" } = {}) =>
+    async (req, res, next) => {
+      const id = req.params[param];
+      const application = ObjectId.isValid(id)
+        ? await applicationsCollection.findOne({ _id: new ObjectId(id) })
+        : null;
+      if (!application) {
+        return res.status(404).send({ message: "Application not found" });
+      }
+
+      const isOwner = application.userEmail === req.tokenEmail;
+      const isParty =
+        allowParties && Boolean(partyFor(application, req.tokenEmail));
+      if (!isOwner && !isParty && (ownerOnly || !isStaff(req.user))) {
+        return res.status(403).send({ message: "Forbidden Access!" });
+      }
+      req.application = application;
+      next();
+    };
+
+  // Resolves whose data a `?email=` style query may read
+  const resolveEmailScope = (req, res, next) => {
+    const requested = req.query.email;
+    if (requested && requested !== req.tokenEmail && !isStaff(req.user)) {
+      return res.status(403).send({ message: "Forbidden Access!" });
+    }
+    req.scopeEmail = requested || req.tokenEmail;
+    next();
+  };
+
+  // Unassigned applications have to be claimed first, see utils/assignment
+  const verifyAssignee = async (req, res, next) => {
+    const { id } = req.params;
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).send({ message: "Invalid ID format" });
+    }
+    const application = await applicationsCollection.findOne({
+      _id: new ObjectId(id),
+    });
+    if (!application) {
+      return res.status(404).send({ message: "Application not found" });
+    }
+    if (application.assignedTo !== req.tokenEmail) {
+      return res.status(403).send({
+        message: application.assignedTo
+          ? "Application is assigned to another manager"
+          : "Claim this application before acting on it",
+        assignedTo: application.assignedTo || null,
+      });
+    }
+    req.application = application;
+    next();
+  };
+
+  return {
+    loadUser,
+    authorizeApplication,
+    resolveEmailScope,
+    verifyAssignee,
+  };
+};
+
+module.exports = { STAFF_ROLES, isStaff, createAuthorization };
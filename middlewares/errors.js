@@ -0,0 +1,39 @@
+const { AppError, NotFoundError, errorBody } = require("../utils/errors");
+const { logger: defaultLogger } = require("../utils/logger");
+
+// The end of the pipeline: a 404 for unknown routes and one place that turns
+// errors into responses. Express 5 forwards rejected async handlers here.
+const createErrorHandlers = ({ logger = defaultLogger } = {}) => {
+  const notFound = (req, res, next) => {
+    next(new NotFoundError("Route not found"));
+  };
+
+  // Express only treats handlers with four arguments as error handlers
+  const errorHandler = (err, req, res, next) => {
+    const log = req.log || logger;
+    if (res.headersSent) {
+      log.error("Error after the response was sent", { err });
+      return;
+    }
+    if (err instanceof AppError) {
+      return res.status(err.statusCode).send(errorBody(err));
+    }
+    // body-parser marks errors that are safe to show (bad JSON, too large)
+    if (err.expose && err.status >= 400 && err.status < 500) {
+      return res.status(err.status).send({
+        message:
+          err.type === "entity.parse.failed"
+            ? "Request body is not valid JSON"
+            : err.message,
+      });
+    }
+    log.error("Unhandled error", { err });
+    res
+      .status(500)
+      .send({ message: "Internal Server Error", requestId: req.id });
+  };
+
+  return { notFound, errorHandler };
+};
+
+module.exports = { createErrorHandlers };
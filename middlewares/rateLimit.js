@@ -0,0 +1,90 @@
+const { createRateLimitStore } = require("../rateLimit");
+const { logger } = require("../utils/logger");
+
+// Named limits for the routes that need them. `key` says who a limit counts
+// against: "ip", "user" (the token email, so it must come after verifyJWT)
+// or "user_or_ip" for routes that may be called either way.
+const DEFAULT_POLICIES = {
+  register: { windowMs: 15 * 60 * 1000, max: 10, key: "ip" },
+  roleLookup: { windowMs: 60 * 1000, max: 30, key: "user" },
+  catalog: { windowMs: 60 * 1000, max: 60, key: "ip" },
+  quote: { windowMs: 60 * 1000, max: 30, key: "ip" },
+  checkout: { windowMs: 10 * 60 * 1000, max: 10, key: "user" },
+  feeQuote: { windowMs: 10 * 60 * 1000, max: 20, key: "user" },
+};
+
+// RATE_LIMITS='{"catalog":{"max":120}}' tunes policies without a deploy
+const envPolicies = () => {
+  if (!process.env.RATE_LIMITS) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMITS);
+  } catch {
+    throw new Error("RATE_LIMITS must be a JSON object of policies");
+  }
+};
+
+const mergePolicies = (overrides = {}) => {
+  const policies = { ...DEFAULT_POLICIES };
+  for (const [name, policy] of Object.entries(overrides)) {
+    policies[name] = { ...DEFAULT_POLICIES[name], ...policy };
+  }
+  return policies;
+};
+
+const clientKey = (req, key) => {
+  if (key === "ip") return `ip:${req.ip}`;
+  if (key === "user") return `user:${req.tokenEmail}`;
+  return req.tokenEmail ? `user:${req.tokenEmail}` : `ip:${req.ip}`;
+};
+
+// Fixed-window rate limiting with the RateLimit-* headers of the IETF
+// draft. A store that is down lets requests through rather than taking the
+// routes down with it.
+const createRateLimiter = ({
+  store = createRateLimitStore(),
+  policies = envPolicies(),
+} = {}) => {
+  const merged = mergePolicies(policies);
+
+  const rateLimit = (name) => {
+    const policy = merged[name];
+    if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+    const { windowMs, max, key } = policy;
+
+    return async (req, res, next) => {
+      let hit;
+      try {
+        hit = await store.increment(`${name}:${clientKey(req, key)}`, windowMs);
+      } catch (err) {
+        (req.log || logger).error("Rate limit store failed", {
+          policy: name,
+          err,
+        });
+        return next();
+      }
+
+      const resetSeconds = Math.max(
+        0,
+        Math.ceil((hit.resetAt - Date.now()) / 1000),
+      );
+      res.set({
+        "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+        "RateLimit-Limit": String(max),
+        "RateLimit-Remaining": String(Math.max(0, max - hit.count)),
+        "RateLimit-Reset": String(resetSeconds),
+      });
+      if (hit.count > max) {
+        res.set("Retry-After", String(resetSeconds));
+        return res.status(429).send({
+          message: "Too many requests, please try again later",
+          retryAfter: resetSeconds,
+        });
+      }
+      next();
+    };
+  };
+
+  return { rateLimit };
+};
+
+module.exports = { DEFAULT_POLICIES, mergePolicies, createRateLimiter };
@@ -0,0 +1,40 @@
+const crypto = require("crypto");
+const { logger: defaultLogger, redactUrl } = require("../utils/logger");
+
+// A caller may pass its own id (a proxy or the client), anything odd is
+// replaced
+const incomingId = (value) =>
+  value && /^[\w.:-]{1,100}$/.test(value) ? value : null;
+
+// Gives every request an id (X-Request-Id) and a req.log that carries it,
+// and logs one line per request once the response is sent
+const createRequestLogger = ({ logger = defaultLogger } = {}) => {
+  return (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    req.id = incomingId(req.get("x-request-id")) || crypto.randomUUID();
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    res.on("finish", () => {
+      const level =
+        res.statusCode >= 500
+          ? "error"
+          : res.statusCode >= 400
+            ? "warn"
+            : "info";
+      req.log[level]("request", {
+        method: req.method,
+        url: redactUrl(req.originalUrl),
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs:
+          Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+        userEmail: req.tokenEmail || null,
+      });
+    });
+
+    next();
+  };
+};
+
+module.exports = { createRequestLogger };
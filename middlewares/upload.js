@@ -0,0 +1,63 @@
+const multer = require("multer");
+
+const ALLOWED_DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+const MAX_DOCUMENT_SIZE =
+  parseInt(process.env.MAX_DOCUMENT_SIZE_MB || "5", 10) * 1024 * 1024;
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_DOCUMENT_TYPES.includes(file.mimetype)) {
+      const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", "file");
+      err.message = `File type must be one of: ${ALLOWED_DOCUMENT_TYPES.join(", ")}`;
+      return cb(err);
+    }
+    cb(null, true);
+  },
+});
+
+// Single "file" field upload that answers with a 422 instead of throwing
+const uploadDocument = (req, res, next) => {
+  documentUpload.single("file")(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const message =
+        err.code === "LIMIT_FILE_SIZE"
+          ? `File must be smaller than ${MAX_DOCUMENT_SIZE / 1024 / 1024} MB`
+          : err.message;
+      return res
+        .status(422)
+        .send({ message: "Validation failed", errors: { file: message } });
+    }
+    if (err) return next(err);
+    if (!req.file) {
+      return res.status(422).send({
+        message: "Validation failed",
+        errors: { file: "is required" },
+      });
+    }
+    next();
+  });
+};
+
+// Streams a stored document `file` back inline under its original name
+const sendDocumentFile = async (storage, res, file) => {
+  try {
+    const stream = await storage.read(file.key);
+    res.setHeader("Content-Type", file.mimeType);
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename*=UTF-8''${encodeURIComponent(file.originalName)}`,
+    );
+    stream.pipe(res);
+  } catch (err) {
+    res.status(404).send({ message: "Document file is missing" });
+  }
+};
+
+module.exports = {
+  ALLOWED_DOCUMENT_TYPES,
+  MAX_DOCUMENT_SIZE,
+  uploadDocument,
+  sendDocumentFile,
+};
@@ -0,0 +1,21 @@
+const { BadRequestError, isObjectId } = require("../utils/errors");
+
+// Route params that hold MongoDB ids
+const ID_PARAMS = ["id", "docId", "applicationId", "partyId"];
+
+// Answers 400 for a malformed id before any handler runs, so handlers can
+// call new ObjectId(req.params.id) safely. Registered on each router, params
+// do not carry over between routers.
+const validateIdParams = (router, params = ID_PARAMS) => {
+  for (const name of params) {
+    router.param(name, (req, res, next, value) => {
+      if (!isObjectId(value)) {
+        return next(new BadRequestError(`Invalid ${name}`));
+      }
+      next();
+    });
+  }
+  return router;
+};
+
+module.exports = { ID_PARAMS, validateIdParams };
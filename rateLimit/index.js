@@ -0,0 +1,30 @@
+const { createMemoryStore } = require("./memoryStore");
+const { createRedisStore } = require("./redisStore");
+const { logger } = require("../utils/logger");
+
+// Every rate limit store exposes increment(key, windowMs) resolving to
+// { count, resetAt }: the hits in the current window of `key` and when that
+// window ends (ms since epoch).
+const stores = {
+  memory: () => createMemoryStore(),
+  redis: () => {
+    const { createClient } = require("redis");
+    const client = createClient({ url: process.env.REDIS_URL });
+    client.on("error", (err) =>
+      logger.error("Redis rate limit store error", { err }),
+    );
+    client.connect().catch(() => {});
+    return createRedisStore({ client });
+  },
+};
+
+const createRateLimitStore = (
+  store = process.env.RATE_LIMIT_STORE || "memory",
+) => {
+  if (!stores[store]) {
+    throw new Error(`Unknown rate limit store "${store}"`);
+  }
+  return stores[store]();
+};
+
+module.exports = { stores, createRateLimitStore };
@@ -0,0 +1,29 @@
+// Fixed-window counters in process memory. Fine for a single instance; use
+// the redis store when several instances share the limits.
+const createMemoryStore = ({ now = Date.now } = {}) => {
+  const windows = new Map();
+
+  // expired windows are dropped now and then instead of on a timer
+  const sweep = () => {
+    const time = now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= time) windows.delete(key);
+    }
+  };
+
+  const increment = async (key, windowMs) => {
+    const time = now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= time) {
+      if (windows.size >= 10000) sweep();
+      window = { count: 0, resetAt: time + windowMs };
+      windows.set(key, window);
+    }
+    window.count += 1;
+    return { count: window.count, resetAt: window.resetAt };
+  };
+
+  return { name: "memory", increment };
+};
+
+module.exports = { createMemoryStore };
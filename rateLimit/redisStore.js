@@ -0,0 +1,28 @@
+// Fixed-window counters in Redis (or anything speaking its protocol, e.g.
+// Valkey), shared by every app instance. `client` is a connected node-redis
+// client.
+const INCREMENT = `
+local count = redis.call("INCR", KEYS[1])
+if count == 1 then
+  redis.call("PEXPIRE", KEYS[1], ARGV[1])
+end
+return { count, redis.call("PTTL", KEYS[1]) }
+`;
+
+const createRedisStore = ({ client, prefix = "ratelimit:" }) => {
+  // one script call keeps the increment and the expiry atomic
+  const increment = async (key, windowMs) => {
+    const [count, ttl] = await client.eval(INCREMENT, {
+      keys: [`${prefix}${key}`],
+      arguments: [String(windowMs)],
+    });
+    return {
+      count: Number(count),
+      resetAt: Date.now() + (ttl > 0 ? Number(ttl) : windowMs),
+    };
+  };
+
+  return { name: "redis", increment };
+};
+
+module.exports = { INCREMENT, createRedisStore };
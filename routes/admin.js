@@ -0,0 +1,752 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  transitionApplication,
+  sendTransitionError,
+} = require("../utils/applicationStatus");
+const {
+  loanSchema,
+  validate,
+  validateBody,
+  sendValidationError,
+  parseDateRange,
+} = require("../utils/validation");
+const { toCsv } = require("../utils/csv");
+const {
+  archiveLoan,
+  restoreLoan,
+  sendArchiveError,
+} = require("../utils/loanArchive");
+const { reviseLoan, sendLoanVersionError } = require("../utils/loanVersions");
+const { sendRepaymentReminders } = require("../utils/notifications");
+const {
+  SCORING_CONFIG_ID,
+  loadScoringConfig,
+  validateScoringConfig,
+} = require("../utils/scoring");
+const {
+  ASSIGNMENT_CONFIG_ID,
+  loadAssignmentConfig,
+  validateAssignmentConfig,
+  activeManagers,
+  reassignApplication,
+  reassignManagerQueue,
+  managerWorkload,
+  sendAssignmentError,
+} = require("../utils/assignment");
+const {
+  refundFee,
+  waiveFee,
+  revokeWaiver,
+  waiveUserFees,
+  revokeUserWaiver,
+  sendFeeError,
+} = require("../utils/fees");
+const { ROLES } = require("../utils/claims");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const refundSchema = {
+  // major units; left out refunds everything not refunded yet
+  amount: { type: "number", min: 0.01 },
+  reason: { type: "string", maxLength: 500 },
+};
+
+const waiverSchema = {
+  reason: { type: "string", required: true, maxLength: 500 },
+};
+
+const ADMIN_STATUSES = ["under_review", "rejected", "cancelled", "closed"];
+
+const roleSchema = {
+  role: { type: "string", required: true, oneOf: ROLES },
+};
+
+const showOnHomeSchema = {
+  showOnHome: { type: "boolean", required: true },
+};
+
+const createAdminRouter = ({
+  usersCollection,
+  loansCollection,
+  applicationsCollection,
+  repaymentsCollection,
+  loanVersionsCollection,
+  auditCollection,
+  settingsCollection,
+  payments,
+  verifyJWT,
+  verifyAdmin,
+  syncClaims,
+  audit,
+  notify,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  const findById = (collection, id) =>
+    collection.findOne({ _id: new ObjectId(id) });
+
+  //get all loans for admin, ?archived=true|false narrows to one side
+  router.get("/admin/loans", verifyJWT, verifyAdmin, async (req, res) => {
+    const query = {};
+    if (req.query.archived === "true") query.deletedAt = { $ne: null };
+    if (req.query.archived === "false") query.deletedAt = null;
+    const result = await loansCollection.find(query).toArray();
+    res.send(result);
+  });
+
+  router.get("/admin/loans/:id", verifyJWT, verifyAdmin, async (req, res) => {
+    const id = req.params.id;
+    const query = { _id: new ObjectId(id) };
+    const result = await loansCollection.findOne(query);
+    if (!result) {
+      return res.status(404).send({ message: "Loan not found" });
+    }
+    res.send(result);
+  });
+
+  router.patch(
+    "/admin/loans/:id/show-on-home",
+    verifyJWT,
+    verifyAdmin,
+    audit("loan.show-on-home", { collection: loansCollection }),
+    validateBody(showOnHomeSchema),
+    async (req, res) => {
+      try {
+        const result = await reviseLoan(
+          { loansCollection, loanVersionsCollection },
+          req.params.id,
+          { showOnHome: req.body.showOnHome },
+          { actor: req.tokenEmail },
+        );
+        res.send(result);
+      } catch (err) {
+        sendLoanVersionError(res, err);
+      }
+    },
+  );
+
+  // Update a loan's details
+  router.put(
+    "/admin/loans/:id",
+    verifyJWT,
+    verifyAdmin,
+    audit("loan.update", { collection: loansCollection }),
+    validateBody(loanSchema),
+    async (req, res) => {
+      try {
+        const result = await reviseLoan(
+          { loansCollection, loanVersionsCollection },
+          req.params.id,
+          req.body,
+          { actor: req.tokenEmail },
+        );
+        res.send({
+          success: true,
+          message: "Loan updated successfully",
+          result,
+        });
+      } catch (err) {
+        sendLoanVersionError(res, err);
+      }
+    },
+  );
+
+  router.delete(
+    "/admin/loans/:id",
+    verifyJWT,
+    verifyAdmin,
+    audit("loan.delete", { collection: loansCollection }),
+    async (req, res) => {
+      try {
+        const result = await archiveLoan(
+          { loansCollection, applicationsCollection, settingsCollection },
+          req.params.id,
+          { actor: req.tokenEmail, migrateTo: req.query.migrateTo },
+        );
+        res.send(result);
+      } catch (err) {
+        sendArchiveError(res, err);
+      }
+    },
+  );
+
+  // Bring an archived loan back into the catalog
+  router.patch(
+    "/admin/loans/:id/restore",
+    verifyJWT,
+    verifyAdmin,
+    audit("loan.restore", { collection: loansCollection }),
+    async (req, res) => {
+      try {
+        const result = await restoreLoan({ loansCollection }, req.params.id, {
+          actor: req.tokenEmail,
+        });
+        res.send(result);
+      } catch (err) {
+        sendArchiveError(res, err);
+      }
+    },
+  );
+
+  router.get("/admin/users", verifyJWT, verifyAdmin, async (req, res) => {
+    const { search, role, status, page = 1, limit = 10 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const adminEmail = req.tokenEmail;
+    if (!adminEmail) {
+      return res.status(401).send({ message: "Unauthorized access" });
+    }
+    let query = {
+      email: { $ne: adminEmail },
+    };
+    if (search) {
+      query.$or = [
+        { name: { $regex: search, $options: "i" } },
+        { email: { $regex: search, $options: "i" } },
+      ];
+    }
+    if (role) {
+      query.role = role;
+    }
+    if (status) {
+      query.status = status;
+    }
+    const users = await usersCollection
+      .find(query)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .toArray();
+    const total = await usersCollection.countDocuments(query);
+
+    res.send({ users, total });
+  });
+
+  // Role changes and suspensions are synced to Firebase custom claims.
+  // Sessions are revoked on both, so the new role or the suspension applies
+  // from the next request rather than when the old token expires.
+  router.patch(
+    "/admin/users/:id/role",
+    verifyJWT,
+    verifyAdmin,
+    audit("user.role", { collection: usersCollection }),
+    validateBody(roleSchema),
+    async (req, res) => {
+      const filter = { _id: new ObjectId(req.params.id) };
+      const result = await usersCollection.updateOne(filter, {
+        $set: { role: req.body.role },
+      });
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ message: "User not found in database" });
+      }
+
+      const user = await usersCollection.findOne(filter);
+      const claims = await syncClaims(user, { revoke: true });
+      res.send({ ...result, claims });
+    },
+  );
+
+  router.patch(
+    "/admin/users/:id/suspend",
+    verifyJWT,
+    verifyAdmin,
+    audit("user.suspend", { collection: usersCollection }),
+    async (req, res) => {
+      const id = req.params.id;
+      const { reason, feedback } = req.body;
+
+      const filter = { _id: new ObjectId(id) };
+      const updatedDoc = {
+        $set: {
+          status: "suspended",
+          suspendReason: reason,
+          adminFeedback: feedback,
+        },
+      };
+
+      const result = await usersCollection.updateOne(filter, updatedDoc);
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ message: "User not found in database" });
+      }
+      const user = await usersCollection.findOne(filter);
+      // a retry after a failed sync finds the user already suspended
+      const claims = await syncClaims(user, { revoke: true });
+      if (result.modifiedCount > 0) {
+        await notify("account.suspended", user.email, { reason });
+      }
+      res.send({ ...result, claims });
+    },
+  );
+
+  router.patch(
+    "/admin/users/:id/approve",
+    verifyJWT,
+    verifyAdmin,
+    audit("user.approve", { collection: usersCollection }),
+    async (req, res) => {
+      const id = req.params.id;
+      const filter = { _id: new ObjectId(id) };
+      const updatedDoc = {
+        $set: {
+          status: "approved",
+        },
+      };
+      const result = await usersCollection.updateOne(filter, updatedDoc);
+      if (result.matchedCount === 0) {
+        return res.status(404).send({ message: "User not found in database" });
+      }
+      // the user signs in again to get a token without the suspended claim
+      const claims = await syncClaims(await usersCollection.findOne(filter));
+      res.send({ ...result, claims });
+    },
+  );
+
+  // Get users with filtering (Search, Role, Status)
+  router.get(
+    "/admin/users-management",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      const { search, role, status } = req.query;
+      const adminEmail = req.tokenEmail;
+      if (!adminEmail) {
+        return res.status(401).send({ message: "Unauthorized access" });
+      }
+      let query = {
+        email: { $ne: adminEmail },
+      };
+      if (search) {
+        query.$and = [
+          { email: { $ne: adminEmail } },
+          {
+            $or: [
+              { email: { $regex: search, $options: "i" } },
+              { name: { $regex: search, $options: "i" } },
+            ],
+          },
+        ];
+      }
+      if (role) query.role = role;
+      if (status) query.status = status;
+      const result = await usersCollection.find(query).toArray();
+      res.send(result);
+    },
+  );
+
+  // 1. Get all loan applications (with optional filtering)
+  router.get(
+    "/admin/loan-applications",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      const result = await applicationsCollection
+        .find()
+        .sort({ appliedAt: -1 })
+        .toArray();
+      res.send(result);
+    },
+  );
+
+  // 2. Update Loan Application Status. Only outcomes without money behind
+  // them; approval and disbursement go through the manager routes, which
+  // check documents and parties and write the schedule and ledger.
+  router.patch(
+    "/admin/loan-applications/:id/status",
+    verifyJWT,
+    verifyAdmin,
+    audit("application.status", { collection: applicationsCollection }),
+    async (req, res) => {
+      const { status, reason } = req.body;
+      if (!ADMIN_STATUSES.includes(status)) {
+        return res
+          .status(400)
+          .send({ message: "Invalid status", allowed: ADMIN_STATUSES });
+      }
+      try {
+        const result = await transitionApplication(
+          applicationsCollection,
+          req.params.id,
+          status,
+          {
+            actor: req.tokenEmail,
+            role: "admin",
+            reason,
+            set: { adminReason: reason || "" },
+          },
+        );
+        if (status === "rejected") {
+          await notify("application.rejected", result.userEmail, {
+            applicationId: req.params.id,
+            loanTitle: result.loanTitle,
+            reason,
+          });
+        }
+        res.send({
+          message: `Loan application ${status} successfully`,
+          result,
+        });
+      } catch (err) {
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Move one queued application to another manager, or back to the queue
+  // with { managerEmail: null }
+  router.patch(
+    "/admin/loan-applications/:id/assignee",
+    verifyJWT,
+    verifyAdmin,
+    audit("application.reassign", { collection: applicationsCollection }),
+    async (req, res) => {
+      const { managerEmail, reason } = req.body || {};
+      if (managerEmail === undefined) {
+        return res
+          .status(400)
+          .send({ message: "managerEmail is required (null to unassign)" });
+      }
+      try {
+        const result = await reassignApplication(
+          { usersCollection, applicationsCollection },
+          req.params.id,
+          { to: managerEmail, actor: req.tokenEmail, reason },
+        );
+        res.send(result);
+      } catch (err) {
+        sendAssignmentError(res, err);
+      }
+    },
+  );
+
+  // Application fees: refunds through Stripe and waivers
+  router.post(
+    "/admin/loan-applications/:id/fee-refund",
+    verifyJWT,
+    verifyAdmin,
+    audit("fee.refund", { collection: applicationsCollection }),
+    async (req, res) => {
+      const { value, errors, valid } = validate(refundSchema, req.body);
+      if (!valid) return sendValidationError(res, errors);
+      const application = await findById(applicationsCollection, req.params.id);
+      if (!application) {
+        return res.status(404).send({ message: "Application not found" });
+      }
+      try {
+        const refund = await refundFee(
+          { applicationsCollection, payments },
+          application,
+          {
+            amount:
+              value.amount === undefined
+                ? undefined
+                : Math.round(value.amount * 100),
+            reason: value.reason,
+            actor: req.tokenEmail,
+          },
+        );
+        await notify("fee.refunded", application.userEmail, {
+          applicationId: req.params.id,
+          loanTitle: application.loanTitle,
+          amount: refund.amount,
+          currency: refund.currency,
+        });
+        res.send(refund);
+      } catch (err) {
+        sendFeeError(res, err);
+      }
+    },
+  );
+
+  router.patch(
+    "/admin/loan-applications/:id/fee-waiver",
+    verifyJWT,
+    verifyAdmin,
+    audit("fee.waive", { collection: applicationsCollection }),
+    validateBody(waiverSchema),
+    async (req, res) => {
+      const application = await findById(applicationsCollection, req.params.id);
+      if (!application) {
+        return res.status(404).send({ message: "Application not found" });
+      }
+      try {
+        const result = await waiveFee(applicationsCollection, application, {
+          reason: req.body.reason,
+          actor: req.tokenEmail,
+        });
+        await notify("fee.waived", application.userEmail, {
+          applicationId: req.params.id,
+          loanTitle: application.loanTitle,
+        });
+        res.send(result);
+      } catch (err) {
+        sendFeeError(res, err);
+      }
+    },
+  );
+
+  router.delete(
+    "/admin/loan-applications/:id/fee-waiver",
+    verifyJWT,
+    verifyAdmin,
+    audit("fee.waiver_revoke", { collection: applicationsCollection }),
+    async (req, res) => {
+      const application = await findById(applicationsCollection, req.params.id);
+      if (!application) {
+        return res.status(404).send({ message: "Application not found" });
+      }
+      try {
+        res.send(await revokeWaiver(applicationsCollection, application));
+      } catch (err) {
+        sendFeeError(res, err);
+      }
+    },
+  );
+
+  // Waives the fee of every current and future application of a user
+  router.patch(
+    "/admin/users/:id/fee-waiver",
+    verifyJWT,
+    verifyAdmin,
+    audit("user.fee_waive", { collection: usersCollection }),
+    validateBody(waiverSchema),
+    async (req, res) => {
+      const user = await findById(usersCollection, req.params.id);
+      if (!user) {
+        return res.status(404).send({ message: "User not found in database" });
+      }
+      const result = await waiveUserFees(
+        { usersCollection, applicationsCollection },
+        user,
+        { reason: req.body.reason, actor: req.tokenEmail },
+      );
+      res.send(result);
+    },
+  );
+
+  router.delete(
+    "/admin/users/:id/fee-waiver",
+    verifyJWT,
+    verifyAdmin,
+    audit("user.fee_waiver_revoke", { collection: usersCollection }),
+    async (req, res) => {
+      const user = await findById(usersCollection, req.params.id);
+      if (!user) {
+        return res.status(404).send({ message: "User not found in database" });
+      }
+      res.send(await revokeUserWaiver({ usersCollection }, user));
+    },
+  );
+
+  // Review queue
+  router.get(
+    "/admin/managers/workload",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      res.send(
+        await managerWorkload({ usersCollection, applicationsCollection }),
+      );
+    },
+  );
+
+  // Empty a manager's queue (leave, role change, ...). Everything goes to
+  // { to } when given, otherwise it is spread over the other managers.
+  router.post(
+    "/admin/managers/:email/reassign",
+    verifyJWT,
+    verifyAdmin,
+    audit("assignment.bulk_reassign", { param: "email" }),
+    async (req, res) => {
+      try {
+        const result = await reassignManagerQueue(
+          { usersCollection, applicationsCollection, settingsCollection },
+          req.params.email,
+          { to: req.body?.to, actor: req.tokenEmail, reason: req.body?.reason },
+        );
+        res.send(result);
+      } catch (err) {
+        sendAssignmentError(res, err);
+      }
+    },
+  );
+
+  router.get(
+    "/admin/assignment-settings",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      res.send(await loadAssignmentConfig(settingsCollection));
+    },
+  );
+
+  router.put(
+    "/admin/assignment-settings",
+    verifyJWT,
+    verifyAdmin,
+    audit("assignment.update", {
+      collection: settingsCollection,
+      id: ASSIGNMENT_CONFIG_ID,
+      filter: (id) => ({ _id: id }),
+    }),
+    async (req, res) => {
+      const [current, managers] = await Promise.all([
+        loadAssignmentConfig(settingsCollection),
+        activeManagers(usersCollection),
+      ]);
+      const { value, errors, valid } = validateAssignmentConfig(
+        req.body,
+        current,
+        managers,
+      );
+      if (!valid) return sendValidationError(res, errors);
+
+      await settingsCollection.updateOne(
+        { _id: ASSIGNMENT_CONFIG_ID },
+        {
+          $set: {
+            ...value,
+            updatedBy: req.tokenEmail,
+            updatedAt: new Date(),
+          },
+        },
+        { upsert: true },
+      );
+      res.send(value);
+    },
+  );
+
+  // Audit log (Admin only), filtered by ?actor&action&targetId&from&to
+  const parseAuditQuery = (req, res, next) => {
+    const { actor, action, targetId, from, to } = req.query;
+    const { range, errors, valid } = parseDateRange({ from, to });
+    if (!valid) return sendValidationError(res, errors);
+    const query = {};
+    if (actor) query.actor = actor;
+    if (action) query.action = action;
+    if (targetId) query.targetId = targetId;
+    if (from || to) {
+      query.createdAt = { $lte: range.to };
+      if (range.from) query.createdAt.$gte = range.from;
+    }
+    req.auditQuery = query;
+    next();
+  };
+
+  router.get(
+    "/admin/audit-log",
+    verifyJWT,
+    verifyAdmin,
+    parseAuditQuery,
+    async (req, res) => {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+      const query = req.auditQuery;
+
+      const logs = await auditCollection
+        .find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .toArray();
+      const total = await auditCollection.countDocuments(query);
+
+      res.send({ logs, total, page, limit });
+    },
+  );
+
+  router.get(
+    "/admin/audit-log/export",
+    verifyJWT,
+    verifyAdmin,
+    parseAuditQuery,
+    async (req, res) => {
+      const logs = await auditCollection
+        .find(req.auditQuery)
+        .sort({ createdAt: -1 })
+        .toArray();
+      const csv = toCsv(
+        [
+          "createdAt",
+          "actor",
+          "action",
+          "method",
+          "url",
+          "targetId",
+          "statusCode",
+          "ip",
+          "changes",
+        ],
+        logs,
+      );
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="audit-log-${new Date().toISOString().slice(0, 10)}.csv"`,
+      );
+      res.send(csv);
+    },
+  );
+
+  // Remind borrowers of installments due in the next `days` (default 3).
+  // Safe to call repeatedly, e.g. from a daily cron.
+  router.post(
+    "/admin/notifications/repayment-reminders",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      const days = parseInt(req.body?.days ?? 3);
+      if (!(days >= 0 && days <= 30)) {
+        return res
+          .status(400)
+          .send({ message: "Days must be a number from 0 to 30" });
+      }
+      const result = await sendRepaymentReminders({
+        repaymentsCollection,
+        notify,
+        days,
+      });
+      res.send(result);
+    },
+  );
+
+  // Risk scoring rules, applied to applications created from now on
+  router.get(
+    "/admin/scoring-rules",
+    verifyJWT,
+    verifyAdmin,
+    async (req, res) => {
+      res.send(await loadScoringConfig(settingsCollection));
+    },
+  );
+
+  router.put(
+    "/admin/scoring-rules",
+    verifyJWT,
+    verifyAdmin,
+    audit("scoring.update", {
+      collection: settingsCollection,
+      id: SCORING_CONFIG_ID,
+      filter: (id) => ({ _id: id }),
+    }),
+    async (req, res) => {
+      const current = await loadScoringConfig(settingsCollection);
+      const { value, errors, valid } = validateScoringConfig(req.body, current);
+      if (!valid) return sendValidationError(res, errors);
+
+      await settingsCollection.updateOne(
+        { _id: SCORING_CONFIG_ID },
+        {
+          $set: {
+            ...value,
+            updatedBy: req.tokenEmail,
+            updatedAt: new Date(),
+          },
+        },
+        { upsert: true },
+      );
+      res.send(value);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,126 @@
+const express = require("express");
+const { round2 } = require("../utils/amortization");
+const {
+  INTERVALS,
+  applicationsOverTime,
+  managerPerformance,
+  feeRevenue,
+  categoryDemand,
+  productsPerCategory,
+  userGrowth,
+  usersBefore,
+} = require("../utils/analytics");
+const { parseDateRange, sendValidationError } = require("../utils/validation");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+// Dashboard aggregations (Admin only). Every route takes ?from&to, the time
+// series also ?interval=day|week|month.
+const createAnalyticsRouter = ({
+  usersCollection,
+  loansCollection,
+  applicationsCollection,
+  verifyJWT,
+  verifyAdmin,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  const parseQuery = (req, res, next) => {
+    const { range, errors } = parseDateRange(req.query);
+    const interval = req.query.interval || "day";
+    if (!INTERVALS.includes(interval)) {
+      errors.interval = `must be one of ${INTERVALS.join(", ")}`;
+    }
+    if (Object.keys(errors).length) return sendValidationError(res, errors);
+    req.range = range;
+    req.interval = interval;
+    next();
+  };
+
+  const guards = [verifyJWT, verifyAdmin, parseQuery];
+
+  router.get("/admin/analytics/applications", ...guards, async (req, res) => {
+    const periods = await applicationsCollection
+      .aggregate(applicationsOverTime(req.range, req.interval))
+      .toArray();
+    res.send({ ...req.range, interval: req.interval, periods });
+  });
+
+  router.get("/admin/analytics/managers", ...guards, async (req, res) => {
+    const managers = await applicationsCollection
+      .aggregate(managerPerformance(req.range))
+      .toArray();
+    const decisions = managers.reduce((sum, m) => sum + m.decisions, 0);
+    const approved = managers.reduce((sum, m) => sum + m.approved, 0);
+    res.send({
+      ...req.range,
+      managers,
+      overall: {
+        decisions,
+        approved,
+        approvalRate: decisions
+          ? Math.round((approved / decisions) * 10000) / 10000
+          : null,
+      },
+    });
+  });
+
+  router.get("/admin/analytics/fees", ...guards, async (req, res) => {
+    const periods = await applicationsCollection
+      .aggregate(feeRevenue(req.range, req.interval))
+      .toArray();
+    const totals = {};
+    for (const { currency, payments, gross, refunded, net } of periods) {
+      const total = (totals[currency] ||= {
+        payments: 0,
+        gross: 0,
+        refunded: 0,
+        net: 0,
+      });
+      total.payments += payments;
+      total.gross = round2(total.gross + gross);
+      total.refunded = round2(total.refunded + refunded);
+      total.net = round2(total.net + net);
+    }
+    res.send({ ...req.range, interval: req.interval, periods, totals });
+  });
+
+  router.get("/admin/analytics/categories", ...guards, async (req, res) => {
+    const [demand, products] = await Promise.all([
+      applicationsCollection.aggregate(categoryDemand(req.range)).toArray(),
+      loansCollection.aggregate(productsPerCategory()).toArray(),
+    ]);
+    const productCount = Object.fromEntries(
+      products.map(({ _id, products }) => [_id, products]),
+    );
+    res.send({
+      ...req.range,
+      categories: demand.map((row) => ({
+        ...row,
+        products: productCount[row.category] || 0,
+      })),
+    });
+  });
+
+  router.get("/admin/analytics/users", ...guards, async (req, res) => {
+    const periods = await usersCollection
+      .aggregate(userGrowth(req.range, req.interval))
+      .toArray();
+    const [before] = req.range.from
+      ? await usersCollection.aggregate(usersBefore(req.range.from)).toArray()
+      : [];
+    // running total of all users at the end of each period
+    let total = before?.total || 0;
+    res.send({
+      ...req.range,
+      interval: req.interval,
+      periods: periods.map((period) => ({
+        ...period,
+        totalUsers: (total += period.newUsers),
+      })),
+    });
+  });
+
+  return router;
+};
+
+module.exports = { createAnalyticsRouter };
@@ -0,0 +1,660 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { withInstallmentStatus } = require("../utils/amortization");
+const {
+  markFeePaid,
+  onFeePaid,
+  handleStripeEvent,
+} = require("../utils/stripeEvents");
+const {
+  historyEntry,
+  transitionApplication,
+  sendTransitionError,
+} = require("../utils/applicationStatus");
+const {
+  applicationSchema,
+  validate,
+  validateApplicationAgainstLoan,
+  sendValidationError,
+  parseDateRange,
+} = require("../utils/validation");
+const {
+  scoreApplication,
+  loadScoringConfig,
+  borrowerHistory,
+} = require("../utils/scoring");
+const { buildStatement } = require("../utils/statement");
+const { writeStatementPdf } = require("../utils/statementPdf");
+const { NOT_ARCHIVED } = require("../utils/loanArchive");
+const { assignApplication } = require("../utils/assignment");
+const {
+  REFUNDABLE_STATUSES,
+  FeeError,
+  toMinorUnits,
+  feeFor,
+  feeStatus,
+  refundFee,
+  waiveFee,
+  feeFieldsFor,
+  sendFeeError,
+} = require("../utils/fees");
+const { quoteFee, redeemCoupon, sendCouponError } = require("../utils/coupons");
+const { termsForApplication } = require("../utils/loanVersions");
+const { applicationFor, partyQuery } = require("../utils/parties");
+const { isStaff } = require("../middlewares/authorization");
+const { uploadDocument, sendDocumentFile } = require("../middlewares/upload");
+const { validateIdParams } = require("../middlewares/validateIds");
+const { logger } = require("../utils/logger");
+
+const createApplicationsRouter = ({
+  usersCollection,
+  loansCollection,
+  loanVersionsCollection,
+  applicationsCollection,
+  repaymentsCollection,
+  stripeEventsCollection,
+  couponsCollection,
+  settingsCollection,
+  payments,
+  notify,
+  storage,
+  verifyJWT,
+  loadUser,
+  authorizeApplication,
+  resolveEmailScope,
+  rateLimit,
+}) => {
+  const router = validateIdParams(express.Router());
+  const assignmentCols = {
+    usersCollection,
+    applicationsCollection,
+    settingsCollection,
+  };
+
+  const feePaidDeps = { applicationsCollection, couponsCollection, notify };
+
+  // What the caller may see of an application, see utils/parties
+  const viewFor = (req, application) =>
+    applicationFor(application, {
+      email: req.tokenEmail,
+      staff: isStaff(req.user),
+    });
+
+  // Cancelled applications get their fee back. A failed refund does not
+  // undo the cancel; it stays in feeRefunds for an admin to retry.
+  const refundCancelledFee = async (application, actor) => {
+    try {
+      const refund = await refundFee(
+        { applicationsCollection, payments },
+        application,
+        { reason: "Application cancelled", actor },
+      );
+      await notify("fee.refunded", application.userEmail, {
+        applicationId: application._id.toString(),
+        loanTitle: application.loanTitle,
+        amount: refund.amount,
+        currency: refund.currency,
+      });
+    } catch (err) {
+      if (!(err instanceof FeeError)) throw err;
+      logger.warn("Automatic fee refund failed", {
+        applicationId: application._id.toString(),
+        err,
+      });
+    }
+  };
+
+  // POST a new loan application
+  router.post("/loan-applications", verifyJWT, loadUser, async (req, res) => {
+    const { value, errors, valid } = validate(applicationSchema, req.body);
+    if (!valid) return sendValidationError(res, errors);
+
+    const loan = await loansCollection.findOne({
+      _id: new ObjectId(value.loanId),
+      ...NOT_ARCHIVED,
+    });
+    const loanErrors = validateApplicationAgainstLoan(value, loan);
+    if (Object.keys(loanErrors).length) {
+      return sendValidationError(res, loanErrors);
+    }
+
+    const [config, history] = await Promise.all([
+      loadScoringConfig(settingsCollection),
+      borrowerHistory(applicationsCollection, req.tokenEmail),
+    ]);
+    const risk = scoreApplication(
+      { application: value, loan, history },
+      config,
+    );
+
+    // ownership, status and fee state are never taken from the client
+    const status = req.body.draft === true ? "draft" : "pending";
+    const application = {
+      ...value,
+      documents: (value.documents || []).map((type) => ({
+        _id: new ObjectId(),
+        type,
+        status: "awaiting_upload",
+      })),
+      loanTitle: loan.loanTitle,
+      category: loan.category,
+      interestRate: parseFloat(loan.interestRate),
+      // the terms this application was made under, see utils/loanVersions
+      loanVersion: loan.version || 1,
+      userEmail: req.tokenEmail,
+      status,
+      appliedAt: new Date(),
+      ...feeFieldsFor(req.user, feeFor(loan)),
+      risk,
+      statusHistory: [
+        historyEntry({
+          from: null,
+          to: status,
+          actor: req.tokenEmail,
+          role: "borrower",
+          reason: "Application created",
+        }),
+      ],
+    };
+    const result = await applicationsCollection.insertOne(application);
+    if (status === "pending") {
+      await assignApplication(assignmentCols, {
+        ...application,
+        _id: result.insertedId,
+      });
+      await notify("application.submitted", req.tokenEmail, {
+        applicationId: result.insertedId.toString(),
+        loanTitle: loan.loanTitle,
+        loanAmount: value.loanAmount,
+      });
+    }
+    res.send(result);
+  });
+
+  // Submit a draft application for review
+  router.patch(
+    "/loan-applications/:id/submit",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ ownerOnly: true }),
+    async (req, res) => {
+      try {
+        const result = await transitionApplication(
+          applicationsCollection,
+          req.params.id,
+          "pending",
+          { actor: req.tokenEmail, role: "borrower", reason: "Submitted" },
+        );
+        await assignApplication(assignmentCols, result);
+        await notify("application.submitted", result.userEmail, {
+          applicationId: result._id.toString(),
+          loanTitle: result.loanTitle,
+          loanAmount: result.loanAmount,
+        });
+        res.send(viewFor(req, result));
+      } catch (err) {
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Get loans for a specific borrower, with the applications they are a
+  // co-applicant or guarantor on
+  router.get(
+    "/my-loans",
+    verifyJWT,
+    loadUser,
+    resolveEmailScope,
+    async (req, res) => {
+      const query = {
+        $or: [{ userEmail: req.scopeEmail }, partyQuery(req.scopeEmail)],
+      };
+      const result = await applicationsCollection.find(query).toArray();
+      // staff looking at someone else's loans see them as that user would
+      res.send(
+        result.map((application) =>
+          applicationFor(application, { email: req.scopeEmail }),
+        ),
+      );
+    },
+  );
+
+  // Quote and checkout take the fee from the application (as quoted when it
+  // was made) or its product, never from the client
+  const feeOf = async (application) =>
+    application.applicationFee ||
+    feeFor(
+      await termsForApplication(
+        { loansCollection, loanVersionsCollection },
+        application,
+      ),
+    );
+
+  // Fee of an application with an optional ?coupon= applied
+  router.get(
+    "/loan-applications/:id/fee-quote",
+    verifyJWT,
+    rateLimit("feeQuote"),
+    loadUser,
+    authorizeApplication({ ownerOnly: true }),
+    async (req, res) => {
+      try {
+        const quote = await quoteFee(
+          { couponsCollection, applicationsCollection },
+          {
+            fee: await feeOf(req.application),
+            code: req.query.coupon,
+            userEmail: req.tokenEmail,
+          },
+        );
+        res.send({
+          ...quote,
+          applicationFeeStatus: feeStatus(req.application),
+        });
+      } catch (err) {
+        sendCouponError(res, err);
+      }
+    },
+  );
+
+  //  Create Stripe Session for the application fee. `loanId` is the id of
+  //  the application (the name older clients send), `couponCode` optional.
+  router.post(
+    "/create-checkout-session",
+    verifyJWT,
+    rateLimit("checkout"),
+    loadUser,
+    async (req, res) => {
+      const id = req.body.applicationId || req.body.loanId;
+      const application = ObjectId.isValid(id)
+        ? await applicationsCollection.findOne({ _id: new ObjectId(id) })
+        : null;
+      if (!application) {
+        return res.status(404).send({ message: "Application not found" });
+      }
+      if (application.userEmail !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden Access!" });
+      }
+      if (feeStatus(application) !== "unpaid") {
+        return res.status(409).send({
+          message: "No application fee is due for this application",
+          applicationFeeStatus: feeStatus(application),
+        });
+      }
+
+      const loan = await termsForApplication(
+        { loansCollection, loanVersionsCollection },
+        application,
+      );
+      let quote;
+      try {
+        quote = await quoteFee(
+          { couponsCollection, applicationsCollection },
+          {
+            fee: application.applicationFee || feeFor(loan),
+            code: req.body.couponCode,
+            userEmail: req.tokenEmail,
+          },
+        );
+      } catch (err) {
+        return sendCouponError(res, err);
+      }
+
+      // Stripe cannot charge nothing, a coupon covering the fee waives it
+      if (quote.total === 0) {
+        try {
+          await waiveFee(applicationsCollection, application, {
+            reason: "Coupon covers the application fee",
+            actor: req.tokenEmail,
+            source: "coupon",
+            couponCode: quote.couponCode,
+          });
+        } catch (err) {
+          return sendFeeError(res, err);
+        }
+        await redeemCoupon(couponsCollection, quote.couponCode);
+        return res.send({ url: null, waived: true, quote });
+      }
+
+      const loanTitle = loan?.loanTitle || application.loanTitle;
+      const session = await payments.checkout.sessions.create({
+        payment_method_types: ["card"],
+        customer_email: req.tokenEmail,
+        line_items: [
+          {
+            price_data: {
+              currency: quote.currency,
+              product_data: {
+                name: loanTitle,
+                images: loan?.loanImage ? [loan.loanImage] : [],
+                description: `Application fee for ${loanTitle}`,
+              },
+              unit_amount: toMinorUnits(quote.total),
+            },
+            quantity: 1,
+          },
+        ],
+        mode: "payment",
+        metadata: {
+          loanId: id,
+          email: req.tokenEmail,
+          ...(quote.couponCode && { couponCode: quote.couponCode }),
+        },
+        success_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-loans?session_id={CHECKOUT_SESSION_ID}&loanId=${id}`,
+        cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-loans`,
+      });
+      // lets the payment jobs reconcile or expire it if no webhook arrives
+      await applicationsCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            checkoutSession: {
+              id: session.id,
+              status: "open",
+              createdAt: new Date(),
+            },
+          },
+        },
+      );
+      res.send({ url: session.url, quote });
+    },
+  );
+
+  // Stripe webhook, the source of truth for application fee payments
+  router.post("/webhooks/stripe", async (req, res) => {
+    const signature = req.headers["stripe-signature"];
+    let event;
+    try {
+      event = payments.webhooks.constructEvent(
+        req.rawBody,
+        signature,
+        process.env.STRIPE_WEBHOOK_SECRET,
+      );
+    } catch (err) {
+      return res
+        .status(400)
+        .send({ message: "Webhook signature verification failed" });
+    }
+
+    const result = await handleStripeEvent(event, {
+      applicationsCollection,
+      eventsCollection: stripeEventsCollection,
+      onApplied: (applied) =>
+        applied.type === "checkout.session.completed" &&
+        onFeePaid(feePaidDeps, applied.data.object),
+    });
+    res.send({ received: true, ...result });
+  });
+
+  //Verify Payment after popup closes
+  router.post(
+    "/loan-applications/verify-payment",
+    verifyJWT,
+    loadUser,
+    async (req, res) => {
+      const { loanId, sessionId } = req.body;
+      const session = await payments.checkout.sessions.retrieve(sessionId);
+      if (loanId && loanId !== session.metadata?.loanId) {
+        return res
+          .status(400)
+          .send({ message: "Session does not belong to this application" });
+      }
+      if (session.metadata?.email !== req.tokenEmail) {
+        return res.status(403).send({ message: "Forbidden Access!" });
+      }
+      if (session.payment_status === "paid") {
+        // the webhook may already have recorded it, which is still a success
+        const result = await markFeePaid(applicationsCollection, session);
+        if (result.modifiedCount > 0) await onFeePaid(feePaidDeps, session);
+        return res.status(200).send({ success: true, result });
+      }
+      res.status(400).send({ message: "Payment not completed" });
+    },
+  );
+
+  router.get(
+    "/loan-application/:id",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ allowParties: true }),
+    async (req, res) => {
+      res.send(viewFor(req, req.application));
+    },
+  );
+
+  // Status timeline of an application
+  router.get(
+    "/loan-application/:id/history",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ allowParties: true }),
+    async (req, res) => {
+      res.send({
+        status: req.application.status,
+        history: req.application.statusHistory || [],
+      });
+    },
+  );
+
+  router.patch(
+    "/loan-applications/cancel/:id",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      const isOwner = req.application.userEmail === req.tokenEmail;
+      try {
+        const result = await transitionApplication(
+          applicationsCollection,
+          req.params.id,
+          "cancelled",
+          {
+            actor: req.tokenEmail,
+            role: isOwner ? "borrower" : req.user.role,
+            reason:
+              req.body?.reason ||
+              (isOwner ? "Cancelled by borrower" : "Cancelled by staff"),
+            allowedFrom: ["draft", "pending"],
+            set: { cancelledAt: new Date() },
+          },
+        );
+        if (REFUNDABLE_STATUSES.includes(feeStatus(result))) {
+          await refundCancelledFee(result, req.tokenEmail);
+        }
+        res.send(
+          viewFor(
+            req,
+            await applicationsCollection.findOne({ _id: result._id }),
+          ),
+        );
+      } catch (err) {
+        if (err.statusCode === 409) {
+          return res.status(400).send({ message: "Cannot cancel this loan." });
+        }
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Upload a file for one of the application's required documents
+  router.post(
+    "/loan-applications/:id/documents/:docId",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ ownerOnly: true }),
+    uploadDocument,
+    async (req, res) => {
+      const application = req.application;
+      const document = (application.documents || []).find(
+        (doc) => doc._id?.toString() === req.params.docId,
+      );
+      if (!document) {
+        return res.status(404).send({ message: "Document not found" });
+      }
+      if (!["draft", "pending", "under_review"].includes(application.status)) {
+        return res.status(409).send({
+          message: "Documents can no longer be changed for this application",
+        });
+      }
+      if (document.status === "verified") {
+        return res
+          .status(409)
+          .send({ message: "This document is already verified" });
+      }
+
+      const stored = await storage.save({
+        folder: application._id.toString(),
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+      });
+      const file = {
+        key: stored.key,
+        storage: storage.name,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: stored.size,
+        uploadedAt: new Date(),
+      };
+
+      await applicationsCollection.updateOne(
+        { _id: application._id, "documents._id": document._id },
+        {
+          $set: {
+            "documents.$.file": file,
+            "documents.$.status": "submitted",
+            "documents.$.reviewNote": "",
+          },
+        },
+      );
+      // a re-upload after rejection replaces the previous file
+      if (document.file?.key) await storage.remove(document.file.key);
+
+      res.send({ ...document, file, status: "submitted", reviewNote: "" });
+    },
+  );
+
+  router.get(
+    "/loan-applications/:id/documents",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      res.send(req.application.documents || []);
+    },
+  );
+
+  // Download a submitted document
+  router.get(
+    "/loan-applications/:id/documents/:docId/file",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      const document = (req.application.documents || []).find(
+        (doc) => doc._id?.toString() === req.params.docId,
+      );
+      if (!document?.file) {
+        return res.status(404).send({ message: "Document not found" });
+      }
+      await sendDocumentFile(storage, res, document.file);
+    },
+  );
+
+  // Repayment schedules for the logged in borrower
+  const myInstallments = async (email, status) => {
+    const repayments = await repaymentsCollection
+      .find({ userEmail: email, status: "active" })
+      .toArray();
+    return repayments
+      .flatMap((repayment) =>
+        withInstallmentStatus(repayment).installments.map((installment) => ({
+          repaymentId: repayment._id,
+          applicationId: repayment.applicationId,
+          loanTitle: repayment.loanTitle,
+          ...installment,
+        })),
+      )
+      .filter((installment) => status.includes(installment.status))
+      .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+  };
+
+  router.get("/my-repayments", verifyJWT, loadUser, async (req, res) => {
+    const result = await repaymentsCollection
+      .find({ userEmail: req.tokenEmail })
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result.map((repayment) => withInstallmentStatus(repayment)));
+  });
+
+  router.get(
+    "/my-repayments/upcoming",
+    verifyJWT,
+    loadUser,
+    async (req, res) => {
+      const result = await myInstallments(req.tokenEmail, [
+        "pending",
+        "partial",
+      ]);
+      res.send(result);
+    },
+  );
+
+  router.get(
+    "/my-repayments/overdue",
+    verifyJWT,
+    loadUser,
+    async (req, res) => {
+      const result = await myInstallments(req.tokenEmail, ["overdue"]);
+      res.send(result);
+    },
+  );
+
+  // Account statement of an application for ?from&to, as JSON or PDF
+  const statementFor = async (req, res) => {
+    const { range, errors, valid } = parseDateRange(req.query);
+    if (!valid) {
+      sendValidationError(res, errors);
+      return null;
+    }
+    const repayment = await repaymentsCollection.findOne({
+      applicationId: req.application._id,
+    });
+    return buildStatement({
+      application: req.application,
+      repayment,
+      ...range,
+    });
+  };
+
+  router.get(
+    "/loan-applications/:id/statement",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      const statement = await statementFor(req, res);
+      if (statement) res.send(statement);
+    },
+  );
+
+  router.get(
+    "/loan-applications/:id/statement/pdf",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      const statement = await statementFor(req, res);
+      if (!statement) return;
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="statement-${req.application._id}-${statement.period.to.toISOString().slice(0, 10)}.pdf"`,
+      );
+      writeStatementPdf(statement, res);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createApplicationsRouter };
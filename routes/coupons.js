@@ -0,0 +1,127 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateCoupon } = require("../utils/coupons");
+const { sendValidationError } = require("../utils/validation");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+// Application fee promo codes (Admin only). Borrowers apply them through
+// GET /loan-applications/:id/fee-quote and POST /create-checkout-session.
+const createCouponsRouter = ({
+  couponsCollection,
+  verifyJWT,
+  verifyAdmin,
+  audit,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  const findCoupon = (id) =>
+    couponsCollection.findOne({ _id: new ObjectId(id) });
+
+  // ?active=true|false
+  router.get("/admin/coupons", verifyJWT, verifyAdmin, async (req, res) => {
+    const query = {};
+    if (req.query.active === "true") query.active = true;
+    if (req.query.active === "false") query.active = false;
+    const result = await couponsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  });
+
+  router.post(
+    "/admin/coupons",
+    verifyJWT,
+    verifyAdmin,
+    audit("coupon.create", { collection: couponsCollection }),
+    async (req, res) => {
+      const { value, errors, valid } = validateCoupon(req.body);
+      if (!valid) return sendValidationError(res, errors);
+      if (await couponsCollection.findOne({ code: value.code })) {
+        return res
+          .status(409)
+          .send({ message: "A coupon with this code already exists" });
+      }
+
+      try {
+        const result = await couponsCollection.insertOne({
+          ...value,
+          active: value.active ?? true,
+          redemptions: 0,
+          createdBy: req.tokenEmail,
+          createdAt: new Date(),
+        });
+        res.send(result);
+      } catch (err) {
+        // the unique index caught a concurrent create of the same code
+        if (err.code !== 11000) throw err;
+        res
+          .status(409)
+          .send({ message: "A coupon with this code already exists" });
+      }
+    },
+  );
+
+  // Code and type are fixed once created, deactivate and create a new one
+  router.patch(
+    "/admin/coupons/:id",
+    verifyJWT,
+    verifyAdmin,
+    audit("coupon.update", { collection: couponsCollection }),
+    async (req, res) => {
+      const coupon = await findCoupon(req.params.id);
+      if (!coupon) {
+        return res.status(404).send({ message: "Coupon not found" });
+      }
+      const { value, errors } = validateCoupon(req.body, {
+        partial: true,
+        current: coupon,
+      });
+      for (const field of ["code", "type"]) {
+        if (value[field] !== undefined && value[field] !== coupon[field]) {
+          errors[field] = "cannot be changed";
+        }
+      }
+      if (Object.keys(errors).length) {
+        return sendValidationError(res, errors);
+      }
+
+      const result = await couponsCollection.updateOne(
+        { _id: coupon._id },
+        {
+          $set: { ...value, updatedBy: req.tokenEmail, updatedAt: new Date() },
+        },
+      );
+      res.send(result);
+    },
+  );
+
+  // Only unused coupons can be deleted, used ones are deactivated instead
+  router.delete(
+    "/admin/coupons/:id",
+    verifyJWT,
+    verifyAdmin,
+    audit("coupon.delete", { collection: couponsCollection }),
+    async (req, res) => {
+      const coupon = await findCoupon(req.params.id);
+      if (!coupon) {
+        return res.status(404).send({ message: "Coupon not found" });
+      }
+      const result = await couponsCollection.deleteOne({
+        _id: coupon._id,
+        redemptions: 0,
+      });
+      if (result.deletedCount === 0) {
+        return res.status(409).send({
+          message: "Coupon has been used, set active to false instead",
+          redemptions: coupon.redemptions,
+        });
+      }
+      res.send(result);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createCouponsRouter };
@@ -0,0 +1,79 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { createInvite, validateInvite } = require("../utils/invites");
+const { sendValidationError } = require("../utils/validation");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+// Invites for manager and admin accounts (Admin only). The invitee redeems
+// the token with POST /users, see utils/invites.
+const createInvitesRouter = ({
+  invitesCollection,
+  verifyJWT,
+  verifyAdmin,
+  audit,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  // ?status=pending|redeemed|revoked, expired invites stay pending
+  router.get("/admin/invites", verifyJWT, verifyAdmin, async (req, res) => {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    const result = await invitesCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // The token is only returned here, share inviteUrl with the invitee
+  router.post(
+    "/admin/invites",
+    verifyJWT,
+    verifyAdmin,
+    audit("invite.create", { collection: invitesCollection }),
+    async (req, res) => {
+      const { value, errors, valid } = validateInvite(req.body);
+      if (!valid) return sendValidationError(res, errors);
+      const invite = await createInvite(invitesCollection, {
+        ...value,
+        actor: req.tokenEmail,
+      });
+      res.send(invite);
+    },
+  );
+
+  router.delete(
+    "/admin/invites/:id",
+    verifyJWT,
+    verifyAdmin,
+    audit("invite.revoke", { collection: invitesCollection }),
+    async (req, res) => {
+      const _id = new ObjectId(req.params.id);
+      const result = await invitesCollection.updateOne(
+        { _id, status: "pending" },
+        {
+          $set: {
+            status: "revoked",
+            revokedBy: req.tokenEmail,
+            revokedAt: new Date(),
+          },
+        },
+      );
+      if (result.matchedCount === 0) {
+        const invite = await invitesCollection.findOne({ _id });
+        if (!invite) {
+          return res.status(404).send({ message: "Invite not found" });
+        }
+        return res.status(409).send({
+          message: "Only pending invites can be revoked",
+          status: invite.status,
+        });
+      }
+      res.send(result);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createInvitesRouter };
@@ -0,0 +1,139 @@
+const express = require("express");
+const { nextRunAt, isValidSchedule, sendJobError } = require("../jobs/runner");
+const { sendValidationError } = require("../utils/validation");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const inBounds = (value, [min, max]) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+// Background jobs (Admin only): their schedule and last run, run history and
+// manual runs. See jobs/ for what each job does.
+const createJobsRouter = ({
+  jobsCollection,
+  jobRunsCollection,
+  jobRunner,
+  verifyJWT,
+  verifyAdmin,
+  audit,
+}) => {
+  const router = validateIdParams(express.Router());
+  const byName = { param: "name", filter: (name) => ({ _id: name }) };
+
+  const knownJob = (req, res, next) => {
+    if (!jobRunner.jobs[req.params.name]) {
+      return res.status(404).send({ message: "Job not found" });
+    }
+    next();
+  };
+
+  router.get("/admin/jobs", verifyJWT, verifyAdmin, async (req, res) => {
+    await jobRunner.ensureJobs();
+    const stored = await jobsCollection.find({}).toArray();
+    const result = Object.entries(jobRunner.jobs).map(([name, job]) => ({
+      ...stored.find((item) => item._id === name),
+      name,
+      description: job.description,
+      defaults: { schedule: job.schedule, options: job.defaults },
+    }));
+    res.send(result);
+  });
+
+  // Newest first, ?status=succeeded|failed|running&limit=
+  router.get(
+    "/admin/jobs/:name/runs",
+    verifyJWT,
+    verifyAdmin,
+    knownJob,
+    async (req, res) => {
+      const query = { job: req.params.name };
+      if (req.query.status) query.status = req.query.status;
+      const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+      const result = await jobRunsCollection
+        .find(query)
+        .sort({ startedAt: -1 })
+        .limit(limit)
+        .toArray();
+      res.send(result);
+    },
+  );
+
+  // Runs a job now, whether it is enabled or not, and answers with the run
+  router.post(
+    "/admin/jobs/:name/run",
+    verifyJWT,
+    verifyAdmin,
+    knownJob,
+    audit("job.run", byName),
+    async (req, res) => {
+      await jobRunner.ensureJobs();
+      try {
+        const run = await jobRunner.runJob(req.params.name, {
+          trigger: "manual",
+          triggeredBy: req.tokenEmail,
+        });
+        if (!run) {
+          return res.status(409).send({ message: "Job is already running" });
+        }
+        res.send(run);
+      } catch (err) {
+        sendJobError(res, err);
+      }
+    },
+  );
+
+  // { schedule, enabled, options }, options only take the job's own keys,
+  // as whole numbers within the job's bounds
+  router.patch(
+    "/admin/jobs/:name",
+    verifyJWT,
+    verifyAdmin,
+    knownJob,
+    audit("job.update", { ...byName, collection: jobsCollection }),
+    async (req, res) => {
+      const job = jobRunner.jobs[req.params.name];
+      const { schedule, enabled, options } = req.body || {};
+      const errors = {};
+      const $set = {};
+
+      if (schedule !== undefined) {
+        if (isValidSchedule(schedule)) $set.schedule = schedule.trim();
+        else errors.schedule = "must be a cron expression with five fields";
+      }
+      if (enabled !== undefined) {
+        if (typeof enabled === "boolean") $set.enabled = enabled;
+        else errors.enabled = "must be a valid boolean";
+      }
+      if (options !== undefined) {
+        for (const [key, value] of Object.entries(options || {})) {
+          if (!(key in job.defaults)) {
+            errors[`options.${key}`] = "is not an option of this job";
+          } else if (!inBounds(value, job.bounds[key])) {
+            const [min, max] = job.bounds[key];
+            errors[`options.${key}`] =
+              `must be a whole number from ${min} to ${max}`;
+          } else {
+            $set[`options.${key}`] = value;
+          }
+        }
+      }
+      if (Object.keys(errors).length) return sendValidationError(res, errors);
+      if (!Object.keys($set).length) {
+        return sendValidationError(res, { body: "no updatable fields sent" });
+      }
+
+      await jobRunner.ensureJobs();
+      if ($set.schedule) {
+        $set.nextRunAt = nextRunAt($set.schedule, new Date());
+      }
+      const result = await jobsCollection.updateOne(
+        { _id: req.params.name },
+        { $set: { ...$set, updatedBy: req.tokenEmail, updatedAt: new Date() } },
+      );
+      res.send(result);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createJobsRouter };
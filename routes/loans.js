@@ -0,0 +1,316 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  loanSchema,
+  catalogQuerySchema,
+  validate,
+  validateBody,
+  sendValidationError,
+} = require("../utils/validation");
+const {
+  CATALOG_DEFAULTS,
+  SORTS,
+  catalogFilters,
+  combine,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  facetPipeline,
+  formatFacets,
+} = require("../utils/catalog");
+const {
+  NOT_ARCHIVED,
+  archiveLoan,
+  sendArchiveError,
+} = require("../utils/loanArchive");
+const {
+  versionEntry,
+  pickTerms,
+  ensureBaseVersion,
+  reviseLoan,
+  sendLoanVersionError,
+} = require("../utils/loanVersions");
+const {
+  quoteSchema,
+  compareSchema,
+  checkQuoteAgainstLoan,
+  quoteLoan,
+} = require("../utils/loanQuote");
+const { diff } = require("../middlewares/audit");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const createLoansRouter = ({
+  loansCollection,
+  applicationsCollection,
+  settingsCollection,
+  loanVersionsCollection,
+  verifyJWT,
+  verifyManager,
+  loadUser,
+  verifyStaff,
+  audit,
+  rateLimit,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  // Get loans for Home Page (Limit 6 and filtered by showOnHome)
+  router.get("/loans/home", async (req, res) => {
+    const query = { showOnHome: true, ...NOT_ARCHIVED };
+    const result = await loansCollection.find(query).limit(6).toArray();
+    res.send(result);
+  });
+
+  // Public catalog: full-text search (?q, ?search is the older name),
+  // category/rate/limit filters, sorting and facet counts. Pages with
+  // ?cursor, or with ?page for older clients.
+  router.get("/all-loans", rateLimit("catalog"), async (req, res) => {
+    const { value, errors, valid } = validate(catalogQuerySchema, req.query);
+    const params = { ...CATALOG_DEFAULTS, ...value };
+    const cursor = params.cursor && decodeCursor(params.cursor, params.sort);
+    if (params.cursor && !cursor) {
+      errors.cursor = "is not valid for this sort";
+    }
+    if (!valid || errors.cursor) return sendValidationError(res, errors);
+
+    const { base, filters } = catalogFilters(params);
+    const query = combine(base, filters);
+    const pageQuery = cursor
+      ? { ...query, ...afterCursor(params.sort, cursor) }
+      : query;
+    const skip = !cursor && params.page ? (params.page - 1) * params.limit : 0;
+
+    // one extra loan tells whether there is a next page
+    const found = await loansCollection
+      .find(pageQuery)
+      .sort(SORTS[params.sort].order)
+      .skip(skip)
+      .limit(params.limit + 1)
+      .toArray();
+    const loans = found.slice(0, params.limit);
+    const nextCursor =
+      found.length > params.limit
+        ? encodeCursor(params.sort, loans[loans.length - 1])
+        : null;
+
+    const total = await loansCollection.countDocuments(query);
+    const [facets] = await loansCollection
+      .aggregate(facetPipeline({ base, filters }))
+      .toArray();
+
+    res.send({
+      loans,
+      total,
+      nextCursor,
+      limit: params.limit,
+      facets: formatFacets(facets),
+    });
+  });
+
+  router.get("/loan/:id", async (req, res) => {
+    const id = req.params.id;
+    const query = { _id: new ObjectId(id) };
+    const result = await loansCollection.findOne(query);
+    res.send(result);
+  });
+
+  // EMI calculator for the catalog: { amount, emiPlan } on one product
+  router.post(
+    "/loans/:id/quote",
+    rateLimit("quote"),
+    validateBody(quoteSchema),
+    async (req, res) => {
+      const loan = await loansCollection.findOne({
+        _id: new ObjectId(req.params.id),
+        ...NOT_ARCHIVED,
+      });
+      if (!loan) {
+        return res.status(404).send({ message: "Loan not found" });
+      }
+      const errors = checkQuoteAgainstLoan(loan, req.body);
+      if (Object.keys(errors).length) {
+        return sendValidationError(res, errors);
+      }
+      res.send(quoteLoan(loan, req.body));
+    },
+  );
+
+  // The same amount and plan on 2 to 5 products side by side. Products that
+  // do not offer them come back with errors instead of a quote.
+  router.post(
+    "/loans/compare",
+    rateLimit("quote"),
+    validateBody(compareSchema),
+    async (req, res) => {
+      const { loanIds, ...terms } = req.body;
+      const ids = [...new Set(loanIds)];
+      const loans = await loansCollection
+        .find({
+          _id: { $in: ids.map((id) => new ObjectId(id)) },
+          ...NOT_ARCHIVED,
+        })
+        .toArray();
+
+      const quotes = ids.map((id) => {
+        const loan = loans.find((item) => item._id.toString() === id);
+        if (!loan) {
+          return {
+            loanId: id,
+            errors: { loanId: "does not match an existing loan" },
+          };
+        }
+        const errors = checkQuoteAgainstLoan(loan, terms);
+        if (Object.keys(errors).length) {
+          return { loanId: loan._id, loanTitle: loan.loanTitle, errors };
+        }
+        // the summary is enough side by side, POST /loans/:id/quote has
+        // the table
+        const { schedule, ...quote } = quoteLoan(loan, terms);
+        return quote;
+      });
+
+      const offered = quotes.filter((quote) => !quote.errors);
+      const cheapest = offered.reduce(
+        (best, quote) =>
+          !best || quote.totalPayable < best.totalPayable ? quote : best,
+        null,
+      );
+      res.send({
+        ...terms,
+        quotes,
+        cheapest: cheapest ? cheapest.loanId : null,
+      });
+    },
+  );
+
+  // POST a new loan offering (Manager Only)
+  router.post(
+    "/loans",
+    verifyJWT,
+    verifyManager,
+    audit("loan.create", { collection: loansCollection }),
+    validateBody(loanSchema),
+    async (req, res) => {
+      const createdAt = new Date();
+      const result = await loansCollection.insertOne({
+        ...req.body,
+        version: 1,
+        createdBy: req.tokenEmail,
+        createdAt,
+      });
+      await loanVersionsCollection.insertOne(
+        versionEntry({
+          loanId: result.insertedId,
+          version: 1,
+          terms: pickTerms(req.body),
+          changes: {},
+          actor: req.tokenEmail,
+          at: createdAt,
+        }),
+      );
+      res.send(result);
+    },
+  );
+
+  //  Get all loans (Manager specific)
+  router.get("/loans", verifyJWT, verifyManager, async (req, res) => {
+    const result = await loansCollection.find(NOT_ARCHIVED).toArray();
+    res.send({ loans: result });
+  });
+
+  //  Delete (archive) a loan, ?migrateTo=<loanId> moves open applications
+  router.delete(
+    "/loans/:id",
+    verifyJWT,
+    verifyManager,
+    audit("loan.delete", { collection: loansCollection }),
+    async (req, res) => {
+      try {
+        const result = await archiveLoan(
+          { loansCollection, applicationsCollection, settingsCollection },
+          req.params.id,
+          { actor: req.tokenEmail, migrateTo: req.query.migrateTo },
+        );
+        res.send(result);
+      } catch (err) {
+        sendArchiveError(res, err);
+      }
+    },
+  );
+
+  router.patch(
+    "/loans/:id",
+    verifyJWT,
+    verifyManager,
+    audit("loan.update", { collection: loansCollection }),
+    validateBody(loanSchema, { partial: true }),
+    async (req, res) => {
+      try {
+        const result = await reviseLoan(
+          { loansCollection, loanVersionsCollection },
+          req.params.id,
+          req.body,
+          { actor: req.tokenEmail },
+        );
+        res.send(result);
+      } catch (err) {
+        sendLoanVersionError(res, err);
+      }
+    },
+  );
+
+  // Version history of a product's terms (Managers and Admins)
+  const loadVersions = async (req, res, next) => {
+    const id = req.params.id;
+    const loan = await loansCollection.findOne({ _id: new ObjectId(id) });
+    if (!loan) return res.status(404).send({ message: "Loan not found" });
+    await ensureBaseVersion(loanVersionsCollection, loan);
+    req.loan = loan;
+    next();
+  };
+
+  router.get(
+    "/loans/:id/versions",
+    verifyJWT,
+    loadUser,
+    verifyStaff,
+    loadVersions,
+    async (req, res) => {
+      const versions = await loanVersionsCollection
+        .find({ loanId: req.loan._id })
+        .sort({ version: -1 })
+        .toArray();
+      res.send({ current: req.loan.version || 1, versions });
+    },
+  );
+
+  // ?from=<version>&to=<version>, to defaults to the current version
+  router.get(
+    "/loans/:id/versions/diff",
+    verifyJWT,
+    loadUser,
+    verifyStaff,
+    loadVersions,
+    async (req, res) => {
+      const from = parseInt(req.query.from);
+      const to = parseInt(req.query.to) || req.loan.version || 1;
+      if (!(from > 0)) {
+        return res
+          .status(400)
+          .send({ message: "from must be a version number" });
+      }
+      const [older, newer] = await Promise.all(
+        [from, to].map((version) =>
+          loanVersionsCollection.findOne({ loanId: req.loan._id, version }),
+        ),
+      );
+      if (!older || !newer) {
+        return res.status(404).send({ message: "Version not found" });
+      }
+      res.send({ from, to, changes: diff(older.terms, newer.terms) });
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createLoansRouter };
@@ -0,0 +1,586 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  parseEmiMonths,
+  buildSchedule,
+  withInstallmentStatus,
+  allocatePayment,
+  outstandingBalance,
+} = require("../utils/amortization");
+const {
+  transitionApplication,
+  sendTransitionError,
+} = require("../utils/applicationStatus");
+const { termsForApplication } = require("../utils/loanVersions");
+const { partyApprovalBlockers } = require("../utils/parties");
+const {
+  IN_QUEUE,
+  claimApplication,
+  releaseApplication,
+  sendAssignmentError,
+} = require("../utils/assignment");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const createManagerRouter = ({
+  loansCollection,
+  loanVersionsCollection,
+  applicationsCollection,
+  repaymentsCollection,
+  verifyJWT,
+  verifyManager,
+  verifyAssignee,
+  audit,
+  notify,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  // Get loan applications by status, assignee and risk (for Managers)
+  // ?assignee=me|unassigned|<email>&minScore=&maxScore=&band=low|medium|high
+  // &sort=score|-score
+  router.get(
+    "/manager/loan-applications",
+    verifyJWT,
+    verifyManager,
+    async (req, res) => {
+      const { status, assignee, minScore, maxScore, band, sort } = req.query;
+      let query = {};
+      if (status) {
+        query.status = status;
+      }
+      if (assignee) {
+        query.assignedTo =
+          assignee === "me"
+            ? req.tokenEmail
+            : assignee === "unassigned"
+              ? null
+              : assignee;
+      }
+      if (band) {
+        query["risk.band"] = band;
+      }
+      if (minScore !== undefined || maxScore !== undefined) {
+        const min = parseFloat(minScore);
+        const max = parseFloat(maxScore);
+        if (
+          (minScore !== undefined && isNaN(min)) ||
+          (maxScore !== undefined && isNaN(max))
+        ) {
+          return res
+            .status(400)
+            .send({ message: "minScore and maxScore must be numbers" });
+        }
+        query["risk.score"] = {};
+        if (!isNaN(min)) query["risk.score"].$gte = min;
+        if (!isNaN(max)) query["risk.score"].$lte = max;
+      }
+      if (sort && !["score", "-score"].includes(sort)) {
+        return res
+          .status(400)
+          .send({ message: 'Sort must be "score" or "-score"' });
+      }
+
+      const order = sort
+        ? { "risk.score": sort === "score" ? 1 : -1, appliedAt: -1 }
+        : { approvedAt: -1, appliedAt: -1 };
+      const result = await applicationsCollection
+        .find(query)
+        .sort(order)
+        .toArray();
+      res.send(result);
+    },
+  );
+
+  // The caller's review queue, oldest first. ?scope=unassigned lists the
+  // applications nobody has claimed yet.
+  router.get("/manager/queue", verifyJWT, verifyManager, async (req, res) => {
+    const scope = req.query.scope || "mine";
+    if (!["mine", "unassigned"].includes(scope)) {
+      return res
+        .status(400)
+        .send({ message: 'Scope must be "mine" or "unassigned"' });
+    }
+    const result = await applicationsCollection
+      .find({
+        ...IN_QUEUE,
+        assignedTo: scope === "mine" ? req.tokenEmail : null,
+      })
+      .sort({ appliedAt: 1 })
+      .toArray();
+    res.send(result);
+  });
+
+  // Take an unassigned application from the queue
+  router.patch(
+    "/loan-applications/manager/:id/claim",
+    verifyJWT,
+    verifyManager,
+    audit("application.claim", { collection: applicationsCollection }),
+    async (req, res) => {
+      try {
+        res.send(
+          await claimApplication(
+            applicationsCollection,
+            req.params.id,
+            req.tokenEmail,
+          ),
+        );
+      } catch (err) {
+        sendAssignmentError(res, err);
+      }
+    },
+  );
+
+  // Hand an application back to the queue
+  router.patch(
+    "/loan-applications/manager/:id/release",
+    verifyJWT,
+    verifyManager,
+    audit("application.release", { collection: applicationsCollection }),
+    async (req, res) => {
+      try {
+        res.send(
+          await releaseApplication(
+            applicationsCollection,
+            req.params.id,
+            req.tokenEmail,
+            req.body?.reason,
+          ),
+        );
+      } catch (err) {
+        sendAssignmentError(res, err);
+      }
+    },
+  );
+
+  // Approve a loan application
+  router.patch(
+    "/loan-applications/manager/:id/approve",
+    verifyJWT,
+    verifyManager,
+    verifyAssignee,
+    audit("application.approve", { collection: applicationsCollection }),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const application = req.application;
+
+        // approve against the terms the borrower applied under
+        const loan = await termsForApplication(
+          { loansCollection, loanVersionsCollection },
+          application,
+        );
+        if (!loan) {
+          return res
+            .status(400)
+            .send({ message: "Loan product for this application not found" });
+        }
+
+        const months = parseEmiMonths(application.emiPlan);
+        const principal = parseFloat(application.loanAmount);
+        if (!months || !(loan.emiPlans || []).includes(application.emiPlan)) {
+          return res
+            .status(400)
+            .send({ message: "Application has no valid EMI plan" });
+        }
+        if (!(principal > 0)) {
+          return res
+            .status(400)
+            .send({ message: "Application has no valid loan amount" });
+        }
+
+        const unverified = (loan.requiredDocuments || []).filter(
+          (type) =>
+            !(application.documents || []).some(
+              (doc) => doc.type === type && doc.status === "verified",
+            ),
+        );
+        if (unverified.length) {
+          return res.status(409).send({
+            message: "All required documents must be verified first",
+            unverified,
+          });
+        }
+
+        const parties = partyApprovalBlockers(
+          application,
+          loan.requiredDocuments,
+        );
+        if (parties.notAccepted.length) {
+          return res.status(409).send({
+            message: "Every co-applicant and guarantor must accept first",
+            parties: parties.notAccepted,
+          });
+        }
+        if (parties.unverified.length) {
+          return res.status(409).send({
+            message:
+              "Co-applicant and guarantor documents must be verified first",
+            parties: parties.unverified,
+          });
+        }
+
+        const approvedAt = new Date();
+        const result = await transitionApplication(
+          applicationsCollection,
+          id,
+          "approved",
+          {
+            actor: req.tokenEmail,
+            role: "manager",
+            reason: req.body?.note,
+            set: { approvedAt, handledBy: req.tokenEmail },
+            match: { assignedTo: req.tokenEmail },
+          },
+        );
+
+        const interestRate = parseFloat(loan.interestRate) || 0;
+        const schedule = buildSchedule({
+          principal,
+          annualRate: interestRate,
+          months,
+          startDate: approvedAt,
+          method: loan.interestMethod,
+        });
+        // upsert keeps a repeated approval from creating a second schedule
+        await repaymentsCollection.updateOne(
+          { applicationId: application._id },
+          {
+            $setOnInsert: {
+              applicationId: application._id,
+              loanId: loan._id,
+              loanVersion: loan.version || 1,
+              loanTitle: loan.loanTitle,
+              userEmail: application.userEmail,
+              principal,
+              interestRate,
+              interestMethod: loan.interestMethod || "reducing",
+              emiPlan: application.emiPlan,
+              tenureMonths: months,
+              ...schedule,
+              outstanding: schedule.totalPayable,
+              payments: [],
+              status: "active",
+              createdAt: approvedAt,
+            },
+          },
+          { upsert: true },
+        );
+
+        await notify("application.approved", application.userEmail, {
+          applicationId: id,
+          loanTitle: loan.loanTitle,
+          emiAmount: schedule.emiAmount,
+          firstDueDate: schedule.installments[0].dueDate,
+        });
+        res.send(result);
+      } catch (error) {
+        sendTransitionError(res, error);
+      }
+    },
+  );
+
+  // Reject a loan application with a reason
+  router.patch(
+    "/loan-applications/manager/:id/reject",
+    verifyJWT,
+    verifyManager,
+    verifyAssignee,
+    audit("application.reject", { collection: applicationsCollection }),
+    async (req, res) => {
+      const reason = req.body?.reason;
+      if (!reason) {
+        return res
+          .status(400)
+          .send({ message: "A rejection reason is required" });
+      }
+      try {
+        const result = await transitionApplication(
+          applicationsCollection,
+          req.params.id,
+          "rejected",
+          {
+            actor: req.tokenEmail,
+            role: "manager",
+            reason,
+            set: {
+              rejectionReason: reason,
+              rejectedAt: new Date(),
+              managedBy: req.tokenEmail,
+            },
+            match: { assignedTo: req.tokenEmail },
+          },
+        );
+        await notify("application.rejected", result.userEmail, {
+          applicationId: req.params.id,
+          loanTitle: result.loanTitle,
+          reason,
+        });
+        res.send(result);
+      } catch (err) {
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Mark a submitted document verified or rejected
+  router.patch(
+    "/manager/loan-applications/:id/documents/:docId",
+    verifyJWT,
+    verifyManager,
+    audit("application.document.review", {
+      collection: applicationsCollection,
+    }),
+    async (req, res) => {
+      const { id, docId } = req.params;
+      const { status, note } = req.body;
+      if (!["verified", "rejected"].includes(status)) {
+        return res
+          .status(400)
+          .send({ message: 'Status must be "verified" or "rejected"' });
+      }
+      if (status === "rejected" && !note) {
+        return res
+          .status(400)
+          .send({ message: "A note is required when rejecting a document" });
+      }
+
+      const result = await applicationsCollection.updateOne(
+        {
+          _id: new ObjectId(id),
+          documents: {
+            $elemMatch: {
+              _id: new ObjectId(docId),
+              file: { $exists: true },
+            },
+          },
+        },
+        {
+          $set: {
+            "documents.$.status": status,
+            "documents.$.reviewNote": note || "",
+            "documents.$.reviewedBy": req.tokenEmail,
+            "documents.$.reviewedAt": new Date(),
+          },
+        },
+      );
+      if (result.matchedCount === 0) {
+        return res
+          .status(404)
+          .send({ message: "No uploaded document found to review" });
+      }
+      res.send(result);
+    },
+  );
+
+  // Pick up a pending application for review
+  router.patch(
+    "/loan-applications/manager/:id/review",
+    verifyJWT,
+    verifyManager,
+    verifyAssignee,
+    audit("application.review", { collection: applicationsCollection }),
+    async (req, res) => {
+      try {
+        const result = await transitionApplication(
+          applicationsCollection,
+          req.params.id,
+          "under_review",
+          {
+            actor: req.tokenEmail,
+            role: "manager",
+            reason: req.body?.note,
+            set: { reviewStartedAt: new Date(), reviewedBy: req.tokenEmail },
+            match: { assignedTo: req.tokenEmail },
+          },
+        );
+        res.send(result);
+      } catch (err) {
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Record that the approved money was sent, which activates the loan
+  router.patch(
+    "/loan-applications/manager/:id/disburse",
+    verifyJWT,
+    verifyManager,
+    audit("application.disburse", { collection: applicationsCollection }),
+    async (req, res) => {
+      const { id } = req.params;
+      const body = req.body || {};
+      const { method, reference } = body;
+      const amount = parseFloat(body.amount);
+      const disbursedAt = body.disbursedAt
+        ? new Date(body.disbursedAt)
+        : new Date();
+      if (!(amount > 0)) {
+        return res
+          .status(400)
+          .send({ message: "Disbursement amount must be greater than zero" });
+      }
+      if (!method || !reference) {
+        return res
+          .status(400)
+          .send({ message: "Disbursement method and reference are required" });
+      }
+      if (isNaN(disbursedAt)) {
+        return res.status(400).send({ message: "Invalid disbursement date" });
+      }
+
+      try {
+        const application = await applicationsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        // amounts net of deductions are fine, more than was approved is not
+        if (application && amount > parseFloat(application.loanAmount)) {
+          return res.status(400).send({
+            message: "Disbursement exceeds the approved amount",
+            approved: parseFloat(application.loanAmount),
+          });
+        }
+
+        const disbursement = {
+          _id: new ObjectId(),
+          amount,
+          method,
+          reference,
+          disbursedAt,
+          recordedBy: req.tokenEmail,
+          recordedAt: new Date(),
+        };
+        const result = await transitionApplication(
+          applicationsCollection,
+          id,
+          "disbursed",
+          {
+            actor: req.tokenEmail,
+            role: "manager",
+            reason: req.body.note,
+            allowedFrom: ["approved"],
+            set: { disbursements: [disbursement], disbursedAt },
+          },
+        );
+        await repaymentsCollection.updateOne(
+          { applicationId: new ObjectId(id) },
+          { $set: { disbursedAt } },
+        );
+
+        await notify("loan.disbursed", result.userEmail, {
+          applicationId: id,
+          loanTitle: result.loanTitle,
+          amount,
+          method,
+          disbursedAt,
+        });
+        res.send(result);
+      } catch (err) {
+        sendTransitionError(res, err);
+      }
+    },
+  );
+
+  // Repayment schedule of an application (for Managers)
+  router.get(
+    "/manager/repayments/:applicationId",
+    verifyJWT,
+    verifyManager,
+    async (req, res) => {
+      const { applicationId } = req.params;
+      const result = await repaymentsCollection.findOne({
+        applicationId: new ObjectId(applicationId),
+      });
+      if (!result) {
+        return res
+          .status(404)
+          .send({ message: "Repayment schedule not found" });
+      }
+      res.send(withInstallmentStatus(result));
+    },
+  );
+
+  // Record a payment against a schedule (partial payments and prepayments)
+  router.post(
+    "/manager/repayments/:applicationId/payments",
+    verifyJWT,
+    verifyManager,
+    audit("repayment.record", {
+      collection: repaymentsCollection,
+      param: "applicationId",
+      filter: (id) => ({ applicationId: new ObjectId(id) }),
+    }),
+    async (req, res) => {
+      const { applicationId } = req.params;
+      const body = req.body || {};
+      const amount = parseFloat(body.amount);
+      const paidAt = body.paidAt ? new Date(body.paidAt) : new Date();
+      if (!(amount > 0)) {
+        return res
+          .status(400)
+          .send({ message: "Payment amount must be greater than zero" });
+      }
+      if (isNaN(paidAt)) {
+        return res.status(400).send({ message: "Invalid payment date" });
+      }
+
+      const filter = { applicationId: new ObjectId(applicationId) };
+      const repayment = await repaymentsCollection.findOne(filter);
+      if (!repayment) {
+        return res
+          .status(404)
+          .send({ message: "Repayment schedule not found" });
+      }
+
+      const outstanding = outstandingBalance(repayment.installments);
+      if (amount > outstanding) {
+        return res.status(400).send({
+          message: "Payment exceeds the outstanding balance",
+          outstanding,
+        });
+      }
+
+      const { installments, allocations, type } = allocatePayment(
+        repayment.installments,
+        amount,
+        paidAt,
+      );
+      const payment = {
+        _id: new ObjectId(),
+        amount,
+        type,
+        method: body.method || "cash",
+        reference: body.reference || "",
+        allocations,
+        paidAt,
+        recordedBy: req.tokenEmail,
+        recordedAt: new Date(),
+      };
+      const remaining = outstandingBalance(installments);
+
+      // matching on the old balance rejects a payment recorded concurrently
+      const result = await repaymentsCollection.updateOne(
+        { _id: repayment._id, outstanding: repayment.outstanding },
+        {
+          $set: {
+            installments,
+            outstanding: remaining,
+            status: remaining > 0 ? "active" : "completed",
+            updatedAt: new Date(),
+          },
+          $push: { payments: payment },
+        },
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(409)
+          .send({ message: "Schedule changed, please retry the payment" });
+      }
+
+      res.send({ success: true, payment, outstanding: remaining });
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createManagerRouter };
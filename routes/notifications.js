@@ -0,0 +1,56 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const createNotificationsRouter = ({ notificationsCollection, verifyJWT }) => {
+  const router = validateIdParams(express.Router());
+
+  // The caller's in-app notifications, newest first (?unread=true&page&limit)
+  router.get("/notifications", verifyJWT, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { userEmail: req.tokenEmail };
+    if (req.query.unread === "true") {
+      query.read = false;
+    }
+
+    const notifications = await notificationsCollection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+    const total = await notificationsCollection.countDocuments(query);
+    const unread = await notificationsCollection.countDocuments({
+      userEmail: req.tokenEmail,
+      read: false,
+    });
+
+    res.send({ notifications, total, unread, page, limit });
+  });
+
+  router.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+    const result = await notificationsCollection.updateMany(
+      { userEmail: req.tokenEmail, read: false },
+      { $set: { read: true, readAt: new Date() } },
+    );
+    res.send(result);
+  });
+
+  router.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+    const { id } = req.params;
+    // scoped to the caller, someone else's notification looks missing
+    const result = await notificationsCollection.updateOne(
+      { _id: new ObjectId(id), userEmail: req.tokenEmail },
+      { $set: { read: true, readAt: new Date() } },
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).send({ message: "Notification not found" });
+    }
+    res.send(result);
+  });
+
+  return router;
+};
+
+module.exports = { createNotificationsRouter };
@@ -0,0 +1,311 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  partyDetailsSchema,
+  validatePartyInvite,
+  partyFor,
+  findParty,
+  inviteParty,
+  respondToInvitation,
+  withdrawParty,
+  partySummary,
+  partyView,
+  OPEN_STATUSES,
+  sendPartyError,
+} = require("../utils/parties");
+const { validateBody, sendValidationError } = require("../utils/validation");
+const { isStaff } = require("../middlewares/authorization");
+const { uploadDocument, sendDocumentFile } = require("../middlewares/upload");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+// Co-applicants and guarantors, see utils/parties. The borrower manages them
+// under /loan-applications/:id/parties, each invited party acts on their own
+// part under /loan-applications/:id/party.
+const createPartiesRouter = ({
+  applicationsCollection,
+  storage,
+  notify,
+  verifyJWT,
+  verifyManager,
+  loadUser,
+  authorizeApplication,
+  audit,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  const borrowerName = (application) =>
+    [application.firstName, application.lastName].filter(Boolean).join(" ") ||
+    application.userEmail;
+
+  const findApplication = (id) =>
+    applicationsCollection.findOne({ _id: new ObjectId(id) });
+
+  // attaches req.application and the caller's own req.party
+  const loadParty = async (req, res, next) => {
+    const application = await findApplication(req.params.id);
+    const party = application && partyFor(application, req.tokenEmail);
+    if (!party) {
+      return res.status(404).send({ message: "Application not found" });
+    }
+    req.application = application;
+    req.party = party;
+    next();
+  };
+
+  router.get(
+    "/loan-applications/:id/parties",
+    verifyJWT,
+    loadUser,
+    authorizeApplication(),
+    async (req, res) => {
+      const parties = req.application.parties || [];
+      res.send(isStaff(req.user) ? parties : parties.map(partySummary));
+    },
+  );
+
+  router.post(
+    "/loan-applications/:id/parties",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ ownerOnly: true }),
+    async (req, res) => {
+      const { value, errors, valid } = validatePartyInvite(req.body);
+      if (!valid) return sendValidationError(res, errors);
+      try {
+        const party = await inviteParty(
+          applicationsCollection,
+          req.application,
+          { ...value, actor: req.tokenEmail },
+        );
+        await notify("party.invited", party.email, {
+          applicationId: req.application._id.toString(),
+          loanTitle: req.application.loanTitle,
+          borrowerName: borrowerName(req.application),
+          role: party.role,
+        });
+        res.send(partySummary(party));
+      } catch (err) {
+        sendPartyError(res, err);
+      }
+    },
+  );
+
+  router.delete(
+    "/loan-applications/:id/parties/:partyId",
+    verifyJWT,
+    loadUser,
+    authorizeApplication({ ownerOnly: true }),
+    async (req, res) => {
+      try {
+        const party = await withdrawParty(
+          applicationsCollection,
+          req.application,
+          req.params.partyId,
+          { actor: req.tokenEmail },
+        );
+        res.send(partySummary(party));
+      } catch (err) {
+        sendPartyError(res, err);
+      }
+    },
+  );
+
+  // The invitation as the invited party sees it
+  router.get(
+    "/loan-applications/:id/party",
+    verifyJWT,
+    loadUser,
+    loadParty,
+    async (req, res) => {
+      res.send(partyView(req.application, req.party));
+    },
+  );
+
+  const respond = (accept) => async (req, res) => {
+    try {
+      const party = await respondToInvitation(
+        applicationsCollection,
+        req.application,
+        req.tokenEmail,
+        { accept, details: req.body },
+      );
+      await notify(
+        accept ? "party.accepted" : "party.declined",
+        req.application.userEmail,
+        {
+          applicationId: req.application._id.toString(),
+          loanTitle: req.application.loanTitle,
+          email: party.email,
+          role: party.role,
+        },
+      );
+      res.send(partyView(req.application, party));
+    } catch (err) {
+      sendPartyError(res, err);
+    }
+  };
+
+  router.patch(
+    "/loan-applications/:id/party/accept",
+    verifyJWT,
+    loadUser,
+    loadParty,
+    validateBody(partyDetailsSchema),
+    respond(true),
+  );
+
+  router.patch(
+    "/loan-applications/:id/party/decline",
+    verifyJWT,
+    loadUser,
+    loadParty,
+    respond(false),
+  );
+
+  // Upload a file for one of the party's own documents, after accepting
+  router.post(
+    "/loan-applications/:id/party/documents/:docId",
+    verifyJWT,
+    loadUser,
+    loadParty,
+    uploadDocument,
+    async (req, res) => {
+      const { application, party } = req;
+      const document = (party.documents || []).find(
+        (doc) => doc._id.toString() === req.params.docId,
+      );
+      if (!document) {
+        return res.status(404).send({ message: "Document not found" });
+      }
+      if (party.status !== "accepted") {
+        return res
+          .status(409)
+          .send({ message: "Accept the invitation before uploading" });
+      }
+      if (!OPEN_STATUSES.includes(application.status)) {
+        return res.status(409).send({
+          message: "Documents can no longer be changed for this application",
+        });
+      }
+      if (document.status === "verified") {
+        return res
+          .status(409)
+          .send({ message: "This document is already verified" });
+      }
+
+      const stored = await storage.save({
+        folder: application._id.toString(),
+        buffer: req.file.buffer,
+        originalName: req.file.originalname,
+      });
+      const file = {
+        key: stored.key,
+        storage: storage.name,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: stored.size,
+        uploadedAt: new Date(),
+      };
+
+      await applicationsCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            "parties.$[party].documents.$[doc].file": file,
+            "parties.$[party].documents.$[doc].status": "submitted",
+            "parties.$[party].documents.$[doc].reviewNote": "",
+          },
+        },
+        {
+          arrayFilters: [
+            { "party._id": party._id },
+            { "doc._id": document._id },
+          ],
+        },
+      );
+      // a re-upload after rejection replaces the previous file
+      if (document.file?.key) await storage.remove(document.file.key);
+
+      res.send({ ...document, file, status: "submitted", reviewNote: "" });
+    },
+  );
+
+  // Download a party's document, for staff and the party themselves
+  router.get(
+    "/loan-applications/:id/parties/:partyId/documents/:docId/file",
+    verifyJWT,
+    loadUser,
+    async (req, res) => {
+      const application = await findApplication(req.params.id);
+      const party = application && findParty(application, req.params.partyId);
+      if (!party || (party.email !== req.tokenEmail && !isStaff(req.user))) {
+        return res.status(404).send({ message: "Document not found" });
+      }
+      const document = (party.documents || []).find(
+        (doc) => doc._id.toString() === req.params.docId,
+      );
+      if (!document?.file) {
+        return res.status(404).send({ message: "Document not found" });
+      }
+      await sendDocumentFile(storage, res, document.file);
+    },
+  );
+
+  // Mark a party's submitted document verified or rejected
+  router.patch(
+    "/manager/loan-applications/:id/parties/:partyId/documents/:docId",
+    verifyJWT,
+    verifyManager,
+    audit("application.party.document.review", {
+      collection: applicationsCollection,
+    }),
+    async (req, res) => {
+      const { id, partyId, docId } = req.params;
+      const { status, note } = req.body;
+      if (!["verified", "rejected"].includes(status)) {
+        return res
+          .status(400)
+          .send({ message: 'Status must be "verified" or "rejected"' });
+      }
+      if (status === "rejected" && !note) {
+        return res
+          .status(400)
+          .send({ message: "A note is required when rejecting a document" });
+      }
+
+      const application = await findApplication(id);
+      const party = application && findParty(application, partyId);
+      const document = party?.documents?.find(
+        (doc) => doc._id.toString() === docId && doc.file,
+      );
+      if (!document) {
+        return res
+          .status(404)
+          .send({ message: "No uploaded document found to review" });
+      }
+
+      const result = await applicationsCollection.updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            "parties.$[party].documents.$[doc].status": status,
+            "parties.$[party].documents.$[doc].reviewNote": note || "",
+            "parties.$[party].documents.$[doc].reviewedBy": req.tokenEmail,
+            "parties.$[party].documents.$[doc].reviewedAt": new Date(),
+          },
+        },
+        {
+          arrayFilters: [
+            { "party._id": party._id },
+            { "doc._id": document._id },
+          ],
+        },
+      );
+      res.send(result);
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createPartiesRouter };
@@ -0,0 +1,120 @@
+const express = require("express");
+const {
+  redeemInvite,
+  releaseInvite,
+  sendInviteError,
+} = require("../utils/invites");
+const { claimsMatch } = require("../utils/claims");
+const { validateIdParams } = require("../middlewares/validateIds");
+
+const createUsersRouter = ({
+  usersCollection,
+  invitesCollection,
+  verifyJWT,
+  syncClaims,
+  rateLimit,
+}) => {
+  const router = validateIdParams(express.Router());
+
+  // Sign up or log in with a Firebase ID token. The email comes from the
+  // token and new users are borrowers; a manager or admin account needs an
+  // invite token, see utils/invites. Throttled per IP before the token is
+  // checked, so floods of bad tokens never reach Firebase.
+  router.post("/users", rateLimit("register"), verifyJWT, async (req, res) => {
+    const email = req.tokenEmail;
+    const { name, photo, inviteToken } = req.body ?? {};
+    const query = { email };
+
+    let invite;
+    if (inviteToken) {
+      try {
+        invite = await redeemInvite(invitesCollection, inviteToken, email);
+      } catch (err) {
+        return sendInviteError(res, err);
+      }
+    }
+    const invited = invite && {
+      role: invite.role,
+      inviteId: invite._id,
+      invitedBy: invite.createdBy,
+    };
+
+    // a failed write or claims sync gives the invite back, so signing up
+    // again can still use it
+    let result;
+    let claimsUpdated;
+    try {
+      const alreadyExists = await usersCollection.findOne(query);
+      if (alreadyExists) {
+        result = await usersCollection.updateOne(query, {
+          $set: {
+            uid: req.tokenUid,
+            last_loggedIn: new Date().toISOString(),
+            ...invited,
+          },
+        });
+      } else {
+        result = await usersCollection.insertOne({
+          name,
+          email,
+          photo,
+          uid: req.tokenUid,
+          role: "borrower",
+          ...invited,
+          status: "approved",
+          created_at: new Date().toISOString(),
+          last_loggedIn: new Date().toISOString(),
+        });
+      }
+
+      // New accounts and redeemed invites get their claims here; the client
+      // refreshes its ID token when `claimsUpdated` is set
+      const user = await usersCollection.findOne(query);
+      claimsUpdated = !claimsMatch(req.tokenClaims, user);
+      if (claimsUpdated) await syncClaims(user);
+    } catch (err) {
+      if (invite) await releaseInvite(invitesCollection, invite);
+      throw err;
+    }
+    res.send({ ...result, claimsUpdated });
+  });
+
+  router.patch("/users/profile", verifyJWT, async (req, res) => {
+    const email = req.tokenEmail;
+    const { name, photo } = req.body ?? {};
+
+    const result = await usersCollection.updateOne(
+      { email },
+      {
+        $set: {
+          name,
+          photo,
+          updated_at: new Date(),
+        },
+      },
+    );
+
+    res.send(result);
+  });
+
+  // only for the caller's own email, roles of others are not public
+  router.get(
+    "/users/role/:email",
+    verifyJWT,
+    rateLimit("roleLookup"),
+    async (req, res) => {
+      const email = req.params.email;
+      if (email !== req.tokenEmail) {
+        return res
+          .status(403)
+          .send({ message: "You can only look up your own role" });
+      }
+      const result = await usersCollection.findOne({ email });
+      res.send({ role: result?.role });
+    },
+  );
+
+  return router;
+};
+
+module.exports = { createUsersRouter };
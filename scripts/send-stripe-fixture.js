@@ -0,0 +1,37 @@
+// Signs a Stripe fixture with the local webhook secret and posts it to the
+// running server, e.g. node scripts/send-stripe-fixture.js charge.refunded
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+const [name = "checkout.session.completed", applicationId] =
+  process.argv.slice(2);
+const port = process.env.PORT || 3000;
+
+const event = JSON.parse(
+  fs.readFileSync(
+    path.join(__dirname, "..", "fixtures", "stripe", `${name}.json`),
+    "utf-8",
+  ),
+);
+if (applicationId && event.data.object.metadata) {
+  event.data.object.metadata.loanId = applicationId;
+}
+
+const payload = JSON.stringify(event);
+const signature = stripe.webhooks.generateTestHeaderString({
+  payload,
+  secret: process.env.STRIPE_WEBHOOK_SECRET,
+});
+
+fetch(`http://localhost:${port}/webhooks/stripe`, {
+  method: "POST",
+  headers: {
+    "Content-Type": "application/json",
+    "Stripe-Signature": signature,
+  },
+  body: payload,
+})
+  .then(async (res) => console.log(res.status, await res.text()))
+  .catch(console.dir);
@@ -0,0 +1,20 @@
+const path = require("path");
+const { createLocalStorage } = require("./localStorage");
+
+// Every storage backend exposes save({ folder, buffer, originalName }),
+// read(key) returning a readable stream, and remove(key).
+const drivers = {
+  local: () =>
+    createLocalStorage({
+      root: process.env.UPLOAD_DIR || path.join(__dirname, "..", "uploads"),
+    }),
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || "local") => {
+  if (!drivers[driver]) {
+    throw new Error(`Unknown storage driver "${driver}"`);
+  }
+  return drivers[driver]();
+};
+
+module.exports = { drivers, createStorage };
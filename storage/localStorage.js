@@ -0,0 +1,40 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+// Stores uploaded files on the local disk, keyed by "<folder>/<random name>"
+const createLocalStorage = ({ root }) => {
+  const resolve = (key) => {
+    const fullPath = path.resolve(root, key);
+    // keys come from the database, but never let one escape the upload root
+    if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error("Invalid storage key");
+    }
+    return fullPath;
+  };
+
+  return {
+    name: "local",
+
+    async save({ folder, buffer, originalName }) {
+      const ext = path.extname(originalName || "").toLowerCase();
+      const key = `${folder}/${crypto.randomUUID()}${ext}`;
+      const fullPath = resolve(key);
+      await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.promises.writeFile(fullPath, buffer);
+      return { key, size: buffer.length };
+    },
+
+    async read(key) {
+      const fullPath = resolve(key);
+      await fs.promises.access(fullPath);
+      return fs.createReadStream(fullPath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+};
+
+module.exports = { createLocalStorage };
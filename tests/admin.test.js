@@ -0,0 +1,826 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUser,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+} = require("./helpers/seed");
+const { refundFee } = require("../utils/fees");
+
+const loanUpdate = {
+  loanTitle: "Renamed Loan",
+  description: "Updated description",
+  category: "Personal",
+  interestRate: "9.5",
+  maxLimit: "30000",
+  emiPlans: ["6 Months"],
+  requiredDocuments: [],
+  loanImage: "https://images.test/new.png",
+  showOnHome: false,
+};
+
+// audit entries are written after the response has been sent
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("admin routes", () => {
+  let ctx;
+  let users;
+
+  const admin = authHeader(EMAILS.admin);
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    users = await seedUsers(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  it("rejects managers on admin routes", async () => {
+    const res = await request(ctx.app)
+      .get("/admin/loans")
+      .set(authHeader(EMAILS.manager));
+    expect(res.status).toBe(403);
+  });
+
+  describe("loans", () => {
+    let loan;
+
+    beforeEach(async () => {
+      loan = await seedLoan(ctx.db);
+    });
+
+    it("GET /admin/loans lists every loan", async () => {
+      await seedLoan(ctx.db, { showOnHome: false });
+      const res = await request(ctx.app).get("/admin/loans").set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+    });
+
+    it("GET /admin/loans/:id returns one loan or 404", async () => {
+      const found = await request(ctx.app)
+        .get(`/admin/loans/${loan._id}`)
+        .set(admin);
+      expect(found.body.loanTitle).toBe(loan.loanTitle);
+
+      await ctx.db.collection("loans").deleteOne({ _id: loan._id });
+      const missing = await request(ctx.app)
+        .get(`/admin/loans/${loan._id}`)
+        .set(admin);
+      expect(missing.status).toBe(404);
+    });
+
+    it("PATCH /admin/loans/:id/show-on-home toggles visibility", async () => {
+      const res = await request(ctx.app)
+        .patch(`/admin/loans/${loan._id}/show-on-home`)
+        .set(admin)
+        .send({ showOnHome: false });
+      expect(res.body.modifiedCount).toBe(1);
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(stored.showOnHome).toBe(false);
+      // catalog placement is not a lending term, no new version
+      expect(stored.version).toBeUndefined();
+      expect(await ctx.db.collection("loanVersions").countDocuments()).toBe(1);
+    });
+
+    it("PATCH /admin/loans/:id/show-on-home takes only a boolean", async () => {
+      for (const body of [{ showOnHome: "maybe" }, undefined]) {
+        const res = await request(ctx.app)
+          .patch(`/admin/loans/${loan._id}/show-on-home`)
+          .set(admin)
+          .send(body);
+        expect(res.status).toBe(422);
+        expect(res.body.errors.showOnHome).toBeDefined();
+      }
+    });
+
+    it("PUT /admin/loans/:id replaces the loan details", async () => {
+      const res = await request(ctx.app)
+        .put(`/admin/loans/${loan._id}`)
+        .set(admin)
+        .send(loanUpdate);
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(stored).toMatchObject({
+        loanTitle: "Renamed Loan",
+        interestRate: 9.5,
+        maxLimit: 30000,
+      });
+    });
+
+    it("PUT /admin/loans/:id validates the body", async () => {
+      const res = await request(ctx.app)
+        .put(`/admin/loans/${loan._id}`)
+        .set(admin)
+        .send({ ...loanUpdate, maxLimit: "lots" });
+      expect(res.status).toBe(422);
+      expect(res.body.errors.maxLimit).toBeDefined();
+    });
+
+    it("DELETE /admin/loans/:id archives the loan", async () => {
+      const res = await request(ctx.app)
+        .delete(`/admin/loans/${loan._id}`)
+        .set(admin);
+      expect(res.body.deletedCount).toBe(1);
+
+      const archived = await request(ctx.app)
+        .get("/admin/loans?archived=true")
+        .set(admin);
+      expect(archived.body).toHaveLength(1);
+      expect(archived.body[0].deletedBy).toBe(EMAILS.admin);
+
+      const again = await request(ctx.app)
+        .delete(`/admin/loans/${loan._id}`)
+        .set(admin);
+      expect(again.status).toBe(409);
+    });
+
+    it("PATCH /admin/loans/:id/restore brings an archived loan back", async () => {
+      await request(ctx.app).delete(`/admin/loans/${loan._id}`).set(admin);
+      const res = await request(ctx.app)
+        .patch(`/admin/loans/${loan._id}/restore`)
+        .set(admin);
+      expect(res.status).toBe(200);
+
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(stored.deletedAt).toBeUndefined();
+      expect(stored.restoredBy).toBe(EMAILS.admin);
+      const home = await request(ctx.app).get("/loans/home");
+      expect(home.body).toHaveLength(1);
+
+      const twice = await request(ctx.app)
+        .patch(`/admin/loans/${loan._id}/restore`)
+        .set(admin);
+      expect(twice.status).toBe(409);
+    });
+  });
+
+  describe("users", () => {
+    it("GET /admin/users pages and filters users, excluding the caller", async () => {
+      const res = await request(ctx.app)
+        .get("/admin/users?page=1&limit=2")
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(3);
+      expect(res.body.users).toHaveLength(2);
+
+      const managers = await request(ctx.app)
+        .get("/admin/users?role=manager")
+        .set(admin);
+      expect(managers.body.users.map((u) => u.email)).toEqual([EMAILS.manager]);
+
+      const search = await request(ctx.app)
+        .get("/admin/users?search=other")
+        .set(admin);
+      expect(search.body.total).toBe(1);
+    });
+
+    it("GET /admin/users-management filters without paging", async () => {
+      const res = await request(ctx.app)
+        .get("/admin/users-management?role=borrower")
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(2);
+    });
+
+    it("PATCH /admin/users/:id/role changes the role", async () => {
+      const res = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/role`)
+        .set(admin)
+        .send({ role: "manager" });
+      expect(res.status).toBe(200);
+      const stored = await ctx.db
+        .collection("users")
+        .findOne({ _id: users.borrower._id });
+      expect(stored.role).toBe("manager");
+    });
+
+    it("PATCH /admin/users/:id/suspend suspends the user", async () => {
+      await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/suspend`)
+        .set(admin)
+        .send({ reason: "Fraud", feedback: "Contact support" });
+      const stored = await ctx.db
+        .collection("users")
+        .findOne({ _id: users.borrower._id });
+      expect(stored).toMatchObject({
+        status: "suspended",
+        suspendReason: "Fraud",
+        adminFeedback: "Contact support",
+      });
+    });
+
+    it("PATCH /admin/users/:id/approve reinstates the user", async () => {
+      await ctx.db
+        .collection("users")
+        .updateOne({ _id: users.other._id }, { $set: { status: "suspended" } });
+      await request(ctx.app)
+        .patch(`/admin/users/${users.other._id}/approve`)
+        .set(admin);
+      const stored = await ctx.db
+        .collection("users")
+        .findOne({ _id: users.other._id });
+      expect(stored.status).toBe("approved");
+    });
+
+    it("syncs a role change to custom claims and revokes sessions", async () => {
+      const res = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/role`)
+        .set(admin)
+        .send({ role: "manager" });
+      expect(res.body.claims).toEqual({
+        uid: EMAILS.borrower,
+        synced: true,
+        revoked: true,
+      });
+      expect(ctx.auth.claims.get(EMAILS.borrower)).toEqual({
+        role: "manager",
+        suspended: false,
+      });
+
+      const stale = await request(ctx.app)
+        .get("/loans")
+        .set(authHeader(EMAILS.borrower));
+      expect(stale.status).toBe(401);
+
+      // signing in again picks the new role up from the claims
+      ctx.auth.revoked.delete(EMAILS.borrower);
+      const fresh = await request(ctx.app)
+        .get("/loans")
+        .set(authHeader(EMAILS.borrower));
+      expect(fresh.status).toBe(200);
+    });
+
+    it("only accepts known roles", async () => {
+      const res = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/role`)
+        .set(admin)
+        .send({ role: "superuser" });
+      expect(res.status).toBe(422);
+      expect(ctx.auth.setCustomUserClaims).not.toHaveBeenCalledWith(
+        EMAILS.borrower,
+        expect.anything(),
+      );
+    });
+
+    it("shuts a suspended user out of every route", async () => {
+      await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/suspend`)
+        .set(admin)
+        .send({ reason: "Fraud" });
+      expect(ctx.auth.revokeRefreshTokens).toHaveBeenCalledWith(
+        EMAILS.borrower,
+      );
+      expect(ctx.auth.claims.get(EMAILS.borrower)).toEqual({
+        role: "borrower",
+        suspended: true,
+      });
+
+      const borrower = authHeader(EMAILS.borrower);
+      const revoked = await request(ctx.app)
+        .patch("/users/profile")
+        .set(borrower)
+        .send({ name: "Still here" });
+      expect(revoked.status).toBe(401);
+
+      // a new token still carries the suspended claim
+      ctx.auth.revoked.delete(EMAILS.borrower);
+      const suspended = await request(ctx.app)
+        .patch("/users/profile")
+        .set(borrower)
+        .send({ name: "Still here" });
+      expect(suspended.status).toBe(403);
+
+      await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/approve`)
+        .set(admin);
+      expect(ctx.auth.claims.get(EMAILS.borrower).suspended).toBe(false);
+      const approved = await request(ctx.app)
+        .patch("/users/profile")
+        .set(borrower)
+        .send({ name: "Back" });
+      expect(approved.status).toBe(200);
+    });
+
+    it("answers 502 when the claims cannot be written, and retries cleanly", async () => {
+      // the admin's token carries claims, so nothing is backfilled first
+      ctx.auth.claims.set(EMAILS.admin, { role: "admin", suspended: false });
+      ctx.auth.setCustomUserClaims.mockRejectedValueOnce(
+        Object.assign(new Error("unavailable"), {
+          code: "auth/internal-error",
+        }),
+      );
+      const failed = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/suspend`)
+        .set(admin)
+        .send({ reason: "Fraud" });
+      expect(failed.status).toBe(502);
+      expect(failed.body.reason).toBe("auth/internal-error");
+
+      const retried = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/suspend`)
+        .set(admin)
+        .send({ reason: "Fraud" });
+      expect(retried.status).toBe(200);
+      expect(ctx.auth.revokeRefreshTokens).toHaveBeenCalledWith(
+        EMAILS.borrower,
+      );
+    });
+
+    it("answers 404 for users that do not exist", async () => {
+      const res = await request(ctx.app)
+        .patch(`/admin/users/${new ObjectId()}/suspend`)
+        .set(admin)
+        .send({ reason: "Fraud" });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("loan applications", () => {
+    let loan;
+
+    beforeEach(async () => {
+      loan = await seedLoan(ctx.db);
+    });
+
+    it("GET /admin/loan-applications lists every application", async () => {
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { userEmail: EMAILS.other });
+      const res = await request(ctx.app)
+        .get("/admin/loan-applications")
+        .set(admin);
+      expect(res.body).toHaveLength(2);
+    });
+
+    it("PATCH /admin/loan-applications/:id/status leaves approval and disbursement to managers", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "approved",
+      });
+      for (const status of ["disbursed", "approved"]) {
+        const res = await request(ctx.app)
+          .patch(`/admin/loan-applications/${application._id}/status`)
+          .set(admin)
+          .send({ status });
+        expect(res.status).toBe(400);
+        expect(res.body.allowed).not.toContain(status);
+      }
+      const stored = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: application._id });
+      expect(stored.status).toBe("approved");
+      expect(await ctx.db.collection("repayments").countDocuments()).toBe(0);
+    });
+
+    it("PATCH /admin/loan-applications/:id/status follows the state machine", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/status`)
+        .set(admin)
+        .send({ status: "under_review", reason: "Escalated" });
+      expect(res.status).toBe(200);
+
+      const illegal = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/status`)
+        .set(admin)
+        .send({ status: "closed" });
+      expect(illegal.status).toBe(409);
+
+      const unknown = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/status`)
+        .set(admin)
+        .send({ status: "whatever" });
+      expect(unknown.status).toBe(400);
+    });
+  });
+
+  describe("audit log", () => {
+    beforeEach(async () => {
+      await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/role`)
+        .set(admin)
+        .send({ role: "manager" });
+      await request(ctx.app)
+        .patch(`/admin/users/${users.other._id}/suspend`)
+        .set(admin)
+        .send({ reason: "Spam" });
+      await flush();
+    });
+
+    it("records who changed what", async () => {
+      const res = await request(ctx.app)
+        .get("/admin/audit-log?action=user.role")
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(1);
+      expect(res.body.logs[0]).toMatchObject({
+        actor: EMAILS.admin,
+        route: "/admin/users/:id/role",
+        targetId: users.borrower._id.toString(),
+        changes: { role: { before: "borrower", after: "manager" } },
+      });
+    });
+
+    it("pages newest first", async () => {
+      const res = await request(ctx.app)
+        .get("/admin/audit-log?limit=1")
+        .set(admin);
+      expect(res.body.total).toBe(2);
+      expect(res.body.logs[0].action).toBe("user.suspend");
+    });
+
+    it("filters by date and validates the range", async () => {
+      const today = new Date().toISOString().slice(0, 10);
+      const res = await request(ctx.app)
+        .get(`/admin/audit-log?from=${today}&to=${today}`)
+        .set(admin);
+      expect(res.body.total).toBe(2);
+
+      const before = await request(ctx.app)
+        .get("/admin/audit-log?to=2020-01-01")
+        .set(admin);
+      expect(before.body.total).toBe(0);
+
+      for (const url of [
+        "/admin/audit-log?from=yesterday",
+        "/admin/audit-log/export?to=soon",
+        "/admin/audit-log?from=2026-02-01&to=2026-01-01",
+      ]) {
+        const invalid = await request(ctx.app).get(url).set(admin);
+        expect(invalid.status).toBe(422);
+        expect(invalid.body.message).toBe("Validation failed");
+      }
+    });
+
+    it("exports CSV", async () => {
+      const res = await request(ctx.app)
+        .get("/admin/audit-log/export")
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/text\/csv/);
+      const lines = res.text.split("\r\n");
+      expect(lines[0]).toBe(
+        "createdAt,actor,action,method,url,targetId,statusCode,ip,changes",
+      );
+      expect(lines).toHaveLength(3);
+    });
+  });
+
+  describe("application fees", () => {
+    let loan;
+    let application;
+
+    beforeEach(async () => {
+      loan = await seedLoan(ctx.db);
+      application = await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        paymentInfo: {
+          transactionId: "pi_test_fixture",
+          amount: 1000,
+          currency: "usd",
+          paidAt: new Date(),
+        },
+      });
+    });
+
+    const refund = (body, id = application._id) =>
+      request(ctx.app)
+        .post(`/admin/loan-applications/${id}/fee-refund`)
+        .set(admin)
+        .send(body);
+
+    const stored = () =>
+      ctx.db.collection("loanApplications").findOne({ _id: application._id });
+
+    it("refunds part of a fee, then the rest", async () => {
+      const first = await refund({ amount: 4, reason: "Goodwill" });
+      expect(first.status).toBe(200);
+      expect(first.body).toMatchObject({ amount: 400, status: "succeeded" });
+      expect(await stored()).toMatchObject({
+        applicationFeeStatus: "partially_refunded",
+        paymentInfo: { refundedAmount: 400 },
+      });
+
+      ctx.payments.refunds.create.mockImplementationOnce(async (params) => ({
+        id: "re_test_456",
+        status: "pending",
+        amount: params.amount,
+      }));
+      const rest = await refund({});
+      expect(rest.body.amount).toBe(600);
+      const after = await stored();
+      expect(after.applicationFeeStatus).toBe("refunded");
+      expect(after.feeRefunds.map((item) => item.status)).toEqual([
+        "succeeded",
+        "pending",
+      ]);
+
+      await flush();
+      const log = await ctx.db
+        .collection("auditLog")
+        .findOne({ action: "fee.refund" });
+      expect(log.targetId).toBe(application._id.toString());
+      const notification = await ctx.db
+        .collection("notifications")
+        .findOne({ type: "fee.refunded" });
+      expect(notification.message).toContain("4.00 USD");
+    });
+
+    it("refuses refunds above what is left or of unpaid fees", async () => {
+      const tooMuch = await refund({ amount: 11 });
+      expect(tooMuch.status).toBe(400);
+      expect(tooMuch.body.refundable).toBe(10);
+
+      const unpaid = await seedApplication(ctx.db, loan);
+      const res = await refund({}, unpaid._id);
+      expect(res.status).toBe(409);
+      expect(ctx.payments.refunds.create).not.toHaveBeenCalled();
+
+      const invalid = await refund({ amount: -1 });
+      expect(invalid.status).toBe(422);
+    });
+
+    it("records refunds Stripe refuses", async () => {
+      ctx.payments.refunds.create.mockRejectedValueOnce(
+        new Error("Charge already refunded"),
+      );
+      const res = await refund({});
+      expect(res.status).toBe(502);
+      const after = await stored();
+      expect(after.applicationFeeStatus).toBe("paid");
+      expect(after.paymentInfo.refundedAmount).toBe(0);
+      expect(after.feeRefunds[0]).toMatchObject({
+        status: "failed",
+        error: "Charge already refunded",
+      });
+    });
+
+    it("reserves the amount so a stale read cannot refund it again", async () => {
+      const deps = {
+        applicationsCollection: ctx.db.collection("loanApplications"),
+        payments: ctx.payments,
+      };
+      // two admins who both loaded the application before either refunded
+      const first = await refundFee(deps, application, { actor: EMAILS.admin });
+      expect(first.amount).toBe(1000);
+
+      await expect(
+        refundFee(deps, application, { actor: EMAILS.admin }),
+      ).rejects.toMatchObject({ name: "FeeError", statusCode: 409 });
+      expect(ctx.payments.refunds.create).toHaveBeenCalledTimes(1);
+      expect(await stored()).toMatchObject({
+        applicationFeeStatus: "refunded",
+        paymentInfo: { refundedAmount: 1000 },
+      });
+    });
+
+    it("waives and restores the fee of an unpaid application", async () => {
+      const unpaid = await seedApplication(ctx.db, loan);
+      const path = `/admin/loan-applications/${unpaid._id}/fee-waiver`;
+
+      const missing = await request(ctx.app).patch(path).set(admin).send({});
+      expect(missing.status).toBe(422);
+
+      const res = await request(ctx.app)
+        .patch(path)
+        .set(admin)
+        .send({ reason: "Hardship" });
+      expect(res.status).toBe(200);
+      const waived = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: unpaid._id });
+      expect(waived).toMatchObject({
+        applicationFeeStatus: "waived",
+        feeWaiver: { reason: "Hardship", waivedBy: EMAILS.admin },
+      });
+
+      const paid = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/fee-waiver`)
+        .set(admin)
+        .send({ reason: "Too late" });
+      expect(paid.status).toBe(409);
+
+      const revoked = await request(ctx.app).delete(path).set(admin);
+      expect(revoked.status).toBe(200);
+      const restored = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: unpaid._id });
+      expect(restored.applicationFeeStatus).toBe("unpaid");
+      expect(restored.feeWaiver).toBeUndefined();
+    });
+
+    it("waives a user's open and future fees", async () => {
+      const open = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/fee-waiver`)
+        .set(admin)
+        .send({ reason: "Partner program" });
+      expect(res.status).toBe(200);
+      expect(res.body.waivedApplications).toBe(1);
+      const waived = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: open._id });
+      expect(waived.feeWaiver).toMatchObject({ source: "user" });
+      expect((await stored()).applicationFeeStatus).toBe("paid");
+
+      await request(ctx.app)
+        .delete(`/admin/users/${users.borrower._id}/fee-waiver`)
+        .set(admin);
+      const user = await ctx.db
+        .collection("users")
+        .findOne({ _id: users.borrower._id });
+      expect(user.feeWaiver).toBeUndefined();
+    });
+  });
+
+  describe("review assignments", () => {
+    const second = "second.manager@loanlink.test";
+    let loan;
+
+    beforeEach(async () => {
+      await seedUser(ctx.db, { email: second, role: "manager" });
+      loan = await seedLoan(ctx.db);
+    });
+
+    it("reassigns one application and audits it", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/assignee`)
+        .set(admin)
+        .send({ managerEmail: second });
+      expect(res.status).toBe(200);
+      expect(res.body.assignedTo).toBe(second);
+
+      const back = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/assignee`)
+        .set(admin)
+        .send({ managerEmail: null });
+      expect(back.body.assignedTo).toBeNull();
+
+      await flush();
+      const log = await ctx.db
+        .collection("auditLog")
+        .findOne({ action: "application.reassign" });
+      expect(log.changes.assignedTo).toEqual({
+        before: EMAILS.manager,
+        after: second,
+      });
+    });
+
+    it("only assigns to active managers", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/assignee`)
+        .set(admin)
+        .send({ managerEmail: EMAILS.borrower });
+      expect(res.status).toBe(400);
+
+      const missing = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/assignee`)
+        .set(admin)
+        .send({});
+      expect(missing.status).toBe(400);
+    });
+
+    it("moves a manager's whole queue", async () => {
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { status: "under_review" });
+      await seedApplication(ctx.db, loan, { status: "approved" });
+
+      const res = await request(ctx.app)
+        .post(`/admin/managers/${EMAILS.manager}/reassign`)
+        .set(admin)
+        .send({});
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ reassigned: 2, unassigned: 0 });
+      expect(res.body.assignments.map((item) => item.assignedTo)).toEqual([
+        second,
+        second,
+      ]);
+
+      const decided = await ctx.db
+        .collection("loanApplications")
+        .findOne({ status: "approved" });
+      expect(decided.assignedTo).toBe(EMAILS.manager);
+    });
+
+    it("reports the workload per manager", async () => {
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { status: "under_review" });
+      await seedApplication(ctx.db, loan, { assignedTo: null });
+      await seedApplication(ctx.db, loan, { status: "rejected" });
+
+      const res = await request(ctx.app)
+        .get("/admin/managers/workload")
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body.managers).toEqual([
+        expect.objectContaining({
+          manager: EMAILS.manager,
+          active: true,
+          pending: 1,
+          under_review: 1,
+          total: 2,
+        }),
+        expect.objectContaining({ manager: second, total: 0 }),
+      ]);
+      expect(res.body.unassigned).toMatchObject({ pending: 1, total: 1 });
+    });
+
+    it("validates the assignment settings", async () => {
+      const bad = await request(ctx.app)
+        .put("/admin/assignment-settings")
+        .set(admin)
+        .send({ strategy: "random", categories: { Business: [EMAILS.other] } });
+      expect(bad.status).toBe(422);
+      expect(Object.keys(bad.body.errors).sort()).toEqual([
+        "categories.Business",
+        "strategy",
+      ]);
+
+      const res = await request(ctx.app)
+        .put("/admin/assignment-settings")
+        .set(admin)
+        .send({ strategy: "category", categories: { Business: [second] } });
+      expect(res.status).toBe(200);
+      const stored = await request(ctx.app)
+        .get("/admin/assignment-settings")
+        .set(admin);
+      expect(stored.body).toEqual({
+        strategy: "category",
+        categories: { Business: [second] },
+      });
+    });
+  });
+
+  describe("scoring rules", () => {
+    it("returns the defaults until an admin changes them", async () => {
+      const res = await request(ctx.app).get("/admin/scoring-rules").set(admin);
+      expect(res.status).toBe(200);
+      expect(res.body.rules.incomeRatio).toEqual({
+        enabled: true,
+        weight: 35,
+        threshold: 0.4,
+      });
+      expect(res.body.bands).toEqual({ low: 30, medium: 60 });
+    });
+
+    it("updates weights and thresholds and audits the change", async () => {
+      const res = await request(ctx.app)
+        .put("/admin/scoring-rules")
+        .set(admin)
+        .send({
+          rules: { activeLoans: { threshold: 2 }, limitUsage: { weight: 10 } },
+        });
+      expect(res.status).toBe(200);
+      expect(res.body.rules.activeLoans).toMatchObject({
+        weight: 25,
+        threshold: 2,
+      });
+
+      const stored = await request(ctx.app)
+        .get("/admin/scoring-rules")
+        .set(admin);
+      expect(stored.body.rules.limitUsage.weight).toBe(10);
+
+      await flush();
+      const log = await ctx.db
+        .collection("auditLog")
+        .findOne({ action: "scoring.update" });
+      expect(log).toMatchObject({ actor: EMAILS.admin, targetId: "scoring" });
+      expect(log.changes.rules.before).toBeUndefined();
+    });
+
+    it("refuses unknown rules and bad values", async () => {
+      const res = await request(ctx.app)
+        .put("/admin/scoring-rules")
+        .set(admin)
+        .send({
+          rules: { shoeSize: {}, incomeRatio: { weight: -1 } },
+          bands: { low: 70, medium: 50 },
+        });
+      expect(res.status).toBe(422);
+      expect(Object.keys(res.body.errors).sort()).toEqual([
+        "bands",
+        "rules.incomeRatio.weight",
+        "rules.shoeSize",
+      ]);
+    });
+
+    it("is admin only", async () => {
+      const res = await request(ctx.app)
+        .put("/admin/scoring-rules")
+        .set(authHeader(EMAILS.manager))
+        .send({ bands: { low: 10 } });
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const request = require("supertest");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUser,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+} = require("./helpers/seed");
+
+const HOUR = 60 * 60 * 1000;
+const at = (iso) => new Date(iso);
+
+describe("admin analytics", () => {
+  let ctx;
+  let loan;
+
+  const admin = authHeader(EMAILS.admin);
+  const get = (path) => request(ctx.app).get(path).set(admin);
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  it("is admin only", async () => {
+    const res = await request(ctx.app)
+      .get("/admin/analytics/applications")
+      .set(authHeader(EMAILS.manager));
+    expect(res.status).toBe(403);
+  });
+
+  it("validates the range and interval", async () => {
+    const res = await get(
+      "/admin/analytics/applications?from=nope&interval=year",
+    );
+    expect(res.status).toBe(422);
+    expect(Object.keys(res.body.errors).sort()).toEqual(["from", "interval"]);
+  });
+
+  it("counts applications per period by status", async () => {
+    await seedApplication(ctx.db, loan, { appliedAt: at("2026-03-02T09:00Z") });
+    await seedApplication(ctx.db, loan, {
+      appliedAt: at("2026-03-04T09:00Z"),
+      status: "rejected",
+    });
+    await seedApplication(ctx.db, loan, { appliedAt: at("2026-03-10T09:00Z") });
+    await seedApplication(ctx.db, loan, { appliedAt: at("2026-02-01T09:00Z") });
+
+    const res = await get(
+      "/admin/analytics/applications?from=2026-03-01&to=2026-03-31&interval=week",
+    );
+    expect(res.status).toBe(200);
+    expect(res.body.periods).toEqual([
+      {
+        period: "2026-03-02T00:00:00.000Z",
+        total: 2,
+        byStatus: { pending: 1, rejected: 1 },
+      },
+      {
+        period: "2026-03-09T00:00:00.000Z",
+        total: 1,
+        byStatus: { pending: 1 },
+      },
+    ]);
+  });
+
+  it("reports approval rate and decision time per manager", async () => {
+    const appliedAt = at("2026-03-01T00:00Z");
+    await seedApplication(ctx.db, loan, {
+      appliedAt,
+      status: "approved",
+      approvedAt: new Date(appliedAt.getTime() + 10 * HOUR),
+      handledBy: EMAILS.manager,
+    });
+    await seedApplication(ctx.db, loan, {
+      appliedAt,
+      status: "rejected",
+      rejectedAt: new Date(appliedAt.getTime() + 20 * HOUR),
+      managedBy: EMAILS.manager,
+    });
+    await seedApplication(ctx.db, loan, {
+      appliedAt,
+      status: "approved",
+      approvedAt: new Date(appliedAt.getTime() + 4 * HOUR),
+      handledBy: "second@loanlink.test",
+    });
+
+    const res = await get("/admin/analytics/managers");
+    expect(res.body.managers).toEqual([
+      {
+        manager: EMAILS.manager,
+        decisions: 2,
+        approved: 1,
+        rejected: 1,
+        approvalRate: 0.5,
+        avgDecisionHours: 15,
+      },
+      {
+        manager: "second@loanlink.test",
+        decisions: 1,
+        approved: 1,
+        rejected: 0,
+        approvalRate: 1,
+        avgDecisionHours: 4,
+      },
+    ]);
+    expect(res.body.overall).toEqual({
+      decisions: 3,
+      approved: 2,
+      approvalRate: 0.6667,
+    });
+  });
+
+  it("reads appliedAt saved as a string by older clients", async () => {
+    await seedApplication(ctx.db, loan, {
+      appliedAt: "2026-03-02T09:00:00.000Z",
+      status: "approved",
+      approvedAt: at("2026-03-02T15:00Z"),
+      handledBy: EMAILS.manager,
+    });
+    await seedApplication(ctx.db, loan, {
+      appliedAt: "not a date",
+      status: "rejected",
+      rejectedAt: at("2026-03-03T09:00Z"),
+      managedBy: EMAILS.manager,
+    });
+
+    const applications = await get(
+      "/admin/analytics/applications?from=2026-03-01&to=2026-03-31&interval=month",
+    );
+    expect(applications.body.periods).toEqual([
+      {
+        period: "2026-03-01T00:00:00.000Z",
+        total: 1,
+        byStatus: { approved: 1 },
+      },
+    ]);
+
+    const managers = await get("/admin/analytics/managers");
+    expect(managers.status).toBe(200);
+    expect(managers.body.managers[0]).toMatchObject({
+      manager: EMAILS.manager,
+      decisions: 2,
+      avgDecisionHours: 6,
+    });
+  });
+
+  it("sums fee revenue net of refunds", async () => {
+    const paid = (paidAt, extra = {}) =>
+      seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        paymentInfo: { amount: 1000, currency: "usd", paidAt, ...extra },
+      });
+    await paid(at("2026-03-01T10:00Z"));
+    await paid(at("2026-03-01T12:00Z"), { refundedAmount: 400 });
+    await paid(at("2026-03-02T10:00Z"));
+
+    const res = await get("/admin/analytics/fees?interval=day");
+    expect(res.body.periods).toHaveLength(2);
+    expect(res.body.periods[0]).toMatchObject({
+      currency: "usd",
+      payments: 2,
+      gross: 20,
+      refunded: 4,
+      net: 16,
+    });
+    expect(res.body.totals.usd).toEqual({
+      payments: 3,
+      gross: 30,
+      refunded: 4,
+      net: 26,
+    });
+  });
+
+  it("shows demand per category", async () => {
+    const personal = await seedLoan(ctx.db, { category: "Personal" });
+    await seedApplication(ctx.db, loan, { loanAmount: 10000 });
+    await seedApplication(ctx.db, loan, {
+      loanAmount: 20000,
+      status: "disbursed",
+    });
+    await seedApplication(ctx.db, personal, { loanAmount: 5000 });
+
+    const res = await get("/admin/analytics/categories");
+    expect(res.body.categories).toEqual([
+      {
+        category: "Business",
+        applications: 2,
+        approved: 1,
+        requestedAmount: 30000,
+        averageAmount: 15000,
+        products: 1,
+      },
+      {
+        category: "Personal",
+        applications: 1,
+        approved: 0,
+        requestedAmount: 5000,
+        averageAmount: 5000,
+        products: 1,
+      },
+    ]);
+  });
+
+  it("reads loanAmount saved as a string by older clients", async () => {
+    await seedApplication(ctx.db, loan, { loanAmount: 10000 });
+    await seedApplication(ctx.db, loan, { loanAmount: "20000" });
+    await seedApplication(ctx.db, loan, { loanAmount: "a lot" });
+
+    const res = await get("/admin/analytics/categories");
+    expect(res.body.categories[0]).toMatchObject({
+      category: "Business",
+      applications: 3,
+      requestedAmount: 30000,
+      averageAmount: 15000,
+    });
+  });
+
+  it("tracks user growth with a running total", async () => {
+    const join = (email, created_at, role = "borrower") =>
+      seedUser(ctx.db, { email, created_at, role });
+    await join("a@test", "2026-01-15T00:00:00.000Z");
+    await join("b@test", "2026-02-03T00:00:00.000Z");
+    await join("c@test", "2026-02-20T00:00:00.000Z", "manager");
+    await join("d@test", "not a date");
+
+    const res = await get(
+      "/admin/analytics/users?from=2026-02-01&to=2026-02-28&interval=month",
+    );
+    expect(res.body.periods).toEqual([
+      {
+        period: "2026-02-01T00:00:00.000Z",
+        newUsers: 2,
+        byRole: { borrower: 1, manager: 1 },
+        totalUsers: 3,
+      },
+    ]);
+  });
+});
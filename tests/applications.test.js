@@ -0,0 +1,1019 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const {
+  buildTestApp,
+  authHeader,
+  signStripeEvent,
+  loadStripeFixture,
+} = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUser,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+  verifyAllDocuments,
+} = require("./helpers/seed");
+const { buildSchedule } = require("../utils/amortization");
+
+const paidFee = () => ({
+  applicationFeeStatus: "paid",
+  paymentInfo: {
+    transactionId: "pi_test_fixture",
+    amount: 1000,
+    currency: "usd",
+    paidAt: new Date(),
+  },
+});
+
+describe("application routes", () => {
+  let ctx;
+  let loan;
+
+  const applications = () => ctx.db.collection("loanApplications");
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("POST /loan-applications", () => {
+    const validBody = () => ({
+      loanId: loan._id.toString(),
+      loanAmount: "15000",
+      emiPlan: "12 Months",
+      firstName: "Test",
+      lastName: "Borrower",
+      contactNumber: "01700000000",
+      monthlyIncome: "3000",
+      documents: ["National ID", "Bank Statement"],
+    });
+
+    it("stores the application with server controlled fields", async () => {
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send({
+          ...validBody(),
+          userEmail: EMAILS.other,
+          status: "approved",
+          applicationFeeStatus: "paid",
+        });
+
+      expect(res.status).toBe(200);
+      const application = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(application).toMatchObject({
+        userEmail: EMAILS.borrower,
+        status: "pending",
+        applicationFeeStatus: "unpaid",
+        loanAmount: 15000,
+        loanTitle: loan.loanTitle,
+        interestRate: 12,
+        loanVersion: 1,
+      });
+      expect(application.appliedAt).toBeDefined();
+      expect(application.documents).toHaveLength(2);
+      expect(application.statusHistory[0]).toMatchObject({
+        from: null,
+        to: "pending",
+        actor: EMAILS.borrower,
+      });
+    });
+
+    it("assigns new applications to managers round-robin", async () => {
+      await seedUser(ctx.db, {
+        email: "second.manager@loanlink.test",
+        role: "manager",
+      });
+      const assignees = [];
+      for (let i = 0; i < 3; i++) {
+        const res = await request(ctx.app)
+          .post("/loan-applications")
+          .set(authHeader(EMAILS.borrower))
+          .send(validBody());
+        const stored = await applications().findOne({
+          _id: new ObjectId(res.body.insertedId),
+        });
+        assignees.push(stored.assignedTo);
+      }
+      expect(assignees).toEqual([
+        EMAILS.manager,
+        "second.manager@loanlink.test",
+        EMAILS.manager,
+      ]);
+    });
+
+    it("assigns by category when configured", async () => {
+      await seedUser(ctx.db, {
+        email: "business.desk@loanlink.test",
+        role: "manager",
+      });
+      await ctx.db.collection("settings").insertOne({
+        _id: "assignment",
+        strategy: "category",
+        categories: { Business: ["business.desk@loanlink.test"] },
+      });
+      for (let i = 0; i < 2; i++) {
+        await request(ctx.app)
+          .post("/loan-applications")
+          .set(authHeader(EMAILS.borrower))
+          .send(validBody());
+      }
+      const stored = await applications().find().toArray();
+      expect(stored.map((application) => application.assignedTo)).toEqual([
+        "business.desk@loanlink.test",
+        "business.desk@loanlink.test",
+      ]);
+      expect(stored[0].assignmentHistory[0]).toMatchObject({
+        from: null,
+        to: "business.desk@loanlink.test",
+        actor: "system",
+      });
+    });
+
+    it("keeps the product's fee on the application", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne(
+          { _id: loan._id },
+          { $set: { applicationFee: 0, currency: "eur" } },
+        );
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      const stored = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(stored).toMatchObject({
+        applicationFee: { amount: 0, currency: "eur" },
+        applicationFeeStatus: "not_required",
+      });
+    });
+
+    it("waives the fee for users with a fee waiver", async () => {
+      await ctx.db
+        .collection("users")
+        .updateOne(
+          { email: EMAILS.borrower },
+          { $set: { feeWaiver: { reason: "Staff", source: "user" } } },
+        );
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      const stored = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(stored.applicationFeeStatus).toBe("waived");
+      expect(stored.feeWaiver.reason).toBe("Staff");
+    });
+
+    it("saves drafts when asked to", async () => {
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send({ ...validBody(), draft: true });
+      const application = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(application.status).toBe("draft");
+    });
+
+    it("scores the application against the rules", async () => {
+      await seedApplication(ctx.db, loan, { status: "rejected" });
+      await seedApplication(ctx.db, loan, { status: "rejected" });
+
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      const { risk } = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+
+      // 15000 over 12 months at 12% is ~1333 a month, 44% of the income
+      const failed = risk.outcomes
+        .filter((outcome) => !outcome.passed)
+        .map((outcome) => outcome.rule);
+      expect(failed).toEqual(["incomeRatio", "pastRejections"]);
+      expect(risk.outcomes.find((o) => o.rule === "limitUsage").value).toBe(
+        0.3,
+      );
+      expect(risk).toMatchObject({ score: 55, band: "medium" });
+    });
+
+    it("measures the income ratio with the product's interest method", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne({ _id: loan._id }, { $set: { interestMethod: "flat" } });
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      const { risk } = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+
+      // flat: (15000 + 1800 interest) / 12 = 1400 a month, 47% of the income
+      expect(risk.outcomes.find((o) => o.rule === "incomeRatio").value).toBe(
+        0.47,
+      );
+    });
+
+    it("uses the rules stored by admins", async () => {
+      await ctx.db.collection("settings").insertOne({
+        _id: "scoring",
+        rules: { incomeRatio: { enabled: true, weight: 35, threshold: 0.5 } },
+      });
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      const { risk } = await applications().findOne({
+        _id: new ObjectId(res.body.insertedId),
+      });
+      expect(risk).toMatchObject({ score: 0, band: "low" });
+    });
+
+    it("answers 422 when the body is incomplete", async () => {
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send({ loanId: "nope" });
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toMatchObject({
+        loanId: "must be a valid objectId",
+        loanAmount: "is required",
+      });
+    });
+
+    it("checks the request against the loan product", async () => {
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send({
+          ...validBody(),
+          loanAmount: 90000,
+          emiPlan: "48 Months",
+          documents: ["National ID"],
+        });
+      expect(res.status).toBe(422);
+      expect(Object.keys(res.body.errors).sort()).toEqual([
+        "documents",
+        "emiPlan",
+        "loanAmount",
+      ]);
+    });
+
+    it("answers 422 for an unknown loan", async () => {
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send({ ...validBody(), loanId: new ObjectId().toString() });
+      expect(res.status).toBe(422);
+      expect(res.body.errors.loanId).toBeDefined();
+    });
+
+    it("refuses applications for archived loans", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne({ _id: loan._id }, { $set: { deletedAt: new Date() } });
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      expect(res.status).toBe(422);
+      expect(res.body.errors.loanId).toBeDefined();
+    });
+
+    it("blocks suspended users", async () => {
+      await ctx.db
+        .collection("users")
+        .updateOne(
+          { email: EMAILS.borrower },
+          { $set: { status: "suspended" } },
+        );
+      const res = await request(ctx.app)
+        .post("/loan-applications")
+        .set(authHeader(EMAILS.borrower))
+        .send(validBody());
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("PATCH /loan-applications/:id/submit", () => {
+    it("moves a draft to pending", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "draft",
+      });
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/${application._id}/submit`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("pending");
+    });
+
+    it("assigns the submitted application to a manager", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "draft",
+        assignedTo: null,
+      });
+      await request(ctx.app)
+        .patch(`/loan-applications/${application._id}/submit`)
+        .set(authHeader(EMAILS.borrower));
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.assignedTo).toBe(EMAILS.manager);
+    });
+
+    it("only lets the owner submit", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "draft",
+      });
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/${application._id}/submit`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("GET /my-loans", () => {
+    beforeEach(async () => {
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { userEmail: EMAILS.other });
+    });
+
+    it("returns the caller's applications", async () => {
+      const res = await request(ctx.app)
+        .get("/my-loans")
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0].userEmail).toBe(EMAILS.borrower);
+    });
+
+    it("refuses another borrower's email", async () => {
+      const res = await request(ctx.app)
+        .get(`/my-loans?email=${EMAILS.other}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(403);
+    });
+
+    it("lets staff look up any borrower", async () => {
+      const res = await request(ctx.app)
+        .get(`/my-loans?email=${EMAILS.other}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0].userEmail).toBe(EMAILS.other);
+    });
+  });
+
+  describe("GET /loan-application/:id", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await seedApplication(ctx.db, loan);
+    });
+
+    it("returns the owner's application", async () => {
+      const res = await request(ctx.app)
+        .get(`/loan-application/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body._id).toBe(application._id.toString());
+    });
+
+    it("hides it from other borrowers", async () => {
+      const res = await request(ctx.app)
+        .get(`/loan-application/${application._id}`)
+        .set(authHeader(EMAILS.other));
+      expect(res.status).toBe(403);
+    });
+
+    it("shows it to managers and admins", async () => {
+      for (const email of [EMAILS.manager, EMAILS.admin]) {
+        const res = await request(ctx.app)
+          .get(`/loan-application/${application._id}`)
+          .set(authHeader(email));
+        expect(res.status).toBe(200);
+      }
+    });
+
+    it("answers 404 for unknown and 400 for malformed ids", async () => {
+      const missing = await request(ctx.app)
+        .get(`/loan-application/${new ObjectId()}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(missing.status).toBe(404);
+
+      const malformed = await request(ctx.app)
+        .get("/loan-application/not-an-id")
+        .set(authHeader(EMAILS.borrower));
+      expect(malformed.status).toBe(400);
+      expect(malformed.body).toEqual({ message: "Invalid id" });
+    });
+
+    it("GET /loan-application/:id/history returns the timeline", async () => {
+      await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower))
+        .send({ reason: "Changed my mind" });
+
+      const res = await request(ctx.app)
+        .get(`/loan-application/${application._id}/history`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("cancelled");
+      expect(res.body.history).toEqual([
+        expect.objectContaining({
+          from: "pending",
+          to: "cancelled",
+          actor: EMAILS.borrower,
+          reason: "Changed my mind",
+        }),
+      ]);
+    });
+  });
+
+  describe("PATCH /loan-applications/cancel/:id", () => {
+    it("cancels a pending application", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.status).toBe("cancelled");
+    });
+
+    it("refunds a paid fee automatically", async () => {
+      const application = await seedApplication(ctx.db, loan, paidFee());
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: "cancelled",
+        applicationFeeStatus: "refunded",
+        paymentInfo: { refundedAmount: 1000 },
+      });
+      expect(res.body.feeRefunds[0]).toMatchObject({
+        refundId: "re_test_123",
+        amount: 1000,
+        status: "succeeded",
+        reason: "Application cancelled",
+      });
+      expect(ctx.payments.refunds.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          payment_intent: "pi_test_fixture",
+          amount: 1000,
+        }),
+        expect.objectContaining({ idempotencyKey: expect.any(String) }),
+      );
+    });
+
+    it("still cancels when the refund fails", async () => {
+      ctx.payments.refunds.create.mockRejectedValueOnce(
+        new Error("Stripe is down"),
+      );
+      const application = await seedApplication(ctx.db, loan, paidFee());
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: "cancelled",
+        applicationFeeStatus: "paid",
+      });
+      expect(res.body.feeRefunds[0]).toMatchObject({
+        status: "failed",
+        error: "Stripe is down",
+      });
+    });
+
+    it("does not refund unpaid fees", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(ctx.payments.refunds.create).not.toHaveBeenCalled();
+    });
+
+    it("refuses applications that are no longer pending", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "approved",
+      });
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Cannot cancel this loan.");
+    });
+
+    it("refuses other borrowers", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/cancel/${application._id}`)
+        .set(authHeader(EMAILS.other));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("application fee payments", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await seedApplication(ctx.db, loan);
+    });
+
+    const completedEvent = () => {
+      const event = loadStripeFixture("checkout.session.completed");
+      event.data.object.metadata.loanId = application._id.toString();
+      event.data.object.metadata.email = EMAILS.borrower;
+      return event;
+    };
+
+    const postEvent = (event) => {
+      const { payload, signature } = signStripeEvent(event);
+      return request(ctx.app)
+        .post("/webhooks/stripe")
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", signature)
+        .send(payload);
+    };
+
+    it("POST /create-checkout-session returns the Stripe url", async () => {
+      const res = await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.borrower))
+        .send({
+          loanId: application._id.toString(),
+          loanName: loan.loanTitle,
+          loanImage: loan.loanImage,
+          email: EMAILS.borrower,
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.url).toBe("https://checkout.stripe.test/cs_test_123");
+      expect(ctx.payments.checkout.sessions.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          metadata: {
+            loanId: application._id.toString(),
+            email: EMAILS.borrower,
+          },
+        }),
+      );
+    });
+
+    it("POST /create-checkout-session prices the fee from the product", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne(
+          { _id: loan._id },
+          { $set: { applicationFee: 25.5, currency: "gbp" } },
+        );
+      const res = await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.borrower))
+        .send({
+          loanId: application._id.toString(),
+          loanName: "Free money",
+          loanImage: "https://evil.test/x.png",
+          email: EMAILS.other,
+        });
+      expect(res.status).toBe(200);
+      expect(res.body.quote).toMatchObject({ currency: "gbp", total: 25.5 });
+
+      const params = ctx.payments.checkout.sessions.create.mock.calls[0][0];
+      expect(params.customer_email).toBe(EMAILS.borrower);
+      expect(params.line_items[0].price_data).toEqual({
+        currency: "gbp",
+        unit_amount: 2550,
+        product_data: {
+          name: loan.loanTitle,
+          images: [loan.loanImage],
+          description: `Application fee for ${loan.loanTitle}`,
+        },
+      });
+    });
+
+    it("POST /create-checkout-session only serves the borrower's applications", async () => {
+      const res = await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.other))
+        .send({ loanId: application._id.toString() });
+      expect(res.status).toBe(403);
+
+      const missing = await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.borrower))
+        .send({ loanId: "nope" });
+      expect(missing.status).toBe(404);
+    });
+
+    it("POST /create-checkout-session refuses fees that are not due", async () => {
+      await applications().updateOne(
+        { _id: application._id },
+        { $set: { applicationFeeStatus: "waived" } },
+      );
+      const res = await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.borrower))
+        .send({ loanId: application._id.toString(), email: EMAILS.borrower });
+      expect(res.status).toBe(409);
+      expect(res.body.applicationFeeStatus).toBe("waived");
+      expect(ctx.payments.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("POST /webhooks/stripe marks the fee paid from the session metadata", async () => {
+      const res = await postEvent(completedEvent());
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ received: true, duplicate: false });
+
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("paid");
+      expect(stored.paymentInfo).toMatchObject({
+        transactionId: "pi_test_fixture",
+        sessionId: "cs_test_fixture",
+      });
+    });
+
+    it("POST /webhooks/stripe handles redelivered events once", async () => {
+      await postEvent(completedEvent());
+      const res = await postEvent(completedEvent());
+      expect(res.body.duplicate).toBe(true);
+      expect(await ctx.db.collection("stripeEvents").countDocuments()).toBe(1);
+    });
+
+    it("POST /webhooks/stripe rejects bad signatures", async () => {
+      const { payload } = signStripeEvent(completedEvent());
+      const res = await request(ctx.app)
+        .post("/webhooks/stripe")
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", "t=1,v1=forged")
+        .send(payload);
+      expect(res.status).toBe(400);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("unpaid");
+    });
+
+    it("POST /webhooks/stripe records expired sessions", async () => {
+      const event = loadStripeFixture("checkout.session.expired");
+      event.data.object.metadata.loanId = application._id.toString();
+      await postEvent(event);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.checkoutSession.status).toBe("expired");
+      expect(stored.applicationFeeStatus).toBe("unpaid");
+    });
+
+    it("POST /webhooks/stripe keeps a fee waived while its session was open", async () => {
+      await applications().updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            checkoutSession: { id: "cs_test_fixture_expired", status: "open" },
+          },
+        },
+      );
+      const waived = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/fee-waiver`)
+        .set(authHeader(EMAILS.admin))
+        .send({ reason: "Goodwill" });
+      expect(waived.status).toBe(200);
+
+      const event = loadStripeFixture("checkout.session.expired");
+      event.data.object.metadata.loanId = application._id.toString();
+      await postEvent(event);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("waived");
+    });
+
+    it("POST /webhooks/stripe does not mark a waived fee paid", async () => {
+      const waived = await request(ctx.app)
+        .patch(`/admin/loan-applications/${application._id}/fee-waiver`)
+        .set(authHeader(EMAILS.admin))
+        .send({ reason: "Goodwill" });
+      expect(waived.status).toBe(200);
+
+      const res = await postEvent(completedEvent());
+      expect(res.status).toBe(200);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("waived");
+      expect(stored.paymentInfo).toBeUndefined();
+    });
+
+    it("POST /webhooks/stripe records refunds", async () => {
+      await postEvent(completedEvent());
+      await postEvent(loadStripeFixture("charge.refunded"));
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("refunded");
+      expect(stored.paymentInfo.refundedAmount).toBe(1000);
+    });
+
+    it("POST /webhooks/stripe updates the status of issued refunds", async () => {
+      await applications().updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            feeRefunds: [
+              { refundId: "re_test_fixture", amount: 1000, status: "pending" },
+            ],
+          },
+        },
+      );
+      await postEvent(loadStripeFixture("charge.refund.updated"));
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.feeRefunds[0]).toMatchObject({
+        status: "failed",
+        failureReason: "expired_or_canceled_card",
+      });
+    });
+
+    it("POST /loan-applications/verify-payment confirms a paid session", async () => {
+      ctx.payments.checkout.sessions.retrieve.mockResolvedValue(
+        completedEvent().data.object,
+      );
+      const res = await request(ctx.app)
+        .post("/loan-applications/verify-payment")
+        .set(authHeader(EMAILS.borrower))
+        .send({
+          sessionId: "cs_test_fixture",
+          loanId: application._id.toString(),
+        });
+      expect(res.status).toBe(200);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.applicationFeeStatus).toBe("paid");
+    });
+
+    it("POST /loan-applications/verify-payment refuses a mismatched application", async () => {
+      ctx.payments.checkout.sessions.retrieve.mockResolvedValue(
+        completedEvent().data.object,
+      );
+      const other = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .post("/loan-applications/verify-payment")
+        .set(authHeader(EMAILS.borrower))
+        .send({ sessionId: "cs_test_fixture", loanId: other._id.toString() });
+      expect(res.status).toBe(400);
+      const stored = await applications().findOne({ _id: other._id });
+      expect(stored.applicationFeeStatus).toBe("unpaid");
+    });
+
+    it("POST /loan-applications/verify-payment reports unpaid sessions", async () => {
+      const session = completedEvent().data.object;
+      ctx.payments.checkout.sessions.retrieve.mockResolvedValue({
+        ...session,
+        payment_status: "unpaid",
+      });
+      const res = await request(ctx.app)
+        .post("/loan-applications/verify-payment")
+        .set(authHeader(EMAILS.borrower))
+        .send({ sessionId: "cs_test_fixture" });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("documents", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await seedApplication(ctx.db, loan);
+    });
+
+    const upload = (docId, { email = EMAILS.borrower, type, name } = {}) =>
+      request(ctx.app)
+        .post(`/loan-applications/${application._id}/documents/${docId}`)
+        .set(authHeader(email))
+        .attach("file", Buffer.from("%PDF-1.4 test"), {
+          filename: name || "id.pdf",
+          contentType: type || "application/pdf",
+        });
+
+    it("uploads a file to a document slot", async () => {
+      const docId = application.documents[0]._id;
+      const res = await upload(docId);
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("submitted");
+
+      const list = await request(ctx.app)
+        .get(`/loan-applications/${application._id}/documents`)
+        .set(authHeader(EMAILS.borrower));
+      expect(list.body[0].file.originalName).toBe("id.pdf");
+    });
+
+    it("rejects unsupported file types", async () => {
+      const res = await upload(application.documents[0]._id, {
+        type: "text/plain",
+        name: "id.txt",
+      });
+      expect(res.status).toBe(422);
+      expect(res.body.errors.file).toMatch(/File type/);
+    });
+
+    it("only lets the owner upload", async () => {
+      const res = await upload(application.documents[0]._id, {
+        email: EMAILS.other,
+      });
+      expect(res.status).toBe(403);
+    });
+
+    it("answers 404 for unknown document slots", async () => {
+      const res = await upload(new ObjectId());
+      expect(res.status).toBe(404);
+    });
+
+    it("streams an uploaded file back", async () => {
+      const docId = application.documents[0]._id;
+      await upload(docId);
+      const res = await request(ctx.app)
+        .get(`/loan-applications/${application._id}/documents/${docId}/file`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/pdf");
+      expect(res.body.toString()).toBe("%PDF-1.4 test");
+    });
+  });
+
+  describe("repayments", () => {
+    beforeEach(async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "approved",
+      });
+      const startDate = new Date();
+      startDate.setMonth(startDate.getMonth() - 2);
+      startDate.setDate(startDate.getDate() - 1);
+      const schedule = buildSchedule({
+        principal: 12000,
+        annualRate: 12,
+        months: 12,
+        startDate,
+      });
+      await ctx.db.collection("repayments").insertOne({
+        applicationId: application._id,
+        userEmail: EMAILS.borrower,
+        loanTitle: loan.loanTitle,
+        ...schedule,
+        outstanding: schedule.totalPayable,
+        payments: [],
+        status: "active",
+        createdAt: startDate,
+      });
+    });
+
+    it("GET /my-repayments returns the caller's schedules", async () => {
+      const res = await request(ctx.app)
+        .get("/my-repayments")
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0].installments).toHaveLength(12);
+
+      const other = await request(ctx.app)
+        .get("/my-repayments")
+        .set(authHeader(EMAILS.other));
+      expect(other.body).toHaveLength(0);
+    });
+
+    it("GET /my-repayments/overdue lists past due installments", async () => {
+      const res = await request(ctx.app)
+        .get("/my-repayments/overdue")
+        .set(authHeader(EMAILS.borrower));
+      expect(res.body.map((item) => item.installmentNo)).toEqual([1, 2]);
+      expect(res.body.every((item) => item.status === "overdue")).toBe(true);
+    });
+
+    it("GET /my-repayments/upcoming lists future installments", async () => {
+      const res = await request(ctx.app)
+        .get("/my-repayments/upcoming")
+        .set(authHeader(EMAILS.borrower));
+      expect(res.body).toHaveLength(10);
+      expect(res.body[0].installmentNo).toBe(3);
+    });
+  });
+
+  describe("account statements", () => {
+    let application;
+
+    const manager = authHeader(EMAILS.manager);
+    const statement = (query = "") =>
+      request(ctx.app)
+        .get(`/loan-applications/${application._id}/statement${query}`)
+        .set(authHeader(EMAILS.borrower));
+
+    beforeEach(async () => {
+      application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan, {
+          applicationFeeStatus: "paid",
+          paymentInfo: {
+            transactionId: "pi_1",
+            amount: 1000,
+            currency: "usd",
+            paidAt: new Date("2026-01-02"),
+          },
+        }),
+      );
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/disburse`)
+        .set(manager)
+        .send({
+          amount: 12000,
+          method: "bank_transfer",
+          reference: "TRX-1",
+          disbursedAt: "2026-01-05",
+        });
+      await request(ctx.app)
+        .post(`/manager/repayments/${application._id}/payments`)
+        .set(manager)
+        .send({ amount: 1066.19, method: "bank", paidAt: "2026-02-05" });
+    });
+
+    it("lists fee, disbursement and repayments with the balance", async () => {
+      const res = await statement();
+      expect(res.status).toBe(200);
+      expect(res.body.entries.map((entry) => entry.type)).toEqual([
+        "application_fee",
+        "disbursement",
+        "repayment",
+      ]);
+      expect(res.body.entries[0]).toMatchObject({
+        amount: 10,
+        currency: "usd",
+      });
+
+      const repayment = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(res.body.summary).toMatchObject({
+        principal: 12000,
+        disbursed: 12000,
+        repaid: 1066.19,
+        applicationFee: 10,
+      });
+      expect(res.body.summary.outstanding).toBeCloseTo(
+        repayment.totalPayable - 1066.19,
+        2,
+      );
+    });
+
+    it("leaves out fees paid before their amount was recorded", async () => {
+      await ctx.db
+        .collection("loanApplications")
+        .updateOne(
+          { _id: application._id },
+          { $unset: { "paymentInfo.amount": "" } },
+        );
+      const res = await statement();
+      expect(res.body.entries.map((entry) => entry.type)).toEqual([
+        "disbursement",
+        "repayment",
+      ]);
+      expect(res.body.summary.applicationFee).toBe(0);
+    });
+
+    it("limits entries to the date range", async () => {
+      const res = await statement("?from=2026-01-04&to=2026-01-31");
+      expect(res.body.entries.map((entry) => entry.type)).toEqual([
+        "disbursement",
+      ]);
+      expect(res.body.summary.repaid).toBe(0);
+      expect(res.body.summary.outstanding).toBeGreaterThan(12000);
+
+      const before = await statement("?to=2026-01-03");
+      expect(before.body.summary.outstanding).toBe(0);
+    });
+
+    it("rejects malformed ranges", async () => {
+      const res = await statement("?from=soon");
+      expect(res.status).toBe(422);
+      expect(res.body.errors.from).toBeDefined();
+    });
+
+    it("downloads as PDF", async () => {
+      const res = await statement("/pdf?from=2026-01-01")
+        .buffer(true)
+        .parse((stream, done) => {
+          const chunks = [];
+          stream.on("data", (chunk) => chunks.push(chunk));
+          stream.on("end", () => done(null, Buffer.concat(chunks)));
+        });
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toBe("application/pdf");
+      expect(res.body.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+
+    it("is only visible to the owner and staff", async () => {
+      const res = await request(ctx.app)
+        .get(`/loan-applications/${application._id}/statement`)
+        .set(authHeader(EMAILS.other));
+      expect(res.status).toBe(403);
+    });
+  });
+});
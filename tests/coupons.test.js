@@ -0,0 +1,312 @@
+const request = require("supertest");
+const {
+  buildTestApp,
+  authHeader,
+  signStripeEvent,
+  loadStripeFixture,
+} = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+} = require("./helpers/seed");
+const { ensureIndexes } = require("../utils/indexes");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// audit entries are written after the response has been sent
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("coupons", () => {
+  let ctx;
+  let loan;
+
+  const admin = authHeader(EMAILS.admin);
+  const borrower = authHeader(EMAILS.borrower);
+  const coupons = () => ctx.db.collection("coupons");
+
+  const seedCoupon = async (overrides = {}) => {
+    const coupon = {
+      code: "WELCOME",
+      type: "percent",
+      value: 50,
+      active: true,
+      redemptions: 0,
+      createdAt: new Date(),
+      ...overrides,
+    };
+    const { insertedId } = await coupons().insertOne(coupon);
+    return { ...coupon, _id: insertedId };
+  };
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    await ensureIndexes(ctx.db);
+    loan = await seedLoan(ctx.db, { applicationFee: 20, currency: "eur" });
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("admin routes", () => {
+    it("creates coupons with normalized codes and audits it", async () => {
+      const res = await request(ctx.app)
+        .post("/admin/coupons")
+        .set(admin)
+        .send({
+          code: " spring25 ",
+          type: "fixed",
+          value: 5,
+          currency: "eur",
+          expiresAt: "2030-01-01",
+          maxRedemptions: 100,
+        });
+      expect(res.status).toBe(200);
+
+      const stored = await coupons().findOne({ code: "SPRING25" });
+      expect(stored).toMatchObject({
+        type: "fixed",
+        value: 5,
+        active: true,
+        redemptions: 0,
+        createdBy: EMAILS.admin,
+      });
+      expect(stored.expiresAt).toEqual(new Date("2030-01-01"));
+
+      await flush();
+      const log = await ctx.db
+        .collection("auditLog")
+        .findOne({ action: "coupon.create" });
+      expect(log.targetId).toBe(stored._id.toString());
+    });
+
+    it("validates coupons and refuses duplicate codes", async () => {
+      const invalid = await request(ctx.app)
+        .post("/admin/coupons")
+        .set(admin)
+        .send({ code: "HALF", type: "percent", value: 150 });
+      expect(invalid.status).toBe(422);
+      expect(invalid.body.errors.value).toBeDefined();
+
+      const noCurrency = await request(ctx.app)
+        .post("/admin/coupons")
+        .set(admin)
+        .send({ code: "FIVE", type: "fixed", value: 5 });
+      expect(noCurrency.body.errors.currency).toBeDefined();
+
+      await seedCoupon();
+      const duplicate = await request(ctx.app)
+        .post("/admin/coupons")
+        .set(admin)
+        .send({ code: "welcome", type: "percent", value: 10 });
+      expect(duplicate.status).toBe(409);
+    });
+
+    it("lists, updates and deactivates coupons", async () => {
+      const coupon = await seedCoupon();
+      await seedCoupon({ code: "OLD", active: false });
+
+      const active = await request(ctx.app)
+        .get("/admin/coupons?active=true")
+        .set(admin);
+      expect(active.body.map((item) => item.code)).toEqual(["WELCOME"]);
+
+      const res = await request(ctx.app)
+        .patch(`/admin/coupons/${coupon._id}`)
+        .set(admin)
+        .send({ value: 20, active: false });
+      expect(res.status).toBe(200);
+      expect(await coupons().findOne({ _id: coupon._id })).toMatchObject({
+        value: 20,
+        active: false,
+      });
+
+      const renamed = await request(ctx.app)
+        .patch(`/admin/coupons/${coupon._id}`)
+        .set(admin)
+        .send({ code: "OTHER" });
+      expect(renamed.status).toBe(422);
+      expect(renamed.body.errors.code).toBe("cannot be changed");
+    });
+
+    it("only deletes unused coupons", async () => {
+      const unused = await seedCoupon({ code: "UNUSED" });
+      const used = await seedCoupon({ redemptions: 3 });
+
+      const blocked = await request(ctx.app)
+        .delete(`/admin/coupons/${used._id}`)
+        .set(admin);
+      expect(blocked.status).toBe(409);
+
+      const res = await request(ctx.app)
+        .delete(`/admin/coupons/${unused._id}`)
+        .set(admin);
+      expect(res.status).toBe(200);
+      expect(await coupons().countDocuments()).toBe(1);
+    });
+
+    it("is admin only", async () => {
+      const res = await request(ctx.app).get("/admin/coupons").set(borrower);
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("applying coupons", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await seedApplication(ctx.db, loan);
+    });
+
+    const quote = (coupon) =>
+      request(ctx.app)
+        .get(
+          `/loan-applications/${application._id}/fee-quote${coupon ? `?coupon=${coupon}` : ""}`,
+        )
+        .set(borrower);
+
+    const checkout = (couponCode) =>
+      request(ctx.app)
+        .post("/create-checkout-session")
+        .set(borrower)
+        .send({ loanId: application._id.toString(), couponCode });
+
+    it("quotes the product fee with and without a coupon", async () => {
+      await seedCoupon();
+      const plain = await quote();
+      expect(plain.status).toBe(200);
+      expect(plain.body).toMatchObject({
+        currency: "eur",
+        amount: 20,
+        discount: 0,
+        total: 20,
+        applicationFeeStatus: "unpaid",
+      });
+
+      const discounted = await quote("welcome");
+      expect(discounted.body).toMatchObject({
+        discount: 10,
+        total: 10,
+        couponCode: "WELCOME",
+      });
+    });
+
+    it("charges the discounted fee and counts the use once paid", async () => {
+      await seedCoupon({ type: "fixed", value: 5, currency: "eur" });
+      const res = await checkout("WELCOME");
+      expect(res.status).toBe(200);
+      expect(res.body.quote.total).toBe(15);
+      expect(ctx.payments.checkout.sessions.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          line_items: [
+            expect.objectContaining({
+              price_data: expect.objectContaining({
+                currency: "eur",
+                unit_amount: 1500,
+              }),
+            }),
+          ],
+          metadata: {
+            loanId: application._id.toString(),
+            email: EMAILS.borrower,
+            couponCode: "WELCOME",
+          },
+        }),
+      );
+      expect((await coupons().findOne({})).redemptions).toBe(0);
+
+      const event = loadStripeFixture("checkout.session.completed");
+      Object.assign(event.data.object.metadata, {
+        loanId: application._id.toString(),
+        email: EMAILS.borrower,
+        couponCode: "WELCOME",
+      });
+      const { payload, signature } = signStripeEvent(event);
+      for (let i = 0; i < 2; i++) {
+        await request(ctx.app)
+          .post("/webhooks/stripe")
+          .set("Content-Type", "application/json")
+          .set("Stripe-Signature", signature)
+          .send(payload);
+      }
+      expect((await coupons().findOne({})).redemptions).toBe(1);
+      const stored = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: application._id });
+      expect(stored.paymentInfo.couponCode).toBe("WELCOME");
+    });
+
+    it("waives the fee when the coupon covers all of it", async () => {
+      await seedCoupon({ code: "FREE", value: 100 });
+      const res = await checkout("free");
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ url: null, waived: true });
+      expect(ctx.payments.checkout.sessions.create).not.toHaveBeenCalled();
+
+      const stored = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: application._id });
+      expect(stored).toMatchObject({
+        applicationFeeStatus: "waived",
+        feeWaiver: { source: "coupon", couponCode: "FREE" },
+      });
+      expect((await coupons().findOne({})).redemptions).toBe(1);
+    });
+
+    it("refuses unknown, inactive, expired and used up coupons", async () => {
+      await seedCoupon({ code: "OFF", active: false });
+      await seedCoupon({
+        code: "LATE",
+        expiresAt: new Date(Date.now() - DAY),
+      });
+      await seedCoupon({ code: "GONE", maxRedemptions: 2, redemptions: 2 });
+      await seedCoupon({
+        code: "DOLLARS",
+        type: "fixed",
+        value: 5,
+        currency: "usd",
+      });
+
+      const messages = {};
+      for (const code of ["NOPE", "OFF", "LATE", "GONE", "DOLLARS"]) {
+        const res = await checkout(code);
+        expect(res.status).toBe(400);
+        messages[code] = res.body.message;
+      }
+      expect(messages).toEqual({
+        NOPE: "Coupon code is not valid",
+        OFF: "Coupon code is not valid",
+        LATE: "Coupon has expired",
+        GONE: "Coupon has been used up",
+        DOLLARS: "Coupon only applies to fees in USD",
+      });
+      expect(ctx.payments.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("refuses coupons leaving less than Stripe can charge", async () => {
+      await seedCoupon({ type: "fixed", value: 19.8, currency: "eur" });
+      const preview = await quote("WELCOME");
+      expect(preview.status).toBe(400);
+      expect(preview.body).toEqual({
+        message: "Coupon leaves less than the smallest card payment of 0.5 EUR",
+        minimum: 0.5,
+      });
+
+      const res = await checkout("WELCOME");
+      expect(res.status).toBe(400);
+      expect(ctx.payments.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("limits uses per borrower", async () => {
+      await seedCoupon({ maxPerUser: 1 });
+      await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        paymentInfo: { couponCode: "WELCOME" },
+      });
+      const res = await quote("WELCOME");
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("You have already used this coupon");
+    });
+  });
+});
@@ -0,0 +1,353 @@
+// In-memory stand-in for a MongoDB Db, backed by mingo's query engine.
+// It implements the slice of the driver API the app uses, with the same
+// result shapes, so route modules run unchanged against it.
+const mingo = require("mingo");
+const { ObjectId } = require("mongodb");
+
+// Deep copy that keeps ObjectId, Date and Buffer values intact, so stored
+// documents never share references with what callers hold
+const clone = (value) => {
+  if (value instanceof ObjectId) return new ObjectId(value.toHexString());
+  if (value instanceof Date) return new Date(value);
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)]),
+    );
+  }
+  return value;
+};
+
+// The driver serializes undefined as null, which also matches missing fields
+const normalizeFilter = (value) => {
+  if (value === undefined) return null;
+  if (
+    value instanceof ObjectId ||
+    value instanceof Date ||
+    value instanceof RegExp
+  ) {
+    return value;
+  }
+  if (Array.isArray(value)) return value.map(normalizeFilter);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, normalizeFilter(item)]),
+    );
+  }
+  return value;
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const getPath = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+// Like MongoDB, "$" stands for the first element of the array the filter
+// matched, decided once against the document as it was before the update
+const resolvePositional = (doc, path, filter) => {
+  const parts = path.split(".");
+  const at = parts.indexOf("$");
+  if (at === -1) return path;
+  const arrayPath = parts.slice(0, at).join(".");
+  const query = new mingo.Query(normalizeFilter(filter));
+  const index = (getPath(doc, arrayPath) || []).findIndex((item) => {
+    const probe = clone(doc);
+    const keys = arrayPath.split(".");
+    const last = keys.pop();
+    keys.reduce((value, key) => value[key], probe)[last] = [item];
+    return query.test(probe);
+  });
+  if (index === -1) {
+    throw new Error(`The positional operator did not find a match: ${path}`);
+  }
+  parts[at] = String(index);
+  return parts.join(".");
+};
+
+const duplicateKeyError = (key) => {
+  const err = new Error(`E11000 duplicate key error dup key: ${key}`);
+  err.code = 11000;
+  return err;
+};
+
+class MemoryCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(spec) {
+    this.options.sort = spec;
+    return this;
+  }
+
+  skip(count) {
+    this.options.skip = count;
+    return this;
+  }
+
+  limit(count) {
+    this.options.limit = count;
+    return this;
+  }
+
+  project(spec) {
+    this.options.projection = spec;
+    return this;
+  }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.collectionName = name;
+    this.docs = [];
+    this.uniqueIndexes = [];
+    this.textFields = [];
+  }
+
+  // mingo has no $text; approximate it like MongoDB without stemming: a
+  // document matches when any search term appears as a word in a text field
+  expandText(filter = {}) {
+    const { $text, ...rest } = filter;
+    if (!$text) return filter;
+    if (!this.textFields.length) {
+      throw new Error("text index required for $text query");
+    }
+    const terms = $text.$search.split(/\s+/).filter(Boolean);
+    const $or = terms.flatMap((term) =>
+      this.textFields.map((field) => ({
+        [field]: new RegExp(`\\b${escapeRegex(term)}`, "i"),
+      })),
+    );
+    return { $and: [rest, { $or: $or.length ? $or : [{ _id: null }] }] };
+  }
+
+  query(filter = {}, { projection, sort, skip, limit } = {}) {
+    let cursor = mingo.find(
+      this.docs,
+      normalizeFilter(this.expandText(filter)),
+      projection || {},
+    );
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all().map(clone);
+  }
+
+  checkUnique(doc, ignore) {
+    for (const keys of [["_id"], ...this.uniqueIndexes]) {
+      const signature = (item) =>
+        JSON.stringify(keys.map((key) => getPath(item, key)));
+      const clash = this.docs.find(
+        (item) => item !== ignore && signature(item) === signature(doc),
+      );
+      if (clash) throw duplicateKeyError(keys.join(", "));
+    }
+  }
+
+  async createIndex(spec, options = {}) {
+    if (options.unique) this.uniqueIndexes.push(Object.keys(spec));
+    const text = Object.keys(spec).filter((key) => spec[key] === "text");
+    if (text.length) this.textFields = text;
+    return Object.keys(spec).join("_");
+  }
+
+  async insertOne(doc) {
+    const stored = clone({ _id: new ObjectId(), ...doc });
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: clone(stored._id) };
+  }
+
+  async insertMany(docs) {
+    const insertedIds = {};
+    for (const [index, doc] of docs.entries()) {
+      insertedIds[index] = (await this.insertOne(doc)).insertedId;
+    }
+    return {
+      acknowledged: true,
+      insertedCount: docs.length,
+      insertedIds,
+    };
+  }
+
+  find(filter = {}, options = {}) {
+    const cursor = new MemoryCursor((cursorOptions) =>
+      this.query(filter, { ...options, ...cursorOptions }),
+    );
+    return cursor;
+  }
+
+  async findOne(filter = {}, options = {}) {
+    return this.query(filter, { ...options, limit: 1 })[0] || null;
+  }
+
+  async countDocuments(filter = {}) {
+    return this.query(filter).length;
+  }
+
+  async distinct(field, filter = {}) {
+    const values = this.query(filter).flatMap((doc) => {
+      const value = getPath(doc, field);
+      return Array.isArray(value) ? value : [value];
+    });
+    return [...new Map(values.map((v) => [JSON.stringify(v), v])).values()];
+  }
+
+  aggregate(pipeline = []) {
+    return {
+      toArray: async () =>
+        mingo
+          .aggregate(
+            this.docs.map(clone),
+            pipeline.map((stage) =>
+              stage.$match
+                ? { $match: normalizeFilter(this.expandText(stage.$match)) }
+                : stage,
+            ),
+          )
+          .map(clone),
+    };
+  }
+
+  applyUpdate(doc, update, filter, arrayFilters = []) {
+    const { $setOnInsert, ...modifier } = update;
+    const before = JSON.stringify(doc);
+    const copy = clone(doc);
+    // one field at a time: mingo refuses several positional ($) paths into
+    // the same array within one operator, which MongoDB itself allows
+    for (const [operator, fields] of Object.entries(clone(modifier))) {
+      for (const [path, value] of Object.entries(fields)) {
+        mingo.update(
+          copy,
+          { [operator]: { [resolvePositional(doc, path, filter)]: value } },
+          arrayFilters,
+        );
+      }
+    }
+    this.checkUnique(copy, doc);
+    Object.keys(doc).forEach((key) => delete doc[key]);
+    Object.assign(doc, copy);
+    return before !== JSON.stringify(doc);
+  }
+
+  upsert(filter, update) {
+    // equality conditions of the filter seed the new document
+    const seed = Object.fromEntries(
+      Object.entries(filter).filter(
+        ([key, value]) =>
+          !key.startsWith("$") &&
+          (typeof value !== "object" ||
+            value === null ||
+            value instanceof ObjectId ||
+            value instanceof Date),
+      ),
+    );
+    const doc = clone({ _id: new ObjectId(), ...seed });
+    const { $setOnInsert, ...modifier } = update;
+    mingo.update(
+      doc,
+      clone({ ...modifier, $set: { ...modifier.$set, ...$setOnInsert } }),
+    );
+    this.checkUnique(doc);
+    this.docs.push(doc);
+    return doc;
+  }
+
+  matching(filter) {
+    const matches = mingo
+      .find(this.docs, normalizeFilter(this.expandText(filter)))
+      .all();
+    return this.docs.filter((doc) => matches.includes(doc));
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const [doc] = this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) {
+        return { acknowledged: true, matchedCount: 0, modifiedCount: 0 };
+      }
+      const created = this.upsert(filter, update);
+      return {
+        acknowledged: true,
+        matchedCount: 0,
+        modifiedCount: 0,
+        upsertedCount: 1,
+        upsertedId: clone(created._id),
+      };
+    }
+    const modified = this.applyUpdate(
+      doc,
+      update,
+      filter,
+      options.arrayFilters,
+    );
+    return {
+      acknowledged: true,
+      matchedCount: 1,
+      modifiedCount: modified ? 1 : 0,
+      upsertedCount: 0,
+      upsertedId: null,
+    };
+  }
+
+  async updateMany(filter, update, options = {}) {
+    const docs = this.matching(filter);
+    const modifiedCount = docs.filter((doc) =>
+      this.applyUpdate(doc, update, filter, options.arrayFilters),
+    ).length;
+    return { acknowledged: true, matchedCount: docs.length, modifiedCount };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = options.sort
+      ? this.query(filter, { sort: options.sort, limit: 1 }).map((found) =>
+          this.docs.find((item) => item._id.equals(found._id)),
+        )
+      : this.matching(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      const created = this.upsert(filter, update);
+      return options.returnDocument === "after" ? clone(created) : null;
+    }
+    const before = clone(doc);
+    this.applyUpdate(doc, update, filter, options.arrayFilters);
+    return options.returnDocument === "after" ? clone(doc) : before;
+  }
+
+  async deleteOne(filter) {
+    const [doc] = this.matching(filter);
+    if (!doc) return { acknowledged: true, deletedCount: 0 };
+    this.docs.splice(this.docs.indexOf(doc), 1);
+    return { acknowledged: true, deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const docs = this.matching(filter);
+    this.docs = this.docs.filter((doc) => !docs.includes(doc));
+    return { acknowledged: true, deletedCount: docs.length };
+  }
+}
+
+const createMemoryDb = () => {
+  const collections = new Map();
+  return {
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, new MemoryCollection(name));
+      }
+      return collections.get(name);
+    },
+    async dropDatabase() {
+      collections.clear();
+      return true;
+    },
+  };
+};
+
+module.exports = { createMemoryDb, clone };
@@ -0,0 +1,98 @@
+// Test data builders. Every helper inserts into the given db and returns the
+// stored document.
+const { ObjectId } = require("mongodb");
+
+const EMAILS = {
+  admin: "admin@loanlink.test",
+  manager: "manager@loanlink.test",
+  borrower: "borrower@loanlink.test",
+  other: "other@loanlink.test",
+};
+
+const insert = async (collection, doc) => {
+  const { insertedId } = await collection.insertOne(doc);
+  return collection.findOne({ _id: insertedId });
+};
+
+const seedUser = (db, overrides = {}) =>
+  insert(db.collection("users"), {
+    name: "Test User",
+    email: EMAILS.borrower,
+    role: "borrower",
+    status: "approved",
+    created_at: new Date().toISOString(),
+    ...overrides,
+  });
+
+const seedUsers = async (db) => ({
+  admin: await seedUser(db, { email: EMAILS.admin, role: "admin" }),
+  manager: await seedUser(db, { email: EMAILS.manager, role: "manager" }),
+  borrower: await seedUser(db, { email: EMAILS.borrower }),
+  other: await seedUser(db, { email: EMAILS.other }),
+});
+
+const seedLoan = (db, overrides = {}) =>
+  insert(db.collection("loans"), {
+    loanTitle: "Small Business Loan",
+    description: "Working capital for small businesses",
+    category: "Business",
+    interestRate: 12,
+    maxLimit: 50000,
+    emiPlans: ["6 Months", "12 Months"],
+    requiredDocuments: ["National ID", "Bank Statement"],
+    loanImage: "https://images.test/loan.png",
+    showOnHome: true,
+    ...overrides,
+  });
+
+const seedApplication = (db, loan, overrides = {}) =>
+  insert(db.collection("loanApplications"), {
+    loanId: loan._id.toString(),
+    loanTitle: loan.loanTitle,
+    category: loan.category,
+    interestRate: loan.interestRate,
+    loanAmount: 12000,
+    emiPlan: "12 Months",
+    firstName: "Test",
+    lastName: "Borrower",
+    contactNumber: "01700000000",
+    monthlyIncome: 3000,
+    userEmail: EMAILS.borrower,
+    status: "pending",
+    // the only seeded manager, where round-robin assignment would put it
+    assignedTo: EMAILS.manager,
+    applicationFeeStatus: "unpaid",
+    appliedAt: new Date(),
+    statusHistory: [],
+    documents: (loan.requiredDocuments || []).map((type) => ({
+      _id: new ObjectId(),
+      type,
+      status: "awaiting_upload",
+    })),
+    ...overrides,
+  });
+
+// Marks every document of an application as uploaded and verified
+const verifyAllDocuments = async (db, application) => {
+  const documents = application.documents.map((doc) => ({
+    ...doc,
+    status: "verified",
+    file: {
+      key: `${application._id}/${doc._id}.pdf`,
+      mimeType: "application/pdf",
+    },
+  }));
+  await db
+    .collection("loanApplications")
+    .updateOne({ _id: application._id }, { $set: { documents } });
+  return { ...application, documents };
+};
+
+module.exports = {
+  EMAILS,
+  seedUser,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+  verifyAllDocuments,
+};
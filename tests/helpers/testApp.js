@@ -0,0 +1,132 @@
+// Builds the app against an in-memory database, a fake token verifier, a
+// Stripe stub and a mail transport that keeps messages in `mailer.sent`.
+// Tokens look like "test:<email>" and decode to that email, with the email
+// as uid.
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Stripe = require("stripe");
+const { createApp } = require("../../app");
+const { createLocalStorage } = require("../../storage/localStorage");
+const { createMemoryDb } = require("./memoryDb");
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+process.env.CLIENT_DOMAIN = "http://localhost:5173";
+process.env.INVITE_SECRET = "invite_test_secret";
+process.env.LOG_LEVEL = "silent";
+
+// Custom claims show up on the next verification, as if the client had
+// refreshed its token. Revoked uids stay revoked until a test deletes them
+// from `revoked`, which stands in for signing in again.
+const createFakeAuth = () => {
+  const claims = new Map();
+  const revoked = new Set();
+  return {
+    claims,
+    revoked,
+    verifyIdToken: jest.fn(async (token, checkRevoked = false) => {
+      if (!token.startsWith("test:")) throw new Error("Invalid token");
+      const email = token.slice("test:".length);
+      if (checkRevoked && revoked.has(email)) {
+        throw Object.assign(new Error("The ID token has been revoked."), {
+          code: "auth/id-token-revoked",
+        });
+      }
+      return { uid: email, email, ...claims.get(email) };
+    }),
+    getUserByEmail: jest.fn(async (email) => ({ uid: email, email })),
+    setCustomUserClaims: jest.fn(async (uid, value) => {
+      claims.set(uid, value);
+    }),
+    revokeRefreshTokens: jest.fn(async (uid) => {
+      revoked.add(uid);
+    }),
+  };
+};
+
+const createPaymentsStub = () => ({
+  checkout: {
+    sessions: {
+      create: jest.fn(async (params) => ({
+        id: "cs_test_123",
+        url: "https://checkout.stripe.test/cs_test_123",
+        ...params,
+      })),
+      retrieve: jest.fn(),
+      expire: jest.fn(async (id) => ({ id, status: "expired" })),
+    },
+  },
+  refunds: {
+    create: jest.fn(async (params) => ({
+      id: "re_test_123",
+      object: "refund",
+      status: "succeeded",
+      amount: params.amount,
+      payment_intent: params.payment_intent,
+    })),
+  },
+  // signatures are checked for real against WEBHOOK_SECRET
+  webhooks: Stripe.webhooks,
+});
+
+const createMemoryMailer = () => {
+  const sent = [];
+  return {
+    name: "memory",
+    sent,
+    send: jest.fn(async (message) => {
+      sent.push(message);
+      return { messageId: `test-${sent.length}` };
+    }),
+  };
+};
+
+// `options` go to createApp as well, e.g. { rateLimits } to tighten a policy
+const buildTestApp = (options = {}) => {
+  const db = createMemoryDb();
+  const payments = createPaymentsStub();
+  const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "loanlink-test-"));
+  const storage = createLocalStorage({ root: uploadDir });
+  const mailer = createMemoryMailer();
+  const auth = createFakeAuth();
+  const app = createApp({
+    db,
+    auth,
+    payments,
+    storage,
+    mailer,
+    ...options,
+  });
+  const cleanup = () => fs.rmSync(uploadDir, { recursive: true, force: true });
+  return { app, db, auth, payments, storage, mailer, cleanup };
+};
+
+const authHeader = (email) => ({ Authorization: `Bearer test:${email}` });
+
+// Signs a fixture the way Stripe would, for posting to /webhooks/stripe
+const signStripeEvent = (event) => {
+  const payload = JSON.stringify(event);
+  const signature = Stripe.webhooks.generateTestHeaderString({
+    payload,
+    secret: WEBHOOK_SECRET,
+  });
+  return { payload, signature };
+};
+
+const loadStripeFixture = (name) =>
+  JSON.parse(
+    fs.readFileSync(
+      path.join(__dirname, "..", "..", "fixtures", "stripe", `${name}.json`),
+      "utf-8",
+    ),
+  );
+
+module.exports = {
+  WEBHOOK_SECRET,
+  buildTestApp,
+  createFakeAuth,
+  authHeader,
+  signStripeEvent,
+  loadStripeFixture,
+};
@@ -0,0 +1,168 @@
+const request = require("supertest");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const { EMAILS, seedUsers } = require("./helpers/seed");
+const { signInvite } = require("../utils/invites");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// audit entries are written after the response has been sent
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("invites", () => {
+  let ctx;
+
+  const admin = authHeader(EMAILS.admin);
+  const invitee = "new.manager@loanlink.test";
+  const invites = () => ctx.db.collection("invites");
+  const users = () => ctx.db.collection("users");
+
+  const invite = (body = {}) =>
+    request(ctx.app)
+      .post("/admin/invites")
+      .set(admin)
+      .send({ email: invitee, role: "manager", ...body });
+
+  const signUp = (email, inviteToken) =>
+    request(ctx.app)
+      .post("/users")
+      .set(authHeader(email))
+      .send({ name: "Invited", inviteToken });
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  it("creates a signed, expiring invite and audits it", async () => {
+    const res = await invite({ email: " New.Manager@LoanLink.test " });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      email: invitee,
+      role: "manager",
+      status: "pending",
+      createdBy: EMAILS.admin,
+    });
+    expect(res.body.inviteUrl).toBe(
+      `http://localhost:5173/signup?invite=${encodeURIComponent(res.body.token)}`,
+    );
+    const expiresIn = new Date(res.body.expiresAt) - Date.now();
+    expect(expiresIn).toBeGreaterThan(6 * DAY);
+    expect(expiresIn).toBeLessThanOrEqual(7 * DAY);
+
+    const stored = await invites().findOne({});
+    expect(stored.token).toBeUndefined();
+    await flush();
+    const log = await ctx.db
+      .collection("auditLog")
+      .findOne({ action: "invite.create" });
+    expect(log.targetId).toBe(stored._id.toString());
+  });
+
+  it("validates invites and is admin only", async () => {
+    const invalid = await invite({ role: "borrower", email: "nope" });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toMatchObject({
+      role: expect.any(String),
+      email: expect.any(String),
+    });
+
+    const res = await request(ctx.app)
+      .post("/admin/invites")
+      .set(authHeader(EMAILS.manager))
+      .send({ email: invitee, role: "admin" });
+    expect(res.status).toBe(403);
+  });
+
+  it("grants the invited role at signup, once", async () => {
+    const { token } = (await invite()).body;
+
+    const res = await signUp(invitee, token);
+    expect(res.status).toBe(200);
+    const user = await users().findOne({ email: invitee });
+    expect(user).toMatchObject({ role: "manager", invitedBy: EMAILS.admin });
+    expect(await invites().findOne({})).toMatchObject({
+      status: "redeemed",
+    });
+
+    const again = await signUp(invitee, token);
+    expect(again.status).toBe(409);
+  });
+
+  it("gives the invite back when the signup fails after redeeming it", async () => {
+    const { token } = (await invite()).body;
+    ctx.auth.setCustomUserClaims.mockRejectedValueOnce(
+      new Error("Firebase unavailable"),
+    );
+
+    const failed = await signUp(invitee, token);
+    expect(failed.status).toBe(502);
+    expect(await invites().findOne({})).toMatchObject({ status: "pending" });
+
+    const retried = await signUp(invitee, token);
+    expect(retried.status).toBe(200);
+    expect(await invites().findOne({})).toMatchObject({ status: "redeemed" });
+    // the role was stored on the first try, verifyJWT backfills the claims
+    await flush();
+    expect(ctx.auth.claims.get(invitee)).toMatchObject({ role: "manager" });
+  });
+
+  it("promotes an existing borrower who redeems an invite", async () => {
+    const { token } = (await invite({ email: EMAILS.borrower, role: "admin" }))
+      .body;
+    expect((await signUp(EMAILS.borrower, token)).status).toBe(200);
+    expect((await users().findOne({ email: EMAILS.borrower })).role).toBe(
+      "admin",
+    );
+    expect(ctx.auth.claims.get(EMAILS.borrower)).toEqual({
+      role: "admin",
+      suspended: false,
+    });
+    const adminOnly = await request(ctx.app)
+      .get("/admin/invites")
+      .set(authHeader(EMAILS.borrower));
+    expect(adminOnly.status).toBe(200);
+  });
+
+  it("refuses forged, foreign, expired and revoked invites", async () => {
+    const { token, insertedId } = (await invite()).body;
+
+    const [payload] = token.split(".");
+    const forged = await signUp(invitee, `${payload}.not-the-signature`);
+    expect(forged.status).toBe(400);
+
+    const foreign = await signUp(EMAILS.other, token);
+    expect(foreign.status).toBe(403);
+
+    const expired = signInvite({
+      _id: insertedId,
+      email: invitee,
+      expiresAt: new Date(Date.now() - DAY),
+    });
+    expect((await signUp(invitee, expired)).status).toBe(410);
+
+    const revoked = await request(ctx.app)
+      .delete(`/admin/invites/${insertedId}`)
+      .set(admin);
+    expect(revoked.status).toBe(200);
+    const res = await signUp(invitee, token);
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe("Invite has already been used or revoked");
+
+    // nothing was created on the way
+    expect(await users().findOne({ email: invitee })).toBeNull();
+  });
+
+  it("keeps only the newest invite of an email open", async () => {
+    const first = (await invite()).body;
+    await invite({ role: "admin" });
+
+    const res = await request(ctx.app)
+      .get("/admin/invites?status=pending")
+      .set(admin);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0].role).toBe("admin");
+    expect((await signUp(invitee, first.token)).status).toBe(409);
+  });
+});
@@ -0,0 +1,384 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+} = require("./helpers/seed");
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const ago = (ms) => new Date(Date.now() - ms);
+
+describe("background jobs", () => {
+  let ctx;
+  let loan;
+
+  const admin = authHeader(EMAILS.admin);
+  const applications = () => ctx.db.collection("loanApplications");
+  const jobs = () => ctx.db.collection("jobs");
+  const runJob = (name) =>
+    request(ctx.app).post(`/admin/jobs/${name}/run`).set(admin);
+  const reload = (application) =>
+    applications().findOne({ _id: application._id });
+  const notificationsOf = (type) =>
+    ctx.db.collection("notifications").find({ type }).toArray();
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("cancel-unpaid-applications", () => {
+    it("cancels applications unpaid for a week and tells the borrower", async () => {
+      const stale = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(8 * DAY),
+        checkoutSession: { id: "cs_old", status: "open", createdAt: ago(DAY) },
+      });
+      const fresh = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(DAY),
+      });
+      const paid = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(8 * DAY),
+        applicationFeeStatus: "paid",
+      });
+
+      const res = await runJob("cancel-unpaid-applications");
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        job: "cancel-unpaid-applications",
+        trigger: "manual",
+        triggeredBy: EMAILS.admin,
+        status: "succeeded",
+        result: { checked: 1, cancelled: 1, skipped: 0 },
+      });
+
+      const cancelled = await reload(stale);
+      expect(cancelled.status).toBe("cancelled");
+      expect(cancelled.checkoutSession.status).toBe("expired");
+      expect(cancelled.statusHistory.at(-1)).toMatchObject({
+        actor: "system",
+        role: "system",
+        reason: "Application fee not paid within 7 days",
+      });
+      expect(ctx.payments.checkout.sessions.expire).toHaveBeenCalledWith(
+        "cs_old",
+      );
+      expect((await reload(fresh)).status).toBe("pending");
+      expect((await reload(paid)).status).toBe("pending");
+      expect(await notificationsOf("application.expired")).toHaveLength(1);
+    });
+
+    it("cancels applications with a string appliedAt", async () => {
+      const legacy = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(8 * DAY).toISOString(),
+      });
+      const recent = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(DAY).toISOString(),
+      });
+      const unreadable = await seedApplication(ctx.db, loan, {
+        appliedAt: "last tuesday",
+      });
+
+      const res = await runJob("cancel-unpaid-applications");
+      expect(res.body.result).toMatchObject({ checked: 1, cancelled: 1 });
+      expect((await reload(legacy)).status).toBe("cancelled");
+      expect((await reload(recent)).status).toBe("pending");
+      expect((await reload(unreadable)).status).toBe("pending");
+    });
+
+    it("leaves applications whose session cannot be expired", async () => {
+      ctx.payments.checkout.sessions.expire.mockRejectedValueOnce(
+        new Error("Session is complete"),
+      );
+      const application = await seedApplication(ctx.db, loan, {
+        appliedAt: ago(8 * DAY),
+        checkoutSession: { id: "cs_paid", status: "open", createdAt: ago(DAY) },
+      });
+      const res = await runJob("cancel-unpaid-applications");
+      expect(res.body.result).toMatchObject({ cancelled: 0, skipped: 1 });
+      expect((await reload(application)).status).toBe("pending");
+    });
+  });
+
+  describe("flag-review-sla", () => {
+    it("flags applications waiting past the SLA once and tells the assignee", async () => {
+      const overdue = await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        appliedAt: ago(3 * DAY),
+      });
+      await seedApplication(ctx.db, loan, { appliedAt: ago(3 * DAY) });
+      await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        appliedAt: ago(HOUR),
+      });
+
+      const res = await runJob("flag-review-sla");
+      expect(res.body.result).toEqual({ checked: 1, flagged: 1 });
+      expect((await reload(overdue)).slaBreachedAt).toBeDefined();
+      const [notification] = await notificationsOf("review.overdue");
+      expect(notification.userEmail).toBe(EMAILS.manager);
+
+      const again = await runJob("flag-review-sla");
+      expect(again.body.result).toEqual({ checked: 0, flagged: 0 });
+    });
+
+    it("measures the wait from submission, not from when the draft was started", async () => {
+      const submitted = (at) => [
+        { from: null, to: "draft", at: ago(10 * DAY) },
+        { from: "draft", to: "pending", at },
+      ];
+      const recent = await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        appliedAt: ago(10 * DAY),
+        statusHistory: submitted(ago(HOUR)),
+      });
+      const overdue = await seedApplication(ctx.db, loan, {
+        applicationFeeStatus: "paid",
+        appliedAt: ago(10 * DAY),
+        statusHistory: submitted(ago(3 * DAY)),
+      });
+
+      const res = await runJob("flag-review-sla");
+      expect(res.body.result).toEqual({ checked: 1, flagged: 1 });
+      expect((await reload(overdue)).slaBreachedAt).toBeDefined();
+      expect((await reload(recent)).slaBreachedAt).toBeUndefined();
+    });
+  });
+
+  describe("payment jobs", () => {
+    const openSession = (id, age) => ({
+      id,
+      status: "open",
+      createdAt: ago(age),
+    });
+
+    it("reconcile-payments records fees paid without a webhook", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        checkoutSession: openSession("cs_paid", HOUR),
+      });
+      await seedApplication(ctx.db, loan, {
+        checkoutSession: openSession("cs_recent", 60 * 1000),
+      });
+      ctx.payments.checkout.sessions.retrieve.mockResolvedValueOnce({
+        id: "cs_paid",
+        status: "complete",
+        payment_status: "paid",
+        payment_intent: "pi_late",
+        amount_total: 1000,
+        currency: "usd",
+        metadata: {
+          loanId: application._id.toString(),
+          email: EMAILS.borrower,
+        },
+      });
+
+      const res = await runJob("reconcile-payments");
+      expect(res.body.result).toEqual({
+        checked: 1,
+        paid: 1,
+        expired: 0,
+        failed: 0,
+      });
+      expect(ctx.payments.checkout.sessions.retrieve).toHaveBeenCalledTimes(1);
+      const stored = await reload(application);
+      expect(stored.applicationFeeStatus).toBe("paid");
+      expect(stored.paymentInfo.transactionId).toBe("pi_late");
+      expect(await notificationsOf("fee.paid")).toHaveLength(1);
+    });
+
+    it("purge-checkout-sessions expires abandoned sessions", async () => {
+      const abandoned = await seedApplication(ctx.db, loan, {
+        checkoutSession: openSession("cs_abandoned", 7 * HOUR),
+      });
+      const active = await seedApplication(ctx.db, loan, {
+        checkoutSession: openSession("cs_active", HOUR),
+      });
+
+      const res = await runJob("purge-checkout-sessions");
+      expect(res.body.result).toEqual({ checked: 1, expired: 1, failed: 0 });
+      expect((await reload(abandoned)).checkoutSession.status).toBe("expired");
+      expect((await reload(active)).checkoutSession.status).toBe("open");
+    });
+
+    it("checkout records the open session", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      await request(ctx.app)
+        .post("/create-checkout-session")
+        .set(authHeader(EMAILS.borrower))
+        .send({ loanId: application._id.toString() });
+      expect((await reload(application)).checkoutSession).toMatchObject({
+        id: "cs_test_123",
+        status: "open",
+      });
+    });
+  });
+
+  describe("send-repayment-reminders", () => {
+    it("reminds installments due within the configured days once", async () => {
+      await ctx.db.collection("repayments").insertOne({
+        applicationId: new ObjectId(),
+        loanTitle: loan.loanTitle,
+        userEmail: EMAILS.borrower,
+        status: "active",
+        installments: [2 * DAY, 5 * DAY].map((due, index) => ({
+          installmentNo: index + 1,
+          dueDate: new Date(Date.now() + due),
+          amount: 100,
+          paidAmount: 0,
+          status: "pending",
+        })),
+      });
+
+      const res = await runJob("send-repayment-reminders");
+      expect(res.body).toMatchObject({
+        status: "succeeded",
+        result: { sent: 1 },
+      });
+      const [notification] = await notificationsOf("repayment.upcoming");
+      expect(notification).toMatchObject({
+        userEmail: EMAILS.borrower,
+        data: { installmentNo: 1 },
+      });
+
+      const again = await runJob("send-repayment-reminders");
+      expect(again.body.result).toEqual({ sent: 0 });
+    });
+  });
+
+  describe("runner", () => {
+    it("runs due jobs on tick and moves their schedule on", async () => {
+      const { jobRunner } = ctx.app.locals;
+      await jobRunner.ensureJobs();
+      await jobs().updateMany({}, { $set: { nextRunAt: ago(HOUR) } });
+      await jobs().updateOne(
+        { _id: "reconcile-payments" },
+        { $set: { enabled: false } },
+      );
+
+      const runs = await jobRunner.tick();
+      expect(runs.map((run) => run.job).sort()).toEqual([
+        "cancel-unpaid-applications",
+        "flag-review-sla",
+        "purge-checkout-sessions",
+        "send-repayment-reminders",
+      ]);
+      const state = await jobs().findOne({ _id: "flag-review-sla" });
+      expect(state).toMatchObject({ lastStatus: "succeeded", lockedBy: null });
+      expect(state.nextRunAt.getTime()).toBeGreaterThan(Date.now());
+
+      expect(await jobRunner.tick()).toEqual([]);
+    });
+
+    it("does not run a job another instance holds", async () => {
+      await ctx.app.locals.jobRunner.ensureJobs();
+      await jobs().updateOne(
+        { _id: "flag-review-sla" },
+        {
+          $set: {
+            lockedBy: "other-instance",
+            lockedUntil: new Date(Date.now() + HOUR),
+          },
+        },
+      );
+      const res = await runJob("flag-review-sla");
+      expect(res.status).toBe(409);
+    });
+
+    it("records failed runs", async () => {
+      ctx.db.collection("loanApplications").find = () => {
+        throw new Error("database unavailable");
+      };
+      const res = await runJob("flag-review-sla");
+      expect(res.body).toMatchObject({
+        status: "failed",
+        error: "database unavailable",
+      });
+      const state = await jobs().findOne({ _id: "flag-review-sla" });
+      expect(state).toMatchObject({
+        lastStatus: "failed",
+        lastError: "database unavailable",
+        lockedUntil: null,
+      });
+    });
+  });
+
+  describe("admin routes", () => {
+    it("lists jobs and their run history", async () => {
+      await runJob("flag-review-sla");
+      await runJob("flag-review-sla");
+
+      const list = await request(ctx.app).get("/admin/jobs").set(admin);
+      expect(list.status).toBe(200);
+      expect(list.body.map((job) => job.name)).toEqual([
+        "cancel-unpaid-applications",
+        "flag-review-sla",
+        "reconcile-payments",
+        "purge-checkout-sessions",
+        "send-repayment-reminders",
+      ]);
+      expect(list.body[1]).toMatchObject({
+        schedule: "*/30 * * * *",
+        enabled: true,
+        options: { hours: 48 },
+        lastStatus: "succeeded",
+      });
+
+      const runs = await request(ctx.app)
+        .get("/admin/jobs/flag-review-sla/runs?limit=1")
+        .set(admin);
+      expect(runs.body).toHaveLength(1);
+      expect(runs.body[0]).toMatchObject({ job: "flag-review-sla" });
+    });
+
+    it("updates schedules and options", async () => {
+      const res = await request(ctx.app)
+        .patch("/admin/jobs/cancel-unpaid-applications")
+        .set(admin)
+        .send({ schedule: "0 3 * * *", options: { days: 3 } });
+      expect(res.status).toBe(200);
+      const state = await jobs().findOne({ _id: "cancel-unpaid-applications" });
+      expect(state).toMatchObject({
+        schedule: "0 3 * * *",
+        options: { days: 3, limit: 200 },
+      });
+      expect(state.nextRunAt.getUTCHours()).toBe(3);
+
+      const invalid = await request(ctx.app)
+        .patch("/admin/jobs/cancel-unpaid-applications")
+        .set(admin)
+        .send({ schedule: "soon", options: { weeks: 1 } });
+      expect(invalid.status).toBe(422);
+      expect(Object.keys(invalid.body.errors)).toEqual([
+        "schedule",
+        "options.weeks",
+      ]);
+
+      for (const days of [0.0001, 1e9, 2.5, "7"]) {
+        const outOfBounds = await request(ctx.app)
+          .patch("/admin/jobs/cancel-unpaid-applications")
+          .set(admin)
+          .send({ options: { days } });
+        expect(outOfBounds.status).toBe(422);
+        expect(outOfBounds.body.errors).toEqual({
+          "options.days": "must be a whole number from 1 to 90",
+        });
+      }
+    });
+
+    it("is admin only and knows its jobs", async () => {
+      const manager = await request(ctx.app)
+        .get("/admin/jobs")
+        .set(authHeader(EMAILS.manager));
+      expect(manager.status).toBe(403);
+
+      const unknown = await runJob("make-coffee");
+      expect(unknown.status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,771 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const { ensureIndexes } = require("../utils/indexes");
+const { normalizeLoanNumbers } = require("../utils/catalog");
+const {
+  EMAILS,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+} = require("./helpers/seed");
+
+const newLoan = {
+  loanTitle: "Education Loan",
+  description: "Tuition and living costs",
+  category: "Education",
+  interestRate: "7.5",
+  maxLimit: "20000",
+  emiPlans: ["12 Months", "24 Months"],
+  requiredDocuments: ["National ID"],
+  loanImage: "https://images.test/edu.png",
+  showOnHome: true,
+};
+
+describe("loan routes", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    await ensureIndexes(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("public catalog", () => {
+    beforeEach(async () => {
+      for (let i = 1; i <= 7; i++) {
+        await seedLoan(ctx.db, { loanTitle: `Home Loan ${i}` });
+      }
+      await seedLoan(ctx.db, { loanTitle: "Car Loan", category: "Vehicle" });
+      await seedLoan(ctx.db, { loanTitle: "Hidden Loan", showOnHome: false });
+      await seedLoan(ctx.db, {
+        loanTitle: "Archived Loan",
+        deletedAt: new Date(),
+      });
+    });
+
+    it("GET /loans/home returns at most six featured loans", async () => {
+      const res = await request(ctx.app).get("/loans/home");
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(6);
+      expect(res.body.every((loan) => loan.showOnHome)).toBe(true);
+    });
+
+    it("GET /all-loans paginates featured loans", async () => {
+      const res = await request(ctx.app).get("/all-loans?page=2&limit=5");
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(8);
+      expect(res.body.loans).toHaveLength(3);
+    });
+
+    it("GET /all-loans filters by search and category", async () => {
+      const search = await request(ctx.app).get(
+        "/all-loans?page=1&limit=10&search=car",
+      );
+      expect(search.body.loans.map((loan) => loan.loanTitle)).toEqual([
+        "Car Loan",
+      ]);
+
+      const category = await request(ctx.app).get(
+        "/all-loans?page=1&limit=10&category=Vehicle",
+      );
+      expect(category.body.total).toBe(1);
+    });
+
+    it("GET /all-loans searches titles, descriptions and categories", async () => {
+      await seedLoan(ctx.db, {
+        loanTitle: "Green Loan",
+        description: "Solar panels for your home",
+        category: "Energy",
+      });
+
+      const byDescription = await request(ctx.app).get("/all-loans?q=solar");
+      expect(byDescription.status).toBe(200);
+      expect(byDescription.body.loans.map((loan) => loan.loanTitle)).toEqual([
+        "Green Loan",
+      ]);
+
+      const byCategory = await request(ctx.app).get("/all-loans?q=vehicle");
+      expect(byCategory.body.total).toBe(1);
+      expect(byCategory.body.loans[0].loanTitle).toBe("Car Loan");
+    });
+
+    it("GET /all-loans filters by rate and limit ranges and sorts", async () => {
+      await seedLoan(ctx.db, {
+        loanTitle: "Cheap Loan",
+        interestRate: 4,
+        maxLimit: 5000,
+      });
+      await seedLoan(ctx.db, {
+        loanTitle: "Pricey Loan",
+        interestRate: 22,
+        maxLimit: 90000,
+      });
+
+      const cheap = await request(ctx.app).get("/all-loans?maxRate=5");
+      expect(cheap.body.loans.map((loan) => loan.loanTitle)).toEqual([
+        "Cheap Loan",
+      ]);
+
+      const large = await request(ctx.app).get(
+        "/all-loans?minLimit=60000&sort=-limit",
+      );
+      expect(large.body.loans.map((loan) => loan.loanTitle)).toEqual([
+        "Pricey Loan",
+      ]);
+
+      const byRate = await request(ctx.app).get("/all-loans?sort=-rate");
+      expect(byRate.body.loans[0].loanTitle).toBe("Pricey Loan");
+      expect(byRate.body.loans.at(-1).loanTitle).toBe("Cheap Loan");
+    });
+
+    it("GET /all-loans returns facet counts for the other filters", async () => {
+      await seedLoan(ctx.db, { loanTitle: "Cheap Car", interestRate: 4 });
+
+      const res = await request(ctx.app).get("/all-loans?category=Vehicle");
+      expect(res.body.total).toBe(1);
+      // category counts ignore the category filter itself
+      expect(res.body.facets.categories).toEqual([
+        { category: "Business", count: 8 },
+        { category: "Vehicle", count: 1 },
+      ]);
+      expect(res.body.facets.interestRates).toEqual([
+        { band: "0-5", min: 0, max: 5, count: 0 },
+        { band: "5-10", min: 5, max: 10, count: 0 },
+        { band: "10-15", min: 10, max: 15, count: 1 },
+        { band: "15-20", min: 15, max: 20, count: 0 },
+        { band: "20+", min: 20, max: null, count: 0 },
+      ]);
+
+      const cheap = await request(ctx.app).get("/all-loans?maxRate=5");
+      expect(cheap.body.facets.categories).toEqual([
+        { category: "Business", count: 1 },
+      ]);
+      expect(cheap.body.facets.interestRates[0].count).toBe(1);
+      expect(cheap.body.facets.interestRates[2].count).toBe(8);
+    });
+
+    it("GET /all-loans filters and buckets loans saved with string numbers once normalized", async () => {
+      const legacy = await seedLoan(ctx.db, {
+        loanTitle: "Legacy Loan",
+        interestRate: "4.5",
+        maxLimit: "70000",
+      });
+      const broken = await seedLoan(ctx.db, {
+        loanTitle: "Broken Loan",
+        interestRate: "n/a",
+      });
+
+      expect(await normalizeLoanNumbers(ctx.db.collection("loans"))).toEqual({
+        normalized: 1,
+      });
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: legacy._id });
+      expect(stored).toMatchObject({ interestRate: 4.5, maxLimit: 70000 });
+      const untouched = await ctx.db
+        .collection("loans")
+        .findOne({ _id: broken._id });
+      expect(untouched.interestRate).toBe("n/a");
+
+      const cheap = await request(ctx.app).get("/all-loans?maxRate=5");
+      expect(cheap.body.loans.map((loan) => loan.loanTitle)).toEqual([
+        "Legacy Loan",
+      ]);
+      expect(cheap.body.facets.interestRates[0].count).toBe(1);
+      const large = await request(ctx.app).get("/all-loans?minLimit=60000");
+      expect(large.body.total).toBe(1);
+    });
+
+    it("GET /all-loans pages through a sort with cursors", async () => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const res = await request(ctx.app).get(
+          `/all-loans?sort=rate&limit=3${cursor ? `&cursor=${cursor}` : ""}`,
+        );
+        expect(res.status).toBe(200);
+        expect(res.body.total).toBe(8);
+        seen.push(...res.body.loans.map((loan) => loan._id));
+        cursor = res.body.nextCursor;
+      } while (cursor);
+
+      expect(seen).toHaveLength(8);
+      expect(new Set(seen).size).toBe(8);
+    });
+
+    it("GET /all-loans rejects invalid parameters", async () => {
+      const res = await request(ctx.app).get(
+        "/all-loans?sort=popular&limit=500&minRate=abc",
+      );
+      expect(res.status).toBe(422);
+      expect(Object.keys(res.body.errors).sort()).toEqual([
+        "limit",
+        "minRate",
+        "sort",
+      ]);
+
+      const first = await request(ctx.app).get("/all-loans?sort=rate&limit=3");
+      const mismatched = await request(ctx.app).get(
+        `/all-loans?sort=newest&cursor=${first.body.nextCursor}`,
+      );
+      expect(mismatched.status).toBe(422);
+      expect(mismatched.body.errors.cursor).toBeDefined();
+
+      const garbage = await request(ctx.app).get("/all-loans?cursor=nope");
+      expect(garbage.status).toBe(422);
+    });
+
+    it("GET /loan/:id returns one loan", async () => {
+      const loan = await seedLoan(ctx.db, { loanTitle: "Single" });
+      const res = await request(ctx.app).get(`/loan/${loan._id}`);
+      expect(res.status).toBe(200);
+      expect(res.body.loanTitle).toBe("Single");
+    });
+  });
+
+  describe("quotes", () => {
+    let loan;
+
+    beforeEach(async () => {
+      loan = await seedLoan(ctx.db, { maxLimit: 20000 });
+    });
+
+    const quote = (id, body) =>
+      request(ctx.app).post(`/loans/${id}/quote`).send(body);
+
+    it("POST /loans/:id/quote returns the reducing balance schedule", async () => {
+      const res = await quote(loan._id, {
+        amount: "12000",
+        emiPlan: "12 Months",
+      });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        loanTitle: loan.loanTitle,
+        amount: 12000,
+        months: 12,
+        interestRate: 12,
+        interestMethod: "reducing",
+        emiAmount: 1066.19,
+      });
+      const { schedule, totalInterest, totalPayable } = res.body;
+      expect(schedule).toHaveLength(12);
+      expect(schedule[0]).toMatchObject({
+        installmentNo: 1,
+        interest: 120,
+        principal: 946.19,
+        balance: 11053.81,
+      });
+      expect(schedule[11].balance).toBe(0);
+      expect(totalPayable).toBeCloseTo(12000 + totalInterest, 2);
+      expect(totalInterest).toBeCloseTo(794.28, 1);
+    });
+
+    it("quotes flat interest on the whole principal", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne({ _id: loan._id }, { $set: { interestMethod: "flat" } });
+      const res = await quote(loan._id, {
+        amount: 12000,
+        emiPlan: "12 Months",
+      });
+      expect(res.body).toMatchObject({
+        interestMethod: "flat",
+        emiAmount: 1120,
+        totalInterest: 1440,
+        totalPayable: 13440,
+      });
+      expect(res.body.schedule[0]).toMatchObject({
+        principal: 1000,
+        interest: 120,
+        balance: 11000,
+      });
+    });
+
+    it("rejects amounts over the limit and plans not offered", async () => {
+      const res = await quote(loan._id, {
+        amount: 25000,
+        emiPlan: "36 Months",
+      });
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toEqual({
+        amount: "must not exceed the loan limit of 20000",
+        emiPlan: "must be one of: 6 Months, 12 Months",
+      });
+
+      const missing = await quote(new ObjectId(), {
+        amount: 1000,
+        emiPlan: "12 Months",
+      });
+      expect(missing.status).toBe(404);
+    });
+
+    it("POST /loans/compare quotes products side by side", async () => {
+      const cheaper = await seedLoan(ctx.db, {
+        loanTitle: "Cheaper Loan",
+        interestRate: 8,
+      });
+      const small = await seedLoan(ctx.db, {
+        loanTitle: "Small Loan",
+        maxLimit: 5000,
+      });
+      const res = await request(ctx.app)
+        .post("/loans/compare")
+        .send({
+          amount: 10000,
+          emiPlan: "12 Months",
+          loanIds: [loan._id, cheaper._id, small._id].map(String),
+        });
+      expect(res.status).toBe(200);
+      expect(res.body.quotes).toHaveLength(3);
+      expect(res.body.quotes[0]).toMatchObject({
+        loanTitle: loan.loanTitle,
+        interestRate: 12,
+      });
+      expect(res.body.quotes[0].schedule).toBeUndefined();
+      expect(res.body.quotes[2]).toEqual({
+        loanId: small._id.toString(),
+        loanTitle: "Small Loan",
+        errors: { amount: "must not exceed the loan limit of 5000" },
+      });
+      expect(res.body.cheapest).toBe(cheaper._id.toString());
+    });
+
+    it("POST /loans/compare validates the product list", async () => {
+      const res = await request(ctx.app)
+        .post("/loans/compare")
+        .send({ amount: 1000, emiPlan: "12 Months", loanIds: ["x"] });
+      expect(res.status).toBe(422);
+      expect(res.body.errors.loanIds).toBeDefined();
+    });
+  });
+
+  describe("manager loan management", () => {
+    it("POST /loans stores a validated loan", async () => {
+      const res = await request(ctx.app)
+        .post("/loans")
+        .set(authHeader(EMAILS.manager))
+        .send({ ...newLoan, status: "injected" });
+
+      expect(res.status).toBe(200);
+      const loan = await ctx.db
+        .collection("loans")
+        .findOne({ _id: new ObjectId(res.body.insertedId) });
+      expect(loan).toMatchObject({
+        loanTitle: "Education Loan",
+        interestRate: 7.5,
+        maxLimit: 20000,
+        createdBy: EMAILS.manager,
+      });
+      expect(loan.status).toBeUndefined();
+    });
+
+    it("POST /loans answers 422 with per-field errors", async () => {
+      const res = await request(ctx.app)
+        .post("/loans")
+        .set(authHeader(EMAILS.manager))
+        .send({ loanTitle: "Broken", interestRate: "abc", emiPlans: [] });
+
+      expect(res.status).toBe(422);
+      expect(res.body.errors).toMatchObject({
+        description: "is required",
+        interestRate: "must be a valid number",
+        emiPlans: "must have at least 1 item(s)",
+      });
+    });
+
+    it("POST /loans stores the application fee and its currency", async () => {
+      const res = await request(ctx.app)
+        .post("/loans")
+        .set(authHeader(EMAILS.manager))
+        .send({ ...newLoan, applicationFee: "15", currency: "eur" });
+      const loan = await ctx.db
+        .collection("loans")
+        .findOne({ _id: new ObjectId(res.body.insertedId) });
+      expect(loan).toMatchObject({ applicationFee: 15, currency: "eur" });
+
+      const invalid = await request(ctx.app)
+        .post("/loans")
+        .set(authHeader(EMAILS.manager))
+        .send({ ...newLoan, applicationFee: -1, currency: "doge" });
+      expect(invalid.status).toBe(422);
+      expect(Object.keys(invalid.body.errors).sort()).toEqual([
+        "applicationFee",
+        "currency",
+      ]);
+    });
+
+    it("POST /loans is manager only", async () => {
+      const res = await request(ctx.app)
+        .post("/loans")
+        .set(authHeader(EMAILS.borrower))
+        .send(newLoan);
+      expect(res.status).toBe(403);
+    });
+
+    it("GET /loans lists every loan", async () => {
+      await seedLoan(ctx.db);
+      await seedLoan(ctx.db, { showOnHome: false });
+      const res = await request(ctx.app)
+        .get("/loans")
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(200);
+      expect(res.body.loans).toHaveLength(2);
+    });
+
+    it("PATCH /loans/:id updates only the sent fields", async () => {
+      const loan = await seedLoan(ctx.db);
+      const res = await request(ctx.app)
+        .patch(`/loans/${loan._id}`)
+        .set(authHeader(EMAILS.manager))
+        .send({ interestRate: 9 });
+
+      expect(res.status).toBe(200);
+      const updated = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(updated.interestRate).toBe(9);
+      expect(updated.loanTitle).toBe(loan.loanTitle);
+    });
+
+    describe("versions", () => {
+      const manager = authHeader(EMAILS.manager);
+
+      it("POST /loans records version 1", async () => {
+        const res = await request(ctx.app)
+          .post("/loans")
+          .set(manager)
+          .send(newLoan);
+        const versions = await request(ctx.app)
+          .get(`/loans/${res.body.insertedId}/versions`)
+          .set(manager);
+        expect(versions.body.current).toBe(1);
+        expect(versions.body.versions).toHaveLength(1);
+        expect(versions.body.versions[0].terms).toMatchObject({
+          interestRate: 7.5,
+          emiPlans: ["12 Months", "24 Months"],
+        });
+      });
+
+      it("every edit adds a version, older ones stay untouched", async () => {
+        const loan = await seedLoan(ctx.db);
+        await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({ interestRate: 9 });
+        const res = await request(ctx.app)
+          .put(`/admin/loans/${loan._id}`)
+          .set(authHeader(EMAILS.admin))
+          .send({ ...newLoan, maxLimit: 80000 });
+        expect(res.body.result.version).toBe(3);
+
+        const versions = await request(ctx.app)
+          .get(`/loans/${loan._id}/versions`)
+          .set(manager);
+        expect(versions.body.versions.map((v) => v.version)).toEqual([3, 2, 1]);
+        const [, second, first] = versions.body.versions;
+        // the seeded loan predates versioning, its terms became version 1
+        expect(first.terms.interestRate).toBe(12);
+        expect(second).toMatchObject({
+          terms: { interestRate: 9 },
+          changes: { interestRate: { before: 12, after: 9 } },
+          createdBy: EMAILS.manager,
+        });
+      });
+
+      it("edits display fields without a new version", async () => {
+        const loan = await seedLoan(ctx.db);
+        const res = await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({
+            loanTitle: "Renamed",
+            loanImage: "https://images.test/b.png",
+          });
+        expect(res.body).toMatchObject({ modifiedCount: 1, version: 1 });
+
+        await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({ interestRate: 9, showOnHome: false });
+        const diff = await request(ctx.app)
+          .get(`/loans/${loan._id}/versions/diff?from=1`)
+          .set(manager);
+        expect(diff.body.changes).toEqual({
+          interestRate: { before: 12, after: 9 },
+        });
+        const stored = await ctx.db
+          .collection("loans")
+          .findOne({ _id: loan._id });
+        expect(stored).toMatchObject({
+          loanTitle: "Renamed",
+          showOnHome: false,
+          version: 2,
+        });
+      });
+
+      it("skips edits that change nothing", async () => {
+        const loan = await seedLoan(ctx.db);
+        const res = await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({ interestRate: 12 });
+        expect(res.body).toMatchObject({ modifiedCount: 0, version: 1 });
+      });
+
+      it("diffs two versions", async () => {
+        const loan = await seedLoan(ctx.db);
+        await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({ interestRate: 9 });
+        await request(ctx.app)
+          .patch(`/loans/${loan._id}`)
+          .set(manager)
+          .send({ emiPlans: ["6 Months"] });
+
+        const res = await request(ctx.app)
+          .get(`/loans/${loan._id}/versions/diff?from=1`)
+          .set(manager);
+        expect(res.body).toEqual({
+          from: 1,
+          to: 3,
+          changes: {
+            interestRate: { before: 12, after: 9 },
+            emiPlans: {
+              before: ["6 Months", "12 Months"],
+              after: ["6 Months"],
+            },
+          },
+        });
+
+        const missing = await request(ctx.app)
+          .get(`/loans/${loan._id}/versions/diff?from=7`)
+          .set(manager);
+        expect(missing.status).toBe(404);
+      });
+
+      it("history is staff only", async () => {
+        const loan = await seedLoan(ctx.db);
+        const res = await request(ctx.app)
+          .get(`/loans/${loan._id}/versions`)
+          .set(authHeader(EMAILS.borrower));
+        expect(res.status).toBe(403);
+      });
+    });
+
+    it("PATCH /loans/:id rejects invalid values", async () => {
+      const loan = await seedLoan(ctx.db);
+      const res = await request(ctx.app)
+        .patch(`/loans/${loan._id}`)
+        .set(authHeader(EMAILS.manager))
+        .send({ maxLimit: -5 });
+      expect(res.status).toBe(422);
+    });
+
+    it("DELETE /loans/:id archives the loan", async () => {
+      const loan = await seedLoan(ctx.db);
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.body.deletedCount).toBe(1);
+
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(stored.deletedBy).toBe(EMAILS.manager);
+      expect(stored.deletedAt).toBeInstanceOf(Date);
+
+      const list = await request(ctx.app)
+        .get("/loans")
+        .set(authHeader(EMAILS.manager));
+      expect(list.body.loans).toHaveLength(0);
+      // applications can still resolve the product
+      const single = await request(ctx.app).get(`/loan/${loan._id}`);
+      expect(single.body.loanTitle).toBe(loan.loanTitle);
+    });
+
+    it("DELETE /loans/:id refuses products with open applications", async () => {
+      const loan = await seedLoan(ctx.db);
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { status: "rejected" });
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(409);
+      expect(res.body.openApplications).toBe(1);
+    });
+
+    it("DELETE /loans/:id?migrateTo moves open applications first", async () => {
+      const loan = await seedLoan(ctx.db);
+      const target = await seedLoan(ctx.db, { loanTitle: "Successor Loan" });
+      const open = await seedApplication(ctx.db, loan);
+      const closed = await seedApplication(ctx.db, loan, {
+        status: "rejected",
+      });
+
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}?migrateTo=${target._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(200);
+      expect(res.body.migrated).toBe(1);
+
+      const applications = ctx.db.collection("loanApplications");
+      const moved = await applications.findOne({ _id: open._id });
+      expect(moved).toMatchObject({
+        loanId: target._id.toString(),
+        loanTitle: "Successor Loan",
+        migratedFrom: { loanId: loan._id.toString() },
+      });
+      const untouched = await applications.findOne({ _id: closed._id });
+      expect(untouched.loanId).toBe(loan._id.toString());
+    });
+
+    it("DELETE /loans/:id?migrateTo moves applications onto the target's terms", async () => {
+      const loan = await seedLoan(ctx.db, { version: 2 });
+      const target = await seedLoan(ctx.db, {
+        loanTitle: "Cheaper Loan",
+        interestRate: 6,
+        applicationFee: 0,
+        version: 4,
+      });
+      const unpaid = await seedApplication(ctx.db, loan, {
+        loanVersion: 2,
+        applicationFee: { amount: 10, currency: "usd" },
+        risk: { score: 100, band: "high", outcomes: [] },
+      });
+      const paid = await seedApplication(ctx.db, loan, {
+        loanVersion: 2,
+        applicationFeeStatus: "paid",
+        applicationFee: { amount: 10, currency: "usd" },
+      });
+
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}?migrateTo=${target._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.body.migrated).toBe(2);
+
+      const applications = ctx.db.collection("loanApplications");
+      const moved = await applications.findOne({ _id: unpaid._id });
+      expect(moved).toMatchObject({
+        interestRate: 6,
+        loanVersion: 4,
+        applicationFee: { amount: 0, currency: "usd" },
+        applicationFeeStatus: "not_required",
+        migratedFrom: { loanVersion: 2, interestRate: 12 },
+      });
+      // 12000 over 12 months at 6% is ~1033 a month against 3000 of income
+      expect(moved.risk.outcomes.find((o) => o.rule === "incomeRatio")).toEqual(
+        expect.objectContaining({ value: 0.34, passed: true }),
+      );
+
+      const kept = await applications.findOne({ _id: paid._id });
+      expect(kept).toMatchObject({
+        interestRate: 6,
+        applicationFeeStatus: "paid",
+        applicationFee: { amount: 10 },
+      });
+    });
+
+    it("DELETE /loans/:id?migrateTo leaves decided applications on the archived version", async () => {
+      const loan = await seedLoan(ctx.db, { version: 3 });
+      const target = await seedLoan(ctx.db, { loanTitle: "Successor Loan" });
+      const approved = await seedApplication(ctx.db, loan, {
+        status: "approved",
+        loanVersion: 3,
+      });
+      await seedApplication(ctx.db, loan, { status: "under_review" });
+
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}?migrateTo=${target._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ migrated: 1, pinned: 1 });
+
+      const stored = await ctx.db
+        .collection("loanApplications")
+        .findOne({ _id: approved._id });
+      expect(stored).toMatchObject({
+        loanId: loan._id.toString(),
+        loanVersion: 3,
+      });
+      expect(stored.migratedFrom).toBeUndefined();
+    });
+
+    it("DELETE /loans/:id?migrateTo refuses targets the applications do not fit", async () => {
+      const loan = await seedLoan(ctx.db);
+      const target = await seedLoan(ctx.db, {
+        maxLimit: 10000,
+        emiPlans: ["6 Months"],
+        requiredDocuments: ["National ID", "Bank Statement", "Payslip"],
+      });
+      const fits = await seedApplication(ctx.db, loan, {
+        loanAmount: 5000,
+        emiPlan: "6 Months",
+      });
+      const misfit = await seedApplication(ctx.db, loan);
+
+      const res = await request(ctx.app)
+        .delete(`/loans/${loan._id}?migrateTo=${target._id}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(409);
+      expect(res.body.incompatible).toEqual([
+        {
+          _id: fits._id.toString(),
+          errors: { documents: expect.stringContaining("Payslip") },
+        },
+        {
+          _id: misfit._id.toString(),
+          errors: {
+            loanAmount: expect.any(String),
+            emiPlan: expect.any(String),
+            documents: expect.any(String),
+          },
+        },
+      ]);
+
+      // nothing moved and the product stays live
+      const applications = await ctx.db
+        .collection("loanApplications")
+        .find({ loanId: loan._id.toString() })
+        .toArray();
+      expect(applications).toHaveLength(2);
+      const stored = await ctx.db
+        .collection("loans")
+        .findOne({ _id: loan._id });
+      expect(stored.deletedAt).toBeUndefined();
+    });
+
+    it("DELETE /loans/:id refuses an archived or missing migration target", async () => {
+      const loan = await seedLoan(ctx.db);
+      const archived = await seedLoan(ctx.db, { deletedAt: new Date() });
+      await seedApplication(ctx.db, loan);
+      for (const target of [archived._id, new ObjectId(), loan._id]) {
+        const res = await request(ctx.app)
+          .delete(`/loans/${loan._id}?migrateTo=${target}`)
+          .set(authHeader(EMAILS.manager));
+        expect(res.status).toBe(400);
+      }
+    });
+
+    it("writes an audit entry for manager mutations", async () => {
+      const loan = await seedLoan(ctx.db);
+      await request(ctx.app)
+        .patch(`/loans/${loan._id}`)
+        .set(authHeader(EMAILS.manager))
+        .send({ interestRate: 10 });
+      // the entry is written once the response has finished
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const entry = await ctx.db.collection("auditLog").findOne({});
+      expect(entry).toMatchObject({
+        actor: EMAILS.manager,
+        action: "loan.update",
+        targetId: loan._id.toString(),
+      });
+      expect(entry.changes.interestRate).toEqual({ before: 12, after: 10 });
+    });
+  });
+});
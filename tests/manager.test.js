@@ -0,0 +1,566 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUser,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+  verifyAllDocuments,
+} = require("./helpers/seed");
+
+describe("manager routes", () => {
+  let ctx;
+  let loan;
+
+  const applications = () => ctx.db.collection("loanApplications");
+  const manager = authHeader(EMAILS.manager);
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("GET /manager/loan-applications", () => {
+    it("lists applications, optionally by status", async () => {
+      await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { status: "rejected" });
+
+      const all = await request(ctx.app)
+        .get("/manager/loan-applications")
+        .set(manager);
+      expect(all.status).toBe(200);
+      expect(all.body).toHaveLength(2);
+
+      const pending = await request(ctx.app)
+        .get("/manager/loan-applications?status=pending")
+        .set(manager);
+      expect(pending.body).toHaveLength(1);
+    });
+
+    it("filters and sorts by risk score", async () => {
+      const scored = (score, band) => ({ risk: { score, band, outcomes: [] } });
+      await seedApplication(ctx.db, loan, scored(20, "low"));
+      await seedApplication(ctx.db, loan, scored(80, "high"));
+      await seedApplication(ctx.db, loan, scored(45, "medium"));
+
+      const sorted = await request(ctx.app)
+        .get("/manager/loan-applications?sort=-score")
+        .set(manager);
+      expect(sorted.body.map((a) => a.risk.score)).toEqual([80, 45, 20]);
+
+      const range = await request(ctx.app)
+        .get("/manager/loan-applications?minScore=30&maxScore=80&sort=score")
+        .set(manager);
+      expect(range.body.map((a) => a.risk.score)).toEqual([45, 80]);
+
+      const band = await request(ctx.app)
+        .get("/manager/loan-applications?band=low")
+        .set(manager);
+      expect(band.body).toHaveLength(1);
+    });
+
+    it("rejects malformed score filters", async () => {
+      const res = await request(ctx.app)
+        .get("/manager/loan-applications?minScore=abc")
+        .set(manager);
+      expect(res.status).toBe(400);
+    });
+
+    it("is manager only", async () => {
+      const res = await request(ctx.app)
+        .get("/manager/loan-applications")
+        .set(authHeader(EMAILS.borrower));
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("review queue", () => {
+    const other = "second.manager@loanlink.test";
+
+    beforeEach(() => seedUser(ctx.db, { email: other, role: "manager" }));
+
+    it("lists the caller's queue and the unassigned applications", async () => {
+      const mine = await seedApplication(ctx.db, loan);
+      await seedApplication(ctx.db, loan, { assignedTo: other });
+      const open = await seedApplication(ctx.db, loan, { assignedTo: null });
+      await seedApplication(ctx.db, loan, { status: "approved" });
+
+      const queue = await request(ctx.app).get("/manager/queue").set(manager);
+      expect(queue.status).toBe(200);
+      expect(queue.body.map((a) => a._id)).toEqual([mine._id.toString()]);
+
+      const unassigned = await request(ctx.app)
+        .get("/manager/queue?scope=unassigned")
+        .set(manager);
+      expect(unassigned.body.map((a) => a._id)).toEqual([open._id.toString()]);
+
+      const listed = await request(ctx.app)
+        .get("/manager/loan-applications?assignee=me")
+        .set(manager);
+      expect(listed.body).toHaveLength(2);
+    });
+
+    it("claims an unassigned application once", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        assignedTo: null,
+      });
+      const claim = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/claim`)
+        .set(manager);
+      expect(claim.status).toBe(200);
+      expect(claim.body.assignedTo).toBe(EMAILS.manager);
+
+      const taken = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/claim`)
+        .set(authHeader(other));
+      expect(taken.status).toBe(409);
+      expect(taken.body.assignedTo).toBe(EMAILS.manager);
+    });
+
+    it("only lets the assignee release an application", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const stranger = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/release`)
+        .set(authHeader(other));
+      expect(stranger.status).toBe(403);
+
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/release`)
+        .set(manager)
+        .send({ reason: "On leave" });
+      expect(res.status).toBe(200);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.assignedTo).toBeNull();
+      expect(stored.assignmentHistory.at(-1)).toMatchObject({
+        from: EMAILS.manager,
+        to: null,
+        actor: EMAILS.manager,
+        reason: "On leave",
+      });
+    });
+
+    it("refuses to assign decided applications", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "rejected",
+        assignedTo: null,
+      });
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/claim`)
+        .set(manager);
+      expect(res.status).toBe(409);
+    });
+
+    it("only accepts decisions from the assignee", async () => {
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan, { assignedTo: other }),
+      );
+      const approve = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      expect(approve.status).toBe(403);
+      expect(approve.body.assignedTo).toBe(other);
+
+      const reject = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(manager)
+        .send({ reason: "No" });
+      expect(reject.status).toBe(403);
+
+      const unassigned = await seedApplication(ctx.db, loan, {
+        assignedTo: null,
+      });
+      const review = await request(ctx.app)
+        .patch(`/loan-applications/manager/${unassigned._id}/review`)
+        .set(manager);
+      expect(review.status).toBe(403);
+      expect(review.body.message).toMatch(/claim/i);
+
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.status).toBe("pending");
+    });
+  });
+
+  describe("PATCH /loan-applications/manager/:id/approve", () => {
+    it("approves and creates the repayment schedule", async () => {
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan),
+      );
+
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: "approved",
+        handledBy: EMAILS.manager,
+      });
+
+      const repayment = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(repayment).toMatchObject({
+        principal: 12000,
+        interestRate: 12,
+        tenureMonths: 12,
+        status: "active",
+        userEmail: EMAILS.borrower,
+      });
+      expect(repayment.installments).toHaveLength(12);
+      expect(repayment.emiAmount).toBeCloseTo(1066.19, 2);
+    });
+
+    it("builds a flat interest schedule for flat products", async () => {
+      await ctx.db
+        .collection("loans")
+        .updateOne({ _id: loan._id }, { $set: { interestMethod: "flat" } });
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan),
+      );
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+
+      const repayment = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(repayment).toMatchObject({
+        interestMethod: "flat",
+        emiAmount: 1120,
+        totalInterest: 1440,
+      });
+    });
+
+    it("approves against the loan version the borrower applied under", async () => {
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan, { loanVersion: 1 }),
+      );
+      await request(ctx.app)
+        .patch(`/loans/${loan._id}`)
+        .set(manager)
+        .send({ interestRate: 20, emiPlans: ["6 Months"] });
+
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      expect(res.status).toBe(200);
+      const repayment = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(repayment).toMatchObject({
+        interestRate: 12,
+        emiPlan: "12 Months",
+        loanVersion: 1,
+      });
+    });
+
+    it("waits for every required document to be verified", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      expect(res.status).toBe(409);
+      expect(res.body.unverified).toEqual(["National ID", "Bank Statement"]);
+    });
+
+    it("refuses illegal transitions", async () => {
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan, { status: "rejected" }),
+      );
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({ from: "rejected", to: "approved" });
+    });
+
+    it("answers 400 and 404 for bad ids", async () => {
+      const invalid = await request(ctx.app)
+        .patch("/loan-applications/manager/nope/approve")
+        .set(manager);
+      expect(invalid.status).toBe(400);
+
+      const missing = await request(ctx.app)
+        .patch(`/loan-applications/manager/${new ObjectId()}/approve`)
+        .set(manager);
+      expect(missing.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /loan-applications/manager/:id/reject", () => {
+    it("rejects with a reason", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(manager)
+        .send({ reason: "Income too low" });
+      expect(res.status).toBe(200);
+
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored).toMatchObject({
+        status: "rejected",
+        rejectionReason: "Income too low",
+        managedBy: EMAILS.manager,
+      });
+      expect(stored.statusHistory.at(-1)).toMatchObject({
+        from: "pending",
+        to: "rejected",
+        reason: "Income too low",
+      });
+    });
+
+    it("requires a reason", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(manager)
+        .send({});
+      expect(res.status).toBe(400);
+    });
+
+    it("requires a reason when no body is sent", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(manager);
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("A rejection reason is required");
+    });
+  });
+
+  describe("PATCH /loan-applications/manager/:id/review", () => {
+    it("moves a pending application under review", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/review`)
+        .set(manager);
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("under_review");
+    });
+  });
+
+  describe("PATCH /manager/loan-applications/:id/documents/:docId", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await seedApplication(ctx.db, loan);
+      await applications().updateOne(
+        { _id: application._id, "documents._id": application.documents[0]._id },
+        {
+          $set: {
+            "documents.$.status": "submitted",
+            "documents.$.file": { key: "x.pdf" },
+          },
+        },
+      );
+    });
+
+    const review = (docId, body) =>
+      request(ctx.app)
+        .patch(
+          `/manager/loan-applications/${application._id}/documents/${docId}`,
+        )
+        .set(manager)
+        .send(body);
+
+    it("marks an uploaded document verified", async () => {
+      const res = await review(application.documents[0]._id, {
+        status: "verified",
+      });
+      expect(res.status).toBe(200);
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.documents[0]).toMatchObject({
+        status: "verified",
+        reviewedBy: EMAILS.manager,
+      });
+    });
+
+    it("needs a note to reject", async () => {
+      const res = await review(application.documents[0]._id, {
+        status: "rejected",
+      });
+      expect(res.status).toBe(400);
+    });
+
+    it("answers 404 for documents without a file", async () => {
+      const res = await review(application.documents[1]._id, {
+        status: "verified",
+      });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("PATCH /loan-applications/manager/:id/disburse", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan),
+      );
+    });
+
+    const approve = () =>
+      request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+    const disburse = (body) =>
+      request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/disburse`)
+        .set(manager)
+        .send(body);
+
+    it("records the disbursement and activates the loan", async () => {
+      await approve();
+      const res = await disburse({
+        amount: 12000,
+        method: "bank_transfer",
+        reference: "TRX-1",
+        disbursedAt: "2026-01-05",
+      });
+      expect(res.status).toBe(200);
+      expect(res.body.status).toBe("disbursed");
+
+      const stored = await applications().findOne({ _id: application._id });
+      expect(stored.disbursements).toHaveLength(1);
+      expect(stored.disbursements[0]).toMatchObject({
+        amount: 12000,
+        method: "bank_transfer",
+        reference: "TRX-1",
+        recordedBy: EMAILS.manager,
+      });
+      expect(stored.statusHistory.at(-1)).toMatchObject({
+        from: "approved",
+        to: "disbursed",
+      });
+      const repayment = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(repayment.disbursedAt).toEqual(new Date("2026-01-05"));
+    });
+
+    it("only disburses approved applications, once", async () => {
+      const body = { amount: 12000, method: "cash", reference: "R-1" };
+      expect((await disburse(body)).status).toBe(409);
+      await approve();
+      expect((await disburse(body)).status).toBe(200);
+      expect((await disburse(body)).status).toBe(409);
+    });
+
+    it("validates the amount and details", async () => {
+      await approve();
+      expect((await disburse({ method: "cash", reference: "R" })).status).toBe(
+        400,
+      );
+      expect((await disburse({ amount: 12000 })).status).toBe(400);
+      const over = await disburse({
+        amount: 20000,
+        method: "cash",
+        reference: "R",
+      });
+      expect(over.status).toBe(400);
+      expect(over.body.approved).toBe(12000);
+
+      const empty = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/disburse`)
+        .set(manager);
+      expect(empty.status).toBe(400);
+    });
+  });
+
+  describe("repayments", () => {
+    let application;
+
+    beforeEach(async () => {
+      application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan),
+      );
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(manager);
+    });
+
+    const pay = (body) =>
+      request(ctx.app)
+        .post(`/manager/repayments/${application._id}/payments`)
+        .set(manager)
+        .send(body);
+
+    it("GET /manager/repayments/:applicationId returns the schedule", async () => {
+      const res = await request(ctx.app)
+        .get(`/manager/repayments/${application._id}`)
+        .set(manager);
+      expect(res.status).toBe(200);
+      expect(res.body.installments[0]).toMatchObject({
+        installmentNo: 1,
+        status: "pending",
+      });
+    });
+
+    it("GET /manager/repayments/:applicationId answers 404 without a schedule", async () => {
+      const res = await request(ctx.app)
+        .get(`/manager/repayments/${new ObjectId()}`)
+        .set(manager);
+      expect(res.status).toBe(404);
+    });
+
+    it("records a partial payment", async () => {
+      const res = await pay({ amount: 500, method: "bank" });
+      expect(res.status).toBe(200);
+      expect(res.body.payment).toMatchObject({ type: "partial", amount: 500 });
+
+      const schedule = await request(ctx.app)
+        .get(`/manager/repayments/${application._id}`)
+        .set(manager);
+      expect(schedule.body.installments[0]).toMatchObject({
+        paidAmount: 500,
+        status: "partial",
+      });
+    });
+
+    it("records a prepayment across several installments", async () => {
+      const res = await pay({ amount: 2500 });
+      expect(res.body.payment.type).toBe("prepayment");
+      expect(res.body.payment.allocations.map((a) => a.installmentNo)).toEqual([
+        1, 2, 3,
+      ]);
+    });
+
+    it("refuses more than the outstanding balance", async () => {
+      const res = await pay({ amount: 1000000 });
+      expect(res.status).toBe(400);
+    });
+
+    it("refuses an invalid payment date", async () => {
+      const res = await pay({ amount: 500, paidAt: "garbage" });
+      expect(res.status).toBe(400);
+      expect(res.body.message).toBe("Invalid payment date");
+      const stored = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(stored.payments || []).toHaveLength(0);
+    });
+
+    it("completes the schedule when fully paid", async () => {
+      const schedule = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      const res = await pay({ amount: schedule.outstanding });
+      expect(res.body.outstanding).toBe(0);
+      const stored = await ctx.db
+        .collection("repayments")
+        .findOne({ applicationId: application._id });
+      expect(stored.status).toBe("completed");
+    });
+  });
+});
@@ -0,0 +1,388 @@
+const express = require("express");
+const request = require("supertest");
+const { createAuthMiddleware } = require("../middlewares/auth");
+const { createMemoryDb } = require("./helpers/memoryDb");
+const { EMAILS, seedUsers } = require("./helpers/seed");
+const { createFakeAuth, authHeader } = require("./helpers/testApp");
+const { createLogger, redact, redactUrl } = require("../utils/logger");
+const { createRequestLogger } = require("../middlewares/requestLogger");
+const { createErrorHandlers } = require("../middlewares/errors");
+const { validateIdParams } = require("../middlewares/validateIds");
+const { AppError } = require("../utils/errors");
+
+process.env.LOG_LEVEL = "silent";
+
+describe("auth middlewares", () => {
+  let db;
+  let auth;
+  let app;
+
+  beforeEach(async () => {
+    db = createMemoryDb();
+    await seedUsers(db);
+    auth = createFakeAuth();
+    const { verifyJWT, verifyAdmin, verifyManager, verifyStaff } =
+      createAuthMiddleware({ auth, usersCollection: db.collection("users") });
+
+    app = express();
+    app.get("/jwt", verifyJWT, (req, res) =>
+      res.send({ email: req.tokenEmail, claims: req.tokenClaims }),
+    );
+    app.get("/admin", verifyAdmin, (req, res) => res.send({ ok: true }));
+    app.get("/manager", verifyJWT, verifyManager, (req, res) =>
+      res.send({ ok: true }),
+    );
+    app.get("/staff", verifyStaff, (req, res) => res.send({ ok: true }));
+  });
+
+  const get = (path, email) => {
+    const req = request(app).get(path);
+    return email ? req.set(authHeader(email)) : req;
+  };
+
+  describe("verifyJWT", () => {
+    it("rejects requests without a bearer token", async () => {
+      const res = await get("/jwt");
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe("Unauthorized Access!");
+    });
+
+    it("rejects tokens the verifier does not accept", async () => {
+      const res = await request(app)
+        .get("/jwt")
+        .set("Authorization", "Bearer forged");
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({ message: "Unauthorized Access!" });
+    });
+
+    it("exposes the token email as req.tokenEmail", async () => {
+      const res = await get("/jwt", EMAILS.borrower);
+      expect(res.status).toBe(200);
+      expect(res.body.email).toBe(EMAILS.borrower);
+      expect(auth.verifyIdToken).toHaveBeenCalledWith(expect.any(String), true);
+    });
+
+    it("rejects revoked tokens", async () => {
+      auth.revoked.add(EMAILS.borrower);
+      const res = await get("/jwt", EMAILS.borrower);
+      expect(res.status).toBe(401);
+      expect(res.body).toEqual({
+        message: "Session has ended, please sign in again",
+      });
+    });
+
+    it("rejects tokens with the suspended claim", async () => {
+      auth.claims.set(EMAILS.borrower, { role: "borrower", suspended: true });
+      const res = await get("/jwt", EMAILS.borrower);
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ message: "Your account is suspended" });
+    });
+
+    it("falls back to the users collection for tokens without claims", async () => {
+      await db
+        .collection("users")
+        .updateOne({ email: EMAILS.other }, { $set: { status: "suspended" } });
+      expect((await get("/jwt", EMAILS.other)).status).toBe(403);
+
+      const res = await get("/jwt", EMAILS.manager);
+      expect(res.body.claims).toMatchObject({
+        role: "manager",
+        suspended: false,
+      });
+      expect(auth.setCustomUserClaims).toHaveBeenCalledWith(EMAILS.manager, {
+        role: "manager",
+        suspended: false,
+      });
+
+      // the backfill is written once, not on every request
+      await get("/jwt", EMAILS.manager);
+      expect(
+        auth.setCustomUserClaims.mock.calls.filter(
+          ([uid]) => uid === EMAILS.manager,
+        ),
+      ).toHaveLength(1);
+    });
+  });
+
+  describe("verifyAdmin", () => {
+    it("lets admins through and verifies the token itself", async () => {
+      expect((await get("/admin", EMAILS.admin)).status).toBe(200);
+      expect((await get("/admin")).status).toBe(401);
+    });
+
+    it.each([
+      ["manager", EMAILS.manager],
+      ["borrower", EMAILS.borrower],
+    ])("blocks a %s", async (role, email) => {
+      const res = await get("/admin", email);
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ message: "Admin only actions!!", role });
+    });
+
+    it("blocks unknown users", async () => {
+      const res = await get("/admin", "nobody@loanlink.test");
+      expect(res.status).toBe(403);
+    });
+
+    it("decides from the role claim without reading users", async () => {
+      auth.claims.set(EMAILS.borrower, { role: "admin", suspended: false });
+      auth.claims.set(EMAILS.admin, { role: "borrower", suspended: false });
+      expect((await get("/admin", EMAILS.borrower)).status).toBe(200);
+      expect((await get("/admin", EMAILS.admin)).status).toBe(403);
+    });
+  });
+
+  describe("verifyManager", () => {
+    it("lets managers through", async () => {
+      expect((await get("/manager", EMAILS.manager)).status).toBe(200);
+    });
+
+    it.each([
+      ["admin", EMAILS.admin],
+      ["borrower", EMAILS.borrower],
+    ])("blocks a %s", async (role, email) => {
+      const res = await get("/manager", email);
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({ message: "Manager only actions!!", role });
+    });
+  });
+
+  describe("verifyStaff", () => {
+    it("lets managers and admins through", async () => {
+      expect((await get("/staff", EMAILS.manager)).status).toBe(200);
+      expect((await get("/staff", EMAILS.admin)).status).toBe(200);
+      const res = await get("/staff", EMAILS.borrower);
+      expect(res.status).toBe(403);
+      expect(res.body).toEqual({
+        message: "Forbidden Access!",
+        role: "borrower",
+      });
+    });
+  });
+});
+
+describe("rate limiting", () => {
+  const { createRateLimiter } = require("../middlewares/rateLimit");
+  const { createMemoryStore } = require("../rateLimit/memoryStore");
+  const { createRedisStore } = require("../rateLimit/redisStore");
+
+  const buildApp = (store) => {
+    const { rateLimit } = createRateLimiter({
+      store,
+      policies: {
+        tight: { windowMs: 60 * 1000, max: 2, key: "user_or_ip" },
+      },
+    });
+    const app = express();
+    app.get(
+      "/limited",
+      (req, res, next) => {
+        req.tokenEmail = req.get("x-test-email");
+        next();
+      },
+      rateLimit("tight"),
+      (req, res) => res.send({ ok: true }),
+    );
+    return app;
+  };
+
+  it("sends RateLimit headers and a 429 past the limit", async () => {
+    const app = buildApp(createMemoryStore());
+    const first = await request(app).get("/limited");
+    expect(first.status).toBe(200);
+    expect(first.headers["ratelimit-limit"]).toBe("2");
+    expect(first.headers["ratelimit-remaining"]).toBe("1");
+    expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+    expect(Number(first.headers["ratelimit-reset"])).toBeLessThanOrEqual(60);
+
+    await request(app).get("/limited");
+    const blocked = await request(app).get("/limited");
+    expect(blocked.status).toBe(429);
+    expect(blocked.headers["ratelimit-remaining"]).toBe("0");
+    expect(blocked.headers["retry-after"]).toBeDefined();
+    expect(blocked.body.message).toBe(
+      "Too many requests, please try again later",
+    );
+  });
+
+  it("counts each user separately", async () => {
+    const app = buildApp(createMemoryStore());
+    for (let i = 0; i < 3; i++) {
+      await request(app).get("/limited").set("x-test-email", EMAILS.borrower);
+    }
+    const other = await request(app)
+      .get("/limited")
+      .set("x-test-email", EMAILS.other);
+    expect(other.status).toBe(200);
+  });
+
+  it("starts a new window once the old one ends", async () => {
+    let time = 0;
+    const app = buildApp(createMemoryStore({ now: () => time }));
+    for (let i = 0; i < 3; i++) await request(app).get("/limited");
+    time += 61 * 1000;
+    expect((await request(app).get("/limited")).status).toBe(200);
+  });
+
+  it("shares counters through a redis client", async () => {
+    const counts = {};
+    const client = {
+      eval: jest.fn(async (script, { keys }) => {
+        counts[keys[0]] = (counts[keys[0]] || 0) + 1;
+        return [counts[keys[0]], 60000];
+      }),
+    };
+    const app = buildApp(createRedisStore({ client }));
+    await request(app).get("/limited");
+    await request(app).get("/limited");
+    expect((await request(app).get("/limited")).status).toBe(429);
+    expect(client.eval.mock.calls[0][1]).toMatchObject({
+      keys: [expect.stringMatching(/^ratelimit:tight:ip:/)],
+      arguments: ["60000"],
+    });
+  });
+
+  it("lets requests through when the store fails", async () => {
+    const app = buildApp({
+      increment: async () => {
+        throw new Error("connection refused");
+      },
+    });
+    const res = await request(app).get("/limited");
+    expect(res.status).toBe(200);
+  });
+});
+
+describe("logging and errors", () => {
+  let lines;
+  let app;
+
+  beforeEach(() => {
+    process.env.LOG_LEVEL = "info";
+    lines = [];
+    const logger = createLogger({
+      write: (line) => lines.push(JSON.parse(line)),
+    });
+    const { notFound, errorHandler } = createErrorHandlers({ logger });
+
+    app = express();
+    app.use(createRequestLogger({ logger }));
+    app.use(express.json());
+    const router = validateIdParams(express.Router());
+    router.get("/items/:id", (req, res) => {
+      req.tokenEmail = EMAILS.borrower;
+      res.send({ id: req.params.id });
+    });
+    router.get("/users/:email", (req, res) => res.send({}));
+    router.post("/items", (req, res) => res.send(req.body));
+    router.get("/conflict", () => {
+      throw new AppError("Already done", 409, { status: "closed" });
+    });
+    router.get("/broken", async () => {
+      throw new Error("secret internals");
+    });
+    app.use(router);
+    app.use(notFound);
+    app.use(errorHandler);
+  });
+
+  afterEach(() => {
+    process.env.LOG_LEVEL = "silent";
+  });
+
+  it("logs one line per request with an id, latency and the user", async () => {
+    const id = "0123456789abcdef01234567";
+    const res = await request(app)
+      .get(`/items/${id}?token=abc`)
+      .set("Authorization", "Bearer secret-token");
+    expect(res.status).toBe(200);
+    expect(res.headers["x-request-id"]).toBeDefined();
+
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toMatchObject({
+      level: "info",
+      msg: "request",
+      requestId: res.headers["x-request-id"],
+      method: "GET",
+      url: `/items/${id}?token=%5BREDACTED%5D`,
+      route: "/items/:id",
+      status: 200,
+      userEmail: EMAILS.borrower,
+    });
+    expect(lines[0].durationMs).toEqual(expect.any(Number));
+    expect(JSON.stringify(lines)).not.toContain("secret-token");
+  });
+
+  it("keeps a request id sent by the caller", async () => {
+    const res = await request(app)
+      .get("/items/0123456789abcdef01234567")
+      .set("X-Request-Id", "edge-42");
+    expect(res.headers["x-request-id"]).toBe("edge-42");
+    expect(lines[0].requestId).toBe("edge-42");
+  });
+
+  it("masks emails in logged urls", async () => {
+    await request(app).get(`/users/${EMAILS.borrower}`);
+    expect(lines[0].url).toBe("/users/[email]");
+  });
+
+  it("answers 400 for malformed ids before the handler", async () => {
+    const res = await request(app).get("/items/nope");
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: "Invalid id" });
+  });
+
+  it("sends typed errors with their status and details", async () => {
+    const res = await request(app).get("/conflict");
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({ message: "Already done", status: "closed" });
+  });
+
+  it("hides unexpected errors behind a 500 with the request id", async () => {
+    const res = await request(app).get("/broken");
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({
+      message: "Internal Server Error",
+      requestId: res.headers["x-request-id"],
+    });
+    const error = lines.find((line) => line.msg === "Unhandled error");
+    expect(error.err.message).toBe("secret internals");
+    expect(error.requestId).toBe(res.headers["x-request-id"]);
+  });
+
+  it("answers unknown routes and malformed JSON", async () => {
+    const missing = await request(app).get("/nowhere");
+    expect(missing.status).toBe(404);
+    expect(missing.body).toEqual({ message: "Route not found" });
+
+    const malformed = await request(app)
+      .post("/items")
+      .set("Content-Type", "application/json")
+      .send("{ not json");
+    expect(malformed.status).toBe(400);
+    expect(malformed.body).toEqual({
+      message: "Request body is not valid JSON",
+    });
+  });
+
+  it("redacts tokens and personal data at any depth", () => {
+    expect(
+      redact({
+        userEmail: EMAILS.borrower,
+        body: { inviteToken: "t", nationalId: "123", name: "Ann" },
+        headers: [{ authorization: "Bearer x" }],
+      }),
+    ).toEqual({
+      userEmail: EMAILS.borrower,
+      body: {
+        inviteToken: "[REDACTED]",
+        nationalId: "[REDACTED]",
+        name: "Ann",
+      },
+      headers: [{ authorization: "[REDACTED]" }],
+    });
+    expect(redactUrl("/a?coupon=X&idToken=y")).toBe(
+      "/a?coupon=X&idToken=%5BREDACTED%5D",
+    );
+  });
+});
@@ -0,0 +1,296 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const {
+  buildTestApp,
+  authHeader,
+  signStripeEvent,
+  loadStripeFixture,
+} = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+  verifyAllDocuments,
+} = require("./helpers/seed");
+const { createMailTransport } = require("../mail");
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("notifications", () => {
+  let ctx;
+  let users;
+  let loan;
+
+  const notifications = () => ctx.db.collection("notifications");
+  const borrower = authHeader(EMAILS.borrower);
+
+  const seedNotification = (overrides = {}) =>
+    notifications().insertOne({
+      userEmail: EMAILS.borrower,
+      type: "application.submitted",
+      title: "Application submitted",
+      message: "Waiting for review.",
+      data: {},
+      read: false,
+      createdAt: new Date(),
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    users = await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  describe("GET /notifications", () => {
+    it("lists the caller's notifications newest first", async () => {
+      await seedNotification({ createdAt: new Date(Date.now() - DAY) });
+      await seedNotification({ title: "Newest", read: true });
+      await seedNotification({ userEmail: EMAILS.other });
+
+      const res = await request(ctx.app).get("/notifications").set(borrower);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ total: 2, unread: 1 });
+      expect(res.body.notifications[0].title).toBe("Newest");
+
+      const unread = await request(ctx.app)
+        .get("/notifications?unread=true")
+        .set(borrower);
+      expect(unread.body.notifications).toHaveLength(1);
+    });
+
+    it("requires a token", async () => {
+      const res = await request(ctx.app).get("/notifications");
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe("marking as read", () => {
+    it("marks one notification read", async () => {
+      const { insertedId } = await seedNotification();
+      const res = await request(ctx.app)
+        .patch(`/notifications/${insertedId}/read`)
+        .set(borrower);
+      expect(res.status).toBe(200);
+      const stored = await notifications().findOne({ _id: insertedId });
+      expect(stored.read).toBe(true);
+      expect(stored.readAt).toBeDefined();
+    });
+
+    it("hides other users' notifications", async () => {
+      const { insertedId } = await seedNotification({
+        userEmail: EMAILS.other,
+      });
+      const res = await request(ctx.app)
+        .patch(`/notifications/${insertedId}/read`)
+        .set(borrower);
+      expect(res.status).toBe(404);
+
+      const malformed = await request(ctx.app)
+        .patch("/notifications/not-an-id/read")
+        .set(borrower);
+      expect(malformed.status).toBe(400);
+    });
+
+    it("marks everything read", async () => {
+      await seedNotification();
+      await seedNotification();
+      await seedNotification({ userEmail: EMAILS.other });
+      const res = await request(ctx.app)
+        .patch("/notifications/read-all")
+        .set(borrower);
+      expect(res.body.modifiedCount).toBe(2);
+      expect(await notifications().countDocuments({ read: false })).toBe(1);
+    });
+  });
+
+  describe("lifecycle events", () => {
+    const notificationOf = (type) => notifications().findOne({ type });
+
+    it("notifies on submission, in app and by email", async () => {
+      await request(ctx.app)
+        .post("/loan-applications")
+        .set(borrower)
+        .send({
+          loanId: loan._id.toString(),
+          loanAmount: "15000",
+          emiPlan: "12 Months",
+          firstName: "Test",
+          lastName: "Borrower",
+          contactNumber: "01700000000",
+          monthlyIncome: "3000",
+          documents: ["National ID", "Bank Statement"],
+        });
+
+      const notification = await notificationOf("application.submitted");
+      expect(notification).toMatchObject({
+        userEmail: EMAILS.borrower,
+        read: false,
+        email: { status: "sent", messageId: "test-1" },
+      });
+      expect(notification.message).toContain("Small Business Loan");
+      expect(ctx.mailer.sent[0]).toMatchObject({
+        to: EMAILS.borrower,
+        subject: "Application submitted",
+      });
+    });
+
+    it("does not notify for drafts until they are submitted", async () => {
+      const application = await seedApplication(ctx.db, loan, {
+        status: "draft",
+      });
+      expect(await notifications().countDocuments()).toBe(0);
+
+      await request(ctx.app)
+        .patch(`/loan-applications/${application._id}/submit`)
+        .set(borrower);
+      expect(await notificationOf("application.submitted")).not.toBeNull();
+    });
+
+    it("notifies when the fee is paid, once per payment", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      const event = loadStripeFixture("checkout.session.completed");
+      event.data.object.metadata.loanId = application._id.toString();
+      const post = () => {
+        const { payload, signature } = signStripeEvent(event);
+        return request(ctx.app)
+          .post("/webhooks/stripe")
+          .set("Content-Type", "application/json")
+          .set("Stripe-Signature", signature)
+          .send(payload);
+      };
+
+      await post();
+      await post();
+      expect(await notifications().countDocuments({ type: "fee.paid" })).toBe(
+        1,
+      );
+    });
+
+    it("notifies on approval with the first due date", async () => {
+      const application = await verifyAllDocuments(
+        ctx.db,
+        await seedApplication(ctx.db, loan),
+      );
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/approve`)
+        .set(authHeader(EMAILS.manager));
+
+      const notification = await notificationOf("application.approved");
+      expect(notification.data.applicationId).toBe(application._id.toString());
+      expect(notification.message).toMatch(
+        /first installment of [\d.]+ is due/,
+      );
+    });
+
+    it("notifies on rejection with the reason", async () => {
+      const application = await seedApplication(ctx.db, loan);
+      await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(authHeader(EMAILS.manager))
+        .send({ reason: "Income too low" });
+
+      const notification = await notificationOf("application.rejected");
+      expect(notification.message).toContain("Reason: Income too low");
+    });
+
+    it("notifies suspended users", async () => {
+      await request(ctx.app)
+        .patch(`/admin/users/${users.borrower._id}/suspend`)
+        .set(authHeader(EMAILS.admin))
+        .send({ reason: "Fraud check" });
+
+      const notification = await notificationOf("account.suspended");
+      expect(notification.userEmail).toBe(EMAILS.borrower);
+    });
+
+    it("keeps the in-app notification when email fails", async () => {
+      ctx.mailer.send.mockRejectedValueOnce(new Error("SMTP down"));
+      const application = await seedApplication(ctx.db, loan);
+      const res = await request(ctx.app)
+        .patch(`/loan-applications/manager/${application._id}/reject`)
+        .set(authHeader(EMAILS.manager))
+        .send({ reason: "Incomplete" });
+
+      expect(res.status).toBe(200);
+      const notification = await notificationOf("application.rejected");
+      expect(notification.email).toEqual({
+        status: "failed",
+        error: "SMTP down",
+      });
+    });
+  });
+
+  describe("POST /admin/notifications/repayment-reminders", () => {
+    const seedRepayment = (dueDates) =>
+      ctx.db.collection("repayments").insertOne({
+        applicationId: new ObjectId(),
+        loanTitle: loan.loanTitle,
+        userEmail: EMAILS.borrower,
+        status: "active",
+        installments: dueDates.map((dueDate, index) => ({
+          installmentNo: index + 1,
+          dueDate,
+          principal: 90,
+          interest: 10,
+          amount: 100,
+          paidAmount: 0,
+          status: "pending",
+        })),
+      });
+
+    it("reminds installments due soon, once", async () => {
+      await seedRepayment([
+        new Date(Date.now() + DAY),
+        new Date(Date.now() + 10 * DAY),
+      ]);
+      const send = () =>
+        request(ctx.app)
+          .post("/admin/notifications/repayment-reminders")
+          .set(authHeader(EMAILS.admin))
+          .send({ days: 3 });
+
+      const first = await send();
+      expect(first.status).toBe(200);
+      expect(first.body).toEqual({ sent: 1 });
+      const second = await send();
+      expect(second.body).toEqual({ sent: 0 });
+
+      const notification = await notifications().findOne({
+        type: "repayment.upcoming",
+      });
+      expect(notification.data).toMatchObject({
+        installmentNo: 1,
+        amount: 100,
+      });
+    });
+
+    it("is admin only", async () => {
+      const res = await request(ctx.app)
+        .post("/admin/notifications/repayment-reminders")
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(403);
+    });
+  });
+});
+
+describe("mail transports", () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  it("refuses to fall back to the console in production", () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = "production";
+    expect(() => createMailTransport()).toThrow(
+      "MAIL_TRANSPORT must be set in production",
+    );
+
+    process.env.NODE_ENV = "development";
+    expect(createMailTransport()).toHaveProperty("send");
+  });
+});
@@ -0,0 +1,285 @@
+const request = require("supertest");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const {
+  EMAILS,
+  seedUsers,
+  seedLoan,
+  seedApplication,
+  verifyAllDocuments,
+} = require("./helpers/seed");
+
+const details = {
+  firstName: "Gary",
+  lastName: "Guarantor",
+  contactNumber: "01800000000",
+  nationalId: "NID-42",
+  monthlyIncome: 5000,
+};
+
+describe("co-applicants and guarantors", () => {
+  let ctx;
+  let loan;
+  let application;
+
+  const borrower = authHeader(EMAILS.borrower);
+  const party = authHeader(EMAILS.other);
+  const manager = authHeader(EMAILS.manager);
+  const applications = () => ctx.db.collection("loanApplications");
+  const stored = () => applications().findOne({ _id: application._id });
+
+  const invite = (body = {}) =>
+    request(ctx.app)
+      .post(`/loan-applications/${application._id}/parties`)
+      .set(borrower)
+      .send({ email: EMAILS.other, role: "guarantor", ...body });
+
+  const accept = (body = details) =>
+    request(ctx.app)
+      .patch(`/loan-applications/${application._id}/party/accept`)
+      .set(party)
+      .send(body);
+
+  const approve = () =>
+    request(ctx.app)
+      .patch(`/loan-applications/manager/${application._id}/approve`)
+      .set(manager);
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+    loan = await seedLoan(ctx.db);
+    application = await seedApplication(ctx.db, loan);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  it("lets the borrower invite a party by email and notifies them", async () => {
+    const res = await invite({ email: " Other@LoanLink.test " });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      email: EMAILS.other,
+      role: "guarantor",
+      status: "invited",
+    });
+    expect(res.body.documents.map((doc) => doc.type)).toEqual(
+      loan.requiredDocuments,
+    );
+
+    const notification = await ctx.db
+      .collection("notifications")
+      .findOne({ type: "party.invited" });
+    expect(notification).toMatchObject({ userEmail: EMAILS.other });
+    expect(notification.message).toContain("Test Borrower");
+    expect(notification.message).toContain("as a guarantor");
+  });
+
+  it("refuses bad, duplicate and self invites, and other users", async () => {
+    const invalid = await invite({ role: "cosigner", email: "nope" });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toMatchObject({
+      role: expect.any(String),
+      email: expect.any(String),
+    });
+
+    expect((await invite({ email: EMAILS.borrower })).status).toBe(400);
+    expect((await invite()).status).toBe(200);
+    expect((await invite({ role: "co_applicant" })).status).toBe(409);
+
+    const stranger = await request(ctx.app)
+      .post(`/loan-applications/${application._id}/parties`)
+      .set(authHeader(EMAILS.manager))
+      .send({ email: "someone@loanlink.test", role: "guarantor" });
+    expect(stranger.status).toBe(403);
+  });
+
+  it("freezes parties once a decision is made", async () => {
+    await applications().updateOne(
+      { _id: application._id },
+      { $set: { status: "approved" } },
+    );
+    const res = await invite();
+    expect(res.status).toBe(409);
+    expect(res.body.status).toBe("approved");
+  });
+
+  it("lists the application in the party's /my-loans without the borrower's data", async () => {
+    await invite();
+    const res = await request(ctx.app).get("/my-loans").set(party);
+    expect(res.status).toBe(200);
+    expect(res.body).toHaveLength(1);
+    expect(res.body[0]).toMatchObject({
+      _id: application._id.toString(),
+      loanTitle: loan.loanTitle,
+      userEmail: EMAILS.borrower,
+      borrower: { firstName: "Test", lastName: "Borrower" },
+      party: { email: EMAILS.other, status: "invited" },
+    });
+    expect(res.body[0].contactNumber).toBeUndefined();
+    expect(res.body[0].documents).toBeUndefined();
+
+    const own = await request(ctx.app).get("/my-loans").set(borrower);
+    expect(own.body).toHaveLength(1);
+    expect(own.body[0].contactNumber).toBe("01700000000");
+  });
+
+  it("takes the party's own details on accept and tells the borrower", async () => {
+    await invite();
+    const res = await accept();
+    expect(res.status).toBe(200);
+    expect(res.body.party).toMatchObject({ status: "accepted", details });
+
+    const notification = await ctx.db
+      .collection("notifications")
+      .findOne({ type: "party.accepted" });
+    expect(notification.userEmail).toBe(EMAILS.borrower);
+
+    // the borrower sees where the party stands, not their details
+    const asBorrower = await request(ctx.app)
+      .get(`/loan-application/${application._id}`)
+      .set(borrower);
+    expect(asBorrower.body.parties[0]).toMatchObject({ status: "accepted" });
+    expect(asBorrower.body.parties[0].details).toBeUndefined();
+
+    const asParty = await request(ctx.app)
+      .get(`/loan-application/${application._id}`)
+      .set(party);
+    expect(asParty.status).toBe(200);
+    expect(asParty.body.party.details).toEqual(details);
+
+    expect((await accept()).status).toBe(409);
+  });
+
+  it("validates details and only answers invited parties", async () => {
+    await invite();
+    const invalid = await accept({ firstName: "Gary" });
+    expect(invalid.status).toBe(422);
+    expect(invalid.body.errors).toMatchObject({
+      lastName: expect.any(String),
+      monthlyIncome: expect.any(String),
+    });
+
+    const stranger = await request(ctx.app)
+      .patch(`/loan-applications/${application._id}/party/accept`)
+      .set(authHeader(EMAILS.admin))
+      .send(details);
+    expect(stranger.status).toBe(404);
+  });
+
+  it("records a decline and drops withdrawn parties", async () => {
+    const { _id: partyId } = (await invite()).body;
+    const declined = await request(ctx.app)
+      .patch(`/loan-applications/${application._id}/party/decline`)
+      .set(party);
+    expect(declined.body.party.status).toBe("declined");
+
+    const withdrawn = await request(ctx.app)
+      .delete(`/loan-applications/${application._id}/parties/${partyId}`)
+      .set(borrower);
+    expect(withdrawn.status).toBe(200);
+    expect(withdrawn.body.status).toBe("withdrawn");
+
+    expect((await request(ctx.app).get("/my-loans").set(party)).body).toEqual(
+      [],
+    );
+    const detail = await request(ctx.app)
+      .get(`/loan-application/${application._id}`)
+      .set(party);
+    expect(detail.status).toBe(403);
+
+    // the email can be invited again
+    expect((await invite()).status).toBe(200);
+  });
+
+  it("takes document uploads from the party after they accept", async () => {
+    const { documents } = (await invite()).body;
+    const upload = () =>
+      request(ctx.app)
+        .post(
+          `/loan-applications/${application._id}/party/documents/${documents[0]._id}`,
+        )
+        .set(party)
+        .attach("file", Buffer.from("%PDF-1.4 guarantor"), {
+          filename: "id.pdf",
+          contentType: "application/pdf",
+        });
+
+    expect((await upload()).status).toBe(409);
+    await accept();
+    const res = await upload();
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      status: "submitted",
+      type: "National ID",
+    });
+
+    const file = `/loan-applications/${application._id}/parties/${
+      (await stored()).parties[0]._id
+    }/documents/${documents[0]._id}/file`;
+    const download = await request(ctx.app).get(file).set(party);
+    expect(download.status).toBe(200);
+    expect(download.headers["content-type"]).toBe("application/pdf");
+    expect((await request(ctx.app).get(file).set(borrower)).status).toBe(404);
+    expect((await request(ctx.app).get(file).set(manager)).status).toBe(200);
+  });
+
+  it("holds approval until every party has accepted and been verified", async () => {
+    await verifyAllDocuments(ctx.db, application);
+    await invite();
+
+    const waiting = await approve();
+    expect(waiting.status).toBe(409);
+    expect(waiting.body).toMatchObject({
+      message: "Every co-applicant and guarantor must accept first",
+      parties: [{ email: EMAILS.other, status: "invited" }],
+    });
+
+    await accept();
+    const unverified = await approve();
+    expect(unverified.status).toBe(409);
+    expect(unverified.body.parties[0].unverified).toEqual(
+      loan.requiredDocuments,
+    );
+
+    const { parties } = await stored();
+    const [guarantor] = parties;
+    for (const doc of guarantor.documents) {
+      await applications().updateOne(
+        { _id: application._id },
+        {
+          $set: {
+            "parties.$[party].documents.$[doc].file": {
+              key: `${application._id}/${doc._id}.pdf`,
+              mimeType: "application/pdf",
+            },
+          },
+        },
+        {
+          arrayFilters: [
+            { "party._id": guarantor._id },
+            { "doc._id": doc._id },
+          ],
+        },
+      );
+      const review = await request(ctx.app)
+        .patch(
+          `/manager/loan-applications/${application._id}/parties/${guarantor._id}/documents/${doc._id}`,
+        )
+        .set(manager)
+        .send({ status: "verified" });
+      expect(review.status).toBe(200);
+    }
+
+    const approved = await approve();
+    expect(approved.status).toBe(200);
+    expect(approved.body.status).toBe("approved");
+  });
+
+  it("does not wait for withdrawn parties", async () => {
+    await verifyAllDocuments(ctx.db, application);
+    const { _id: partyId } = (await invite()).body;
+    await request(ctx.app)
+      .delete(`/loan-applications/${application._id}/parties/${partyId}`)
+      .set(borrower);
+    expect((await approve()).status).toBe(200);
+  });
+});
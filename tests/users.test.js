@@ -0,0 +1,199 @@
+const request = require("supertest");
+const { buildTestApp, authHeader } = require("./helpers/testApp");
+const { EMAILS, seedUsers } = require("./helpers/seed");
+
+describe("user routes", () => {
+  let ctx;
+
+  beforeEach(async () => {
+    ctx = buildTestApp();
+    await seedUsers(ctx.db);
+  });
+
+  afterEach(() => ctx.cleanup());
+
+  it("GET / answers a health message", async () => {
+    const res = await request(ctx.app).get("/");
+    expect(res.text).toBe("Hello from Server..");
+  });
+
+  describe("POST /users", () => {
+    const register = (email, body = {}) =>
+      request(ctx.app).post("/users").set(authHeader(email)).send(body);
+
+    it("creates a new borrower from the token email", async () => {
+      const res = await register("new@loanlink.test", { name: "New" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.insertedId).toBeDefined();
+      const user = await ctx.db
+        .collection("users")
+        .findOne({ email: "new@loanlink.test" });
+      expect(user).toMatchObject({
+        name: "New",
+        role: "borrower",
+        status: "approved",
+      });
+      expect(user.created_at).toBeDefined();
+      expect(user.uid).toBe("new@loanlink.test");
+      expect(res.body.claimsUpdated).toBe(true);
+      expect(ctx.auth.claims.get("new@loanlink.test")).toEqual({
+        role: "borrower",
+        suspended: false,
+      });
+    });
+
+    it("leaves claims alone when the token already carries them", async () => {
+      ctx.auth.claims.set(EMAILS.borrower, {
+        role: "borrower",
+        suspended: false,
+      });
+      const res = await register(EMAILS.borrower);
+      expect(res.body.claimsUpdated).toBe(false);
+      expect(ctx.auth.setCustomUserClaims).not.toHaveBeenCalled();
+    });
+
+    it("ignores role, status and email sent by the client", async () => {
+      await register("new@loanlink.test", {
+        name: "New",
+        email: EMAILS.admin,
+        role: "admin",
+        status: "suspended",
+        feeWaiver: { reason: "free" },
+      });
+      const user = await ctx.db
+        .collection("users")
+        .findOne({ email: "new@loanlink.test" });
+      expect(user).toMatchObject({ role: "borrower", status: "approved" });
+      expect(user.feeWaiver).toBeUndefined();
+      expect(
+        (await ctx.db.collection("users").findOne({ email: EMAILS.admin }))
+          .last_loggedIn,
+      ).toBeUndefined();
+    });
+
+    it("requires a token", async () => {
+      const res = await request(ctx.app)
+        .post("/users")
+        .send({ name: "New", email: "new@loanlink.test" });
+      expect(res.status).toBe(401);
+    });
+
+    it("registers with a token and no body", async () => {
+      const res = await request(ctx.app)
+        .post("/users")
+        .set(authHeader("new@loanlink.test"));
+      expect(res.status).toBe(200);
+      expect(res.body.insertedId).toBeDefined();
+    });
+
+    it("only updates the login time for an existing user", async () => {
+      const res = await register(EMAILS.borrower, { name: "Renamed" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.matchedCount).toBe(1);
+      const user = await ctx.db
+        .collection("users")
+        .findOne({ email: EMAILS.borrower });
+      expect(user.name).toBe("Test User");
+      expect(user.last_loggedIn).toBeDefined();
+    });
+  });
+
+  describe("PATCH /users/profile", () => {
+    it("updates the caller's own name and photo", async () => {
+      const res = await request(ctx.app)
+        .patch("/users/profile")
+        .set(authHeader(EMAILS.borrower))
+        .send({ name: "Updated", photo: "https://images.test/me.png" });
+
+      expect(res.status).toBe(200);
+      const user = await ctx.db
+        .collection("users")
+        .findOne({ email: EMAILS.borrower });
+      expect(user).toMatchObject({
+        name: "Updated",
+        photo: "https://images.test/me.png",
+      });
+    });
+
+    it("requires a token", async () => {
+      const res = await request(ctx.app)
+        .patch("/users/profile")
+        .send({ name: "x" });
+      expect(res.status).toBe(401);
+    });
+  });
+
+  describe("GET /users/role/:email", () => {
+    it("returns the caller's own role", async () => {
+      const res = await request(ctx.app)
+        .get(`/users/role/${EMAILS.manager}`)
+        .set(authHeader(EMAILS.manager));
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ role: "manager" });
+    });
+
+    it("returns no role for a caller without a profile", async () => {
+      const res = await request(ctx.app)
+        .get("/users/role/nobody@loanlink.test")
+        .set(authHeader("nobody@loanlink.test"));
+      expect(res.body).toEqual({});
+    });
+
+    it("requires a token and refuses other emails", async () => {
+      const anonymous = await request(ctx.app).get(
+        `/users/role/${EMAILS.manager}`,
+      );
+      expect(anonymous.status).toBe(401);
+
+      const other = await request(ctx.app)
+        .get(`/users/role/${EMAILS.manager}`)
+        .set(authHeader(EMAILS.borrower));
+      expect(other.status).toBe(403);
+    });
+  });
+
+  describe("rate limits", () => {
+    const rebuild = (rateLimits) => {
+      ctx.cleanup();
+      ctx = buildTestApp({ rateLimits });
+    };
+
+    it("throttles registration per IP", async () => {
+      rebuild({ register: { max: 2 } });
+      for (let i = 0; i < 2; i++) {
+        const res = await request(ctx.app)
+          .post("/users")
+          .set(authHeader(`new${i}@loanlink.test`))
+          .send({ name: "New" });
+        expect(res.status).toBe(200);
+      }
+      const res = await request(ctx.app)
+        .post("/users")
+        .set(authHeader("new3@loanlink.test"))
+        .send({ name: "New" });
+      expect(res.status).toBe(429);
+      expect(res.headers["ratelimit-limit"]).toBe("2");
+    });
+
+    it("throttles registration before checking the token", async () => {
+      rebuild({ register: { max: 2 } });
+      const forged = () =>
+        request(ctx.app).post("/users").set({ Authorization: "Bearer forged" });
+      expect((await forged()).status).toBe(401);
+      expect((await forged()).status).toBe(401);
+      expect((await forged()).status).toBe(429);
+      expect(ctx.auth.verifyIdToken).toHaveBeenCalledTimes(2);
+    });
+
+    it("throttles role lookups per user", async () => {
+      rebuild({ roleLookup: { max: 1 } });
+      const lookup = (email) =>
+        request(ctx.app).get(`/users/role/${email}`).set(authHeader(email));
+      expect((await lookup(EMAILS.borrower)).status).toBe(200);
+      expect((await lookup(EMAILS.borrower)).status).toBe(429);
+      expect((await lookup(EMAILS.other)).status).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+// Helpers for building and settling EMI repayment schedules
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// EMI plans are stored as labels like "12 Months", accept plain numbers too
+const parseEmiMonths = (plan) => {
+  const months = parseInt(plan, 10);
+  return Number.isInteger(months) && months > 0 ? months : null;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setMonth(result.getMonth() + months);
+  // roll back to the last day of the month when the day overflows (e.g. Jan 31)
+  if (result.getDate() !== day) result.setDate(0);
+  return result;
+};
+
+// "reducing" charges interest on the balance still owed, "flat" on the
+// whole principal for the whole tenure. Products without interestMethod
+// are reducing.
+const INTEREST_METHODS = ["reducing", "flat"];
+
+const flatInterest = (principal, annualRate, months) =>
+  round2((principal * annualRate * months) / 12 / 100);
+
+// Monthly installment
+const calculateEmi = (principal, annualRate, months, method = "reducing") => {
+  if (method === "flat") {
+    return round2(
+      (principal + flatInterest(principal, annualRate, months)) / months,
+    );
+  }
+  const rate = annualRate / 12 / 100;
+  if (!rate) return round2(principal / months);
+  const factor = Math.pow(1 + rate, months);
+  return round2((principal * rate * factor) / (factor - 1));
+};
+
+const buildSchedule = ({
+  principal,
+  annualRate,
+  months,
+  startDate,
+  method = "reducing",
+}) => {
+  const rate = annualRate / 12 / 100;
+  const emi = calculateEmi(principal, annualRate, months, method);
+  const totalFlatInterest = flatInterest(principal, annualRate, months);
+  const installments = [];
+  let balance = principal;
+  let interestCharged = 0;
+
+  for (let i = 1; i <= months; i++) {
+    const last = i === months;
+    let interest;
+    let principalPart;
+    if (method === "flat") {
+      interest = last
+        ? round2(totalFlatInterest - interestCharged)
+        : round2(totalFlatInterest / months);
+      principalPart = last ? round2(balance) : round2(principal / months);
+    } else {
+      interest = round2(balance * rate);
+      // the last installment clears whatever rounding left behind
+      principalPart = last ? round2(balance) : round2(emi - interest);
+    }
+    interestCharged = round2(interestCharged + interest);
+    balance = round2(balance - principalPart);
+    installments.push({
+      installmentNo: i,
+      dueDate: addMonths(startDate, i),
+      principal: principalPart,
+      interest,
+      amount: round2(principalPart + interest),
+      paidAmount: 0,
+      status: "pending",
+    });
+  }
+
+  const totalPayable = round2(
+    installments.reduce((sum, item) => sum + item.amount, 0),
+  );
+  return {
+    emiAmount: emi,
+    totalPayable,
+    totalInterest: round2(totalPayable - principal),
+    installments,
+  };
+};
+
+const installmentDue = (installment) =>
+  round2(installment.amount - (installment.paidAmount || 0));
+
+// "overdue" is derived at read time, it is never stored
+const installmentStatus = (installment, now = new Date()) => {
+  if (installmentDue(installment) <= 0) return "paid";
+  if (new Date(installment.dueDate) < now) return "overdue";
+  return installment.paidAmount > 0 ? "partial" : "pending";
+};
+
+// Spread a payment over installments oldest first. Money that reaches past the
+// next open installment into later ones is treated as a prepayment.
+const allocatePayment = (installments, amount, now = new Date()) => {
+  let remaining = round2(amount);
+  const allocations = [];
+  let coversFuture = false;
+
+  const updated = installments.map((installment) => {
+    const due = installmentDue(installment);
+    if (remaining <= 0 || due <= 0) return installment;
+
+    const applied = Math.min(due, remaining);
+    remaining = round2(remaining - applied);
+    // paying the next open installment early is normal, going past it is not
+    if (allocations.length > 0 && new Date(installment.dueDate) > now) {
+      coversFuture = true;
+    }
+    allocations.push({
+      installmentNo: installment.installmentNo,
+      amount: applied,
+    });
+
+    const paidAmount = round2((installment.paidAmount || 0) + applied);
+    return {
+      ...installment,
+      paidAmount,
+      status: paidAmount >= installment.amount ? "paid" : "partial",
+    };
+  });
+
+  const settlesAllApplied = allocations.every(({ installmentNo }) => {
+    const item = updated.find((i) => i.installmentNo === installmentNo);
+    return item.status === "paid";
+  });
+
+  let type = "installment";
+  if (coversFuture) type = "prepayment";
+  else if (!settlesAllApplied) type = "partial";
+
+  return { installments: updated, allocations, remaining, type };
+};
+
+// Schedule as shown to clients, with the derived status and amount due
+const withInstallmentStatus = (repayment, now = new Date()) => ({
+  ...repayment,
+  installments: repayment.installments.map((installment) => ({
+    ...installment,
+    status: installmentStatus(installment, now),
+    due: installmentDue(installment),
+  })),
+});
+
+const outstandingBalance = (installments) =>
+  round2(installments.reduce((sum, item) => sum + installmentDue(item), 0));
+
+module.exports = {
+  INTEREST_METHODS,
+  round2,
+  parseEmiMonths,
+  addMonths,
+  calculateEmi,
+  buildSchedule,
+  installmentDue,
+  installmentStatus,
+  allocatePayment,
+  withInstallmentStatus,
+  outstandingBalance,
+};
@@ -0,0 +1,237 @@
+// Aggregation pipelines behind the admin dashboard. Every builder takes a
+// { from, to } range from parseDateRange() and, for time series, the bucket
+// size ("day", "week" or "month"; weeks start on Monday).
+const INTERVALS = ["day", "week", "month"];
+
+const HOUR = 60 * 60 * 1000;
+
+const inRange = ({ from, to }) =>
+  from ? { $gte: from, $lte: to } : { $lte: to };
+
+const bucket = (field, interval) => ({
+  $dateTrunc: { date: `$${field}`, unit: interval, startOfWeek: "monday" },
+});
+
+const round = (expression, places = 2) => ({ $round: [expression, places] });
+
+// Reads `input` as a date into `field`; ISO strings convert, anything
+// unreadable becomes null and drops out of range matches
+const asDate = (field, input = field) => ({
+  $addFields: {
+    [field]: {
+      $convert: { input: `$${input}`, to: "date", onError: null, onNull: null },
+    },
+  },
+});
+
+// Reads `field` as a number; numeric strings convert, anything else becomes
+// null, which $sum and $avg skip
+const asNumber = (field) => ({
+  $addFields: {
+    [field]: {
+      $convert: {
+        input: `$${field}`,
+        to: "double",
+        onError: null,
+        onNull: null,
+      },
+    },
+  },
+});
+
+// applications made through the old form carry appliedAt and loanAmount as
+// strings
+const withAppliedAt = asDate("appliedAt");
+const withLoanAmount = asNumber("loanAmount");
+
+// Applications per period, split by current status
+const applicationsOverTime = (range, interval) => [
+  withAppliedAt,
+  { $match: { appliedAt: inRange(range) } },
+  {
+    $group: {
+      // applications from before the status field count as pending
+      _id: {
+        period: bucket("appliedAt", interval),
+        status: { $ifNull: ["$status", "pending"] },
+      },
+      count: { $sum: 1 },
+    },
+  },
+  {
+    $group: {
+      _id: "$_id.period",
+      total: { $sum: "$count" },
+      statuses: { $push: { k: "$_id.status", v: "$count" } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      total: 1,
+      byStatus: { $arrayToObject: "$statuses" },
+    },
+  },
+  { $sort: { period: 1 } },
+];
+
+// Decisions per manager. Approvals are credited to handledBy, rejections to
+// managedBy, and decision time runs from appliedAt to the decision (left
+// out of the average when appliedAt is unreadable).
+const managerPerformance = (range) => [
+  {
+    $match: {
+      $or: [{ approvedAt: inRange(range) }, { rejectedAt: inRange(range) }],
+    },
+  },
+  withAppliedAt,
+  {
+    $project: {
+      manager: { $ifNull: ["$handledBy", "$managedBy"] },
+      approved: { $cond: [{ $ifNull: ["$approvedAt", false] }, 1, 0] },
+      decisionMs: {
+        $subtract: [{ $ifNull: ["$approvedAt", "$rejectedAt"] }, "$appliedAt"],
+      },
+    },
+  },
+  {
+    $group: {
+      _id: "$manager",
+      decisions: { $sum: 1 },
+      approved: { $sum: "$approved" },
+      avgDecisionMs: { $avg: "$decisionMs" },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      manager: "$_id",
+      decisions: 1,
+      approved: 1,
+      rejected: { $subtract: ["$decisions", "$approved"] },
+      approvalRate: round({ $divide: ["$approved", "$decisions"] }, 4),
+      avgDecisionHours: round({ $divide: ["$avgDecisionMs", HOUR] }),
+    },
+  },
+  { $sort: { decisions: -1, manager: 1 } },
+];
+
+// Application fee revenue per period and currency, in major units
+const feeRevenue = (range, interval) => [
+  { $match: { "paymentInfo.paidAt": inRange(range) } },
+  {
+    $group: {
+      _id: {
+        period: bucket("paymentInfo.paidAt", interval),
+        currency: "$paymentInfo.currency",
+      },
+      payments: { $sum: 1 },
+      gross: { $sum: "$paymentInfo.amount" },
+      refunded: { $sum: { $ifNull: ["$paymentInfo.refundedAmount", 0] } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id.period",
+      currency: "$_id.currency",
+      payments: 1,
+      gross: { $divide: ["$gross", 100] },
+      refunded: { $divide: ["$refunded", 100] },
+      net: { $divide: [{ $subtract: ["$gross", "$refunded"] }, 100] },
+    },
+  },
+  { $sort: { period: 1, currency: 1 } },
+];
+
+// Demand per loan category from the applications made in the range
+const categoryDemand = (range) => [
+  withAppliedAt,
+  { $match: { appliedAt: inRange(range) } },
+  withLoanAmount,
+  {
+    $group: {
+      _id: "$category",
+      applications: { $sum: 1 },
+      requestedAmount: { $sum: "$loanAmount" },
+      averageAmount: { $avg: "$loanAmount" },
+      approved: {
+        $sum: {
+          $cond: [
+            { $in: ["$status", ["approved", "disbursed", "closed"]] },
+            1,
+            0,
+          ],
+        },
+      },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      category: "$_id",
+      applications: 1,
+      approved: 1,
+      requestedAmount: 1,
+      averageAmount: round("$averageAmount"),
+    },
+  },
+  { $sort: { applications: -1, category: 1 } },
+];
+
+const productsPerCategory = () => [
+  { $match: { deletedAt: null } },
+  { $group: { _id: "$category", products: { $sum: 1 } } },
+];
+
+// users.created_at is an ISO string, so it is converted before matching;
+// users without a readable one are left out
+const withCreatedAt = asDate("createdAt", "created_at");
+
+const userGrowth = (range, interval) => [
+  withCreatedAt,
+  { $match: { createdAt: inRange(range) } },
+  {
+    $group: {
+      _id: {
+        period: bucket("createdAt", interval),
+        role: { $ifNull: ["$role", "borrower"] },
+      },
+      count: { $sum: 1 },
+    },
+  },
+  {
+    $group: {
+      _id: "$_id.period",
+      newUsers: { $sum: "$count" },
+      roles: { $push: { k: "$_id.role", v: "$count" } },
+    },
+  },
+  {
+    $project: {
+      _id: 0,
+      period: "$_id",
+      newUsers: 1,
+      byRole: { $arrayToObject: "$roles" },
+    },
+  },
+  { $sort: { period: 1 } },
+];
+
+const usersBefore = (date) => [
+  withCreatedAt,
+  { $match: { createdAt: { $lt: date } } },
+  { $count: "total" },
+];
+
+module.exports = {
+  INTERVALS,
+  applicationsOverTime,
+  managerPerformance,
+  feeRevenue,
+  categoryDemand,
+  productsPerCategory,
+  userGrowth,
+  usersBefore,
+};
@@ -0,0 +1,119 @@
+// Loan application state machine. Every status change goes through
+// transitionApplication so the rules and the history live in one place.
+const { ObjectId } = require("mongodb");
+const { AppError } = require("./errors");
+
+const STATUSES = [
+  "draft",
+  "pending",
+  "under_review",
+  "approved",
+  "rejected",
+  "disbursed",
+  "closed",
+  "cancelled",
+];
+
+const TRANSITIONS = {
+  draft: ["pending", "cancelled"],
+  // managers may still decide straight from pending without a review step
+  pending: ["under_review", "approved", "rejected", "cancelled"],
+  under_review: ["approved", "rejected", "cancelled"],
+  approved: ["disbursed", "cancelled"],
+  rejected: [],
+  disbursed: ["closed"],
+  closed: [],
+  cancelled: [],
+};
+
+class TransitionError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "TransitionError";
+  }
+}
+
+// applications saved before the state machine existed have no status
+const currentStatus = (application) => application.status || "pending";
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const historyEntry = ({ from, to, actor, role, reason }) => ({
+  from,
+  to,
+  actor,
+  role,
+  reason: reason || "",
+  at: new Date(),
+});
+
+// Moves an application to a new status and appends to its statusHistory.
+// `allowedFrom` narrows the legal source states for a specific route and
+// `set` carries extra fields written in the same update and `match` extra
+// conditions the stored application must still meet (e.g. its assignee).
+const transitionApplication = async (
+  applicationsCollection,
+  id,
+  to,
+  { actor, role, reason, allowedFrom, set = {}, match = {} } = {},
+) => {
+  if (!STATUSES.includes(to)) {
+    throw new TransitionError(`Unknown status "${to}"`, 400, { to });
+  }
+  if (!ObjectId.isValid(id)) {
+    throw new TransitionError("Invalid ID format", 400);
+  }
+
+  const _id = new ObjectId(id);
+  const application = await applicationsCollection.findOne({ _id });
+  if (!application) {
+    throw new TransitionError("Application not found", 404);
+  }
+
+  const from = currentStatus(application);
+  if (
+    !canTransition(from, to) ||
+    (allowedFrom && !allowedFrom.includes(from))
+  ) {
+    throw new TransitionError(
+      `Cannot move application from "${from}" to "${to}"`,
+      409,
+      { from, to },
+    );
+  }
+
+  const entry = historyEntry({ from, to, actor, role, reason });
+  // matching on the old status makes two concurrent transitions race safely
+  const result = await applicationsCollection.updateOne(
+    { ...match, _id, status: application.status },
+    {
+      $set: { ...set, status: to, updatedAt: entry.at },
+      $push: { statusHistory: entry },
+    },
+  );
+  if (result.modifiedCount === 0) {
+    throw new TransitionError(
+      "Application was changed by someone else, please retry",
+      409,
+      { from, to },
+    );
+  }
+
+  return { ...application, ...set, status: to, updatedAt: entry.at };
+};
+
+const sendTransitionError = (res, err) => {
+  if (!(err instanceof TransitionError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TransitionError,
+  currentStatus,
+  canTransition,
+  historyEntry,
+  transitionApplication,
+  sendTransitionError,
+};
@@ -0,0 +1,350 @@
+// Manager review queue. Pending applications get an assignee, round-robin
+// over the active managers or, with the "category" strategy, over the
+// managers an admin listed for the application's category. Only the
+// assignee may review or decide an application; managers can claim
+// unassigned ones and release their own back to the queue.
+const { ObjectId } = require("mongodb");
+const { AppError } = require("./errors");
+
+// applications saved before the state machine existed count as pending
+const QUEUE_STATUSES = ["pending", "under_review"];
+const IN_QUEUE = { status: { $in: [...QUEUE_STATUSES, null] } };
+
+const STRATEGIES = ["round_robin", "category"];
+
+const DEFAULT_ASSIGNMENT_CONFIG = {
+  strategy: "round_robin",
+  // category -> manager emails, used by the "category" strategy
+  categories: {},
+};
+
+// Lives in the settings collection next to the scoring rules. The document
+// also holds the round-robin `turn` counter.
+const ASSIGNMENT_CONFIG_ID = "assignment";
+
+class AssignmentError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "AssignmentError";
+  }
+}
+
+const loadAssignmentConfig = async (settingsCollection) => {
+  const stored = await settingsCollection.findOne({
+    _id: ASSIGNMENT_CONFIG_ID,
+  });
+  return {
+    strategy: stored?.strategy || DEFAULT_ASSIGNMENT_CONFIG.strategy,
+    categories: stored?.categories || DEFAULT_ASSIGNMENT_CONFIG.categories,
+  };
+};
+
+// Checks an admin supplied config; every listed email must be an active
+// manager. Fields left out keep their current value.
+const validateAssignmentConfig = (body, current, managers) => {
+  const errors = {};
+  const strategy = body?.strategy ?? current.strategy;
+  if (!STRATEGIES.includes(strategy)) {
+    errors.strategy = `must be one of: ${STRATEGIES.join(", ")}`;
+  }
+
+  const categories = body?.categories ?? current.categories;
+  if (
+    typeof categories !== "object" ||
+    categories === null ||
+    Array.isArray(categories)
+  ) {
+    errors.categories = "must map categories to lists of manager emails";
+  } else {
+    for (const [category, emails] of Object.entries(categories)) {
+      if (!Array.isArray(emails) || !emails.length) {
+        errors[`categories.${category}`] = "must be a non-empty list";
+        continue;
+      }
+      const unknown = emails.filter((email) => !managers.includes(email));
+      if (unknown.length) {
+        errors[`categories.${category}`] =
+          `not active managers: ${unknown.join(", ")}`;
+      }
+    }
+  }
+
+  return {
+    value: { strategy, categories },
+    errors,
+    valid: Object.keys(errors).length === 0,
+  };
+};
+
+// Emails of the managers who can take work, in a stable order
+const activeManagers = async (usersCollection) => {
+  const managers = await usersCollection
+    .find({ role: "manager", status: { $ne: "suspended" } })
+    .sort({ email: 1 })
+    .toArray();
+  return managers.map((manager) => manager.email);
+};
+
+// Next manager for an application, or null when nobody can take it
+const pickManager = async (
+  { usersCollection, settingsCollection },
+  application,
+  { exclude = [] } = {},
+) => {
+  const managers = (await activeManagers(usersCollection)).filter(
+    (email) => !exclude.includes(email),
+  );
+  if (!managers.length) return null;
+
+  const config = await loadAssignmentConfig(settingsCollection);
+  const listed =
+    config.strategy === "category"
+      ? (config.categories[application.category] || []).filter((email) =>
+          managers.includes(email),
+        )
+      : [];
+  // categories without an available manager fall back to everyone
+  const pool = listed.length ? listed : managers;
+
+  const { turn } = await settingsCollection.findOneAndUpdate(
+    { _id: ASSIGNMENT_CONFIG_ID },
+    { $inc: { turn: 1 } },
+    { upsert: true, returnDocument: "after" },
+  );
+  return pool[(turn - 1) % pool.length];
+};
+
+const assignmentEntry = ({ from, to, actor, reason }) => ({
+  from: from || null,
+  to: to || null,
+  actor,
+  reason: reason || "",
+  at: new Date(),
+});
+
+// Moves an application to a new assignee (null puts it back in the queue)
+// and appends to its assignmentHistory
+const setAssignee = async (
+  applicationsCollection,
+  application,
+  to,
+  { actor, reason },
+) => {
+  const entry = assignmentEntry({
+    from: application.assignedTo,
+    to,
+    actor,
+    reason,
+  });
+  // matching on the old assignee makes two concurrent claims race safely
+  const result = await applicationsCollection.updateOne(
+    {
+      _id: application._id,
+      status: application.status,
+      assignedTo: application.assignedTo ?? null,
+    },
+    {
+      $set: { assignedTo: to || null, assignedAt: to ? entry.at : null },
+      $push: { assignmentHistory: entry },
+    },
+  );
+  if (result.modifiedCount === 0) {
+    throw new AssignmentError(
+      "Application was changed by someone else, please retry",
+    );
+  }
+  return { ...application, assignedTo: to || null, assignedAt: entry.at };
+};
+
+// `id` comes from a route param already checked by validateIdParams
+const findQueued = async (applicationsCollection, id) => {
+  const application = await applicationsCollection.findOne({
+    _id: new ObjectId(id),
+  });
+  if (!application) throw new AssignmentError("Application not found", 404);
+  const status = application.status || "pending";
+  if (!QUEUE_STATUSES.includes(status)) {
+    throw new AssignmentError(
+      `Only ${QUEUE_STATUSES.join(" or ")} applications can be assigned`,
+      409,
+      { status },
+    );
+  }
+  return application;
+};
+
+// Auto-assigns a freshly submitted application. Leaves it in the queue when
+// it already has an assignee or no manager is available.
+const assignApplication = async (cols, application) => {
+  if (application.assignedTo) return application;
+  const manager = await pickManager(cols, application);
+  if (!manager) return application;
+  return setAssignee(cols.applicationsCollection, application, manager, {
+    actor: "system",
+    reason: "Auto-assigned",
+  });
+};
+
+const claimApplication = async (applicationsCollection, id, manager) => {
+  const application = await findQueued(applicationsCollection, id);
+  if (application.assignedTo === manager) return application;
+  if (application.assignedTo) {
+    const { assignedTo } = application;
+    throw new AssignmentError(
+      "Application is assigned to another manager",
+      409,
+      { assignedTo },
+    );
+  }
+  return setAssignee(applicationsCollection, application, manager, {
+    actor: manager,
+    reason: "Claimed",
+  });
+};
+
+const releaseApplication = async (
+  applicationsCollection,
+  id,
+  manager,
+  reason,
+) => {
+  const application = await findQueued(applicationsCollection, id);
+  if (application.assignedTo !== manager) {
+    throw new AssignmentError(
+      "Only the assignee can release an application",
+      403,
+    );
+  }
+  return setAssignee(applicationsCollection, application, null, {
+    actor: manager,
+    reason: reason || "Released",
+  });
+};
+
+// Admin reassignment of one application; `to` null returns it to the queue
+const reassignApplication = async (
+  { usersCollection, applicationsCollection },
+  id,
+  { to, actor, reason },
+) => {
+  const application = await findQueued(applicationsCollection, id);
+  if (to && !(await activeManagers(usersCollection)).includes(to)) {
+    throw new AssignmentError("Assignee must be an active manager", 400);
+  }
+  if ((application.assignedTo ?? null) === (to ?? null)) return application;
+  return setAssignee(applicationsCollection, application, to, {
+    actor,
+    reason: reason || "Reassigned by admin",
+  });
+};
+
+// Hands every queued application of `from` to `to`, or spreads them over
+// the other managers with the configured strategy when `to` is not given
+const reassignManagerQueue = async (cols, from, { to, actor, reason }) => {
+  if (
+    to &&
+    (to === from || !(await activeManagers(cols.usersCollection)).includes(to))
+  ) {
+    throw new AssignmentError("Target must be another active manager", 400);
+  }
+  const queued = await cols.applicationsCollection
+    .find({ ...IN_QUEUE, assignedTo: from })
+    .sort({ appliedAt: 1 })
+    .toArray();
+
+  const assignments = [];
+  for (const application of queued) {
+    const manager =
+      to || (await pickManager(cols, application, { exclude: [from] }));
+    await setAssignee(cols.applicationsCollection, application, manager, {
+      actor,
+      reason: reason || `Reassigned from ${from}`,
+    });
+    assignments.push({
+      applicationId: application._id.toString(),
+      assignedTo: manager,
+    });
+  }
+  return {
+    reassigned: assignments.filter((item) => item.assignedTo).length,
+    unassigned: assignments.filter((item) => !item.assignedTo).length,
+    assignments,
+  };
+};
+
+// Queued applications per assignee and status, including managers with
+// nothing assigned and the unassigned backlog
+const managerWorkload = async ({ usersCollection, applicationsCollection }) => {
+  const [managers, groups] = await Promise.all([
+    activeManagers(usersCollection),
+    applicationsCollection
+      .aggregate([
+        { $match: IN_QUEUE },
+        {
+          $group: {
+            _id: {
+              manager: { $ifNull: ["$assignedTo", null] },
+              status: { $ifNull: ["$status", "pending"] },
+            },
+            count: { $sum: 1 },
+            oldest: { $min: "$appliedAt" },
+          },
+        },
+      ])
+      .toArray(),
+  ]);
+
+  const load = (manager) => {
+    const own = groups.filter((group) => group._id.manager === manager);
+    const count = (status) =>
+      own.find((group) => group._id.status === status)?.count || 0;
+    const oldest = own
+      .map((group) => group.oldest)
+      .filter(Boolean)
+      .sort((a, b) => a - b)[0];
+    return {
+      pending: count("pending"),
+      under_review: count("under_review"),
+      total: count("pending") + count("under_review"),
+      oldestAppliedAt: oldest || null,
+    };
+  };
+
+  // assignees who are no longer active managers still show up
+  const assignees = groups
+    .map((group) => group._id.manager)
+    .filter((manager) => manager && !managers.includes(manager));
+  return {
+    managers: [...managers, ...new Set(assignees)].map((manager) => ({
+      manager,
+      active: managers.includes(manager),
+      ...load(manager),
+    })),
+    unassigned: load(null),
+  };
+};
+
+const sendAssignmentError = (res, err) => {
+  if (!(err instanceof AssignmentError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  QUEUE_STATUSES,
+  IN_QUEUE,
+  STRATEGIES,
+  DEFAULT_ASSIGNMENT_CONFIG,
+  ASSIGNMENT_CONFIG_ID,
+  AssignmentError,
+  loadAssignmentConfig,
+  validateAssignmentConfig,
+  activeManagers,
+  pickManager,
+  assignApplication,
+  claimApplication,
+  releaseApplication,
+  reassignApplication,
+  reassignManagerQueue,
+  managerWorkload,
+  sendAssignmentError,
+};
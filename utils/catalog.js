@@ -0,0 +1,178 @@
+// Public catalog search: filters, sorting, facets and cursor pagination for
+// GET /all-loans. Full-text search needs the text index from utils/indexes.
+const { ObjectId } = require("mongodb");
+const { NOT_ARCHIVED } = require("./loanArchive");
+
+const CATALOG_DEFAULTS = { sort: "newest", limit: 12 };
+
+// _id breaks ties so every sort is total, which cursors rely on
+const SORTS = {
+  newest: { field: "_id", order: { _id: -1 } },
+  rate: { field: "interestRate", order: { interestRate: 1, _id: 1 } },
+  "-rate": { field: "interestRate", order: { interestRate: -1, _id: -1 } },
+  limit: { field: "maxLimit", order: { maxLimit: 1, _id: 1 } },
+  "-limit": { field: "maxLimit", order: { maxLimit: -1, _id: -1 } },
+};
+
+// Upper bounds are exclusive, the last band is open ended
+const RATE_BANDS = [0, 5, 10, 15, 20];
+
+const bandLabel = (min, index) =>
+  index === RATE_BANDS.length - 1
+    ? `${min}+`
+    : `${min}-${RATE_BANDS[index + 1]}`;
+
+const range = (min, max) => {
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return Object.keys(condition).length ? condition : undefined;
+};
+
+// The base query plus each optional filter on its own, so a facet can leave
+// out its own dimension and still offer the alternatives
+const catalogFilters = (params) => {
+  const base = { showOnHome: true, ...NOT_ARCHIVED };
+  const text = params.q || params.search;
+  if (text) base.$text = { $search: text };
+
+  const filters = {};
+  if (params.category) filters.category = { category: params.category };
+  const rate = range(params.minRate, params.maxRate);
+  if (rate) filters.rate = { interestRate: rate };
+  const limit = range(params.minLimit, params.maxLimit);
+  if (limit) filters.limit = { maxLimit: limit };
+
+  return { base, filters };
+};
+
+const combine = (base, filters, except) =>
+  Object.entries(filters)
+    .filter(([name]) => name !== except)
+    .reduce((query, [, filter]) => ({ ...query, ...filter }), base);
+
+const encodeCursor = (sort, loan) =>
+  Buffer.from(
+    JSON.stringify({
+      s: sort,
+      v: loan[SORTS[sort].field],
+      id: loan._id.toString(),
+    }),
+  ).toString("base64url");
+
+// Returns null for anything that is not a cursor of the same sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, v, id } = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf-8"),
+    );
+    if (s !== sort || !ObjectId.isValid(id)) return null;
+    return { value: v, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Everything strictly after the cursor position in the given sort
+const afterCursor = (sort, { value, id }) => {
+  const { field, order } = SORTS[sort];
+  const op = order._id === 1 ? "$gt" : "$lt";
+  if (field === "_id") return { _id: { [op]: id } };
+  return {
+    $or: [{ [field]: { [op]: value } }, { [field]: value, _id: { [op]: id } }],
+  };
+};
+
+const facetPipeline = ({ base, filters }) => [
+  // a $text condition has to be in the first stage
+  { $match: base },
+  {
+    $facet: {
+      categories: [
+        { $match: combine({}, filters, "category") },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+      ],
+      interestRates: [
+        { $match: combine({}, filters, "rate") },
+        {
+          $bucket: {
+            groupBy: "$interestRate",
+            // rates are capped at 100 by loanSchema
+            boundaries: [...RATE_BANDS, 101],
+            default: "other",
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ],
+    },
+  },
+];
+
+// Products saved before loanSchema validated them can hold interestRate and
+// maxLimit as strings, which the range filters, sorts and rate buckets all
+// skip. Rewrites them as numbers once, on start, so the catalog queries can
+// keep using the plain fields and their indexes. Values that do not parse
+// are left for an admin to fix.
+const NUMERIC_FIELDS = ["interestRate", "maxLimit"];
+
+const normalizeLoanNumbers = async (loansCollection) => {
+  const loans = await loansCollection
+    .find({
+      $or: NUMERIC_FIELDS.map((field) => ({ [field]: { $type: "string" } })),
+    })
+    .toArray();
+
+  let normalized = 0;
+  for (const loan of loans) {
+    const $set = {};
+    for (const field of NUMERIC_FIELDS) {
+      const value = Number(loan[field]);
+      if (
+        typeof loan[field] === "string" &&
+        loan[field].trim() &&
+        isFinite(value)
+      ) {
+        $set[field] = value;
+      }
+    }
+    if (!Object.keys($set).length) continue;
+    // matching on the old values leaves a concurrent edit alone
+    const result = await loansCollection.updateOne(
+      {
+        _id: loan._id,
+        ...Object.fromEntries(
+          Object.keys($set).map((field) => [field, loan[field]]),
+        ),
+      },
+      { $set },
+    );
+    normalized += result.modifiedCount;
+  }
+  return { normalized };
+};
+
+// Lists every band, also the empty ones MongoDB leaves out
+const formatFacets = ({ categories, interestRates }) => ({
+  categories: categories.map(({ _id, count }) => ({ category: _id, count })),
+  interestRates: RATE_BANDS.map((min, index) => ({
+    band: bandLabel(min, index),
+    min,
+    max: RATE_BANDS[index + 1] ?? null,
+    count: interestRates.find((bucket) => bucket._id === min)?.count || 0,
+  })),
+});
+
+module.exports = {
+  CATALOG_DEFAULTS,
+  SORTS,
+  RATE_BANDS,
+  catalogFilters,
+  combine,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  facetPipeline,
+  formatFacets,
+  normalizeLoanNumbers,
+};
@@ -0,0 +1,71 @@
+// A user's role and suspension are mirrored into Firebase custom claims, so
+// requireRole can decide from the verified ID token instead of a users
+// lookup. MongoDB stays the record: every change there is synced here, and
+// tokens minted before a suspension or role change are revoked.
+const { AppError } = require("./errors");
+
+const ROLES = ["borrower", "manager", "admin"];
+const STAFF_ROLES = ["manager", "admin"];
+
+class ClaimsError extends AppError {
+  constructor(message, statusCode = 502, details = {}) {
+    super(message, statusCode, details);
+    this.name = "ClaimsError";
+  }
+}
+
+const claimsFor = (user) => ({
+  role: user.role || "borrower",
+  suspended: user.status === "suspended",
+});
+
+// Whether a decoded token already carries what the user document says
+const claimsMatch = (decoded, user) => {
+  const expected = claimsFor(user);
+  return (
+    decoded.role === expected.role &&
+    Boolean(decoded.suspended) === expected.suspended
+  );
+};
+
+// Firebase uid for a user document. Users registered before uids were kept
+// are looked up by email; null when Firebase has no such account.
+const resolveUid = async (auth, user) => {
+  if (user.uid) return user.uid;
+  try {
+    const record = await auth.getUserByEmail(user.email);
+    return record.uid;
+  } catch (err) {
+    if (err.code === "auth/user-not-found") return null;
+    throw err;
+  }
+};
+
+// Writes the user's claims and, with `revoke`, signs out every session so
+// the next request has to come with a fresh token. Safe to repeat, which is
+// how a failed sync is retried.
+const syncClaims = async (auth, user, { revoke = false } = {}) => {
+  try {
+    const uid = await resolveUid(auth, user);
+    if (!uid) return { synced: false, revoked: false };
+    await auth.setCustomUserClaims(uid, claimsFor(user));
+    if (revoke) await auth.revokeRefreshTokens(uid);
+    return { uid, synced: true, revoked: revoke };
+  } catch (err) {
+    throw new ClaimsError(
+      "User was updated but their sign-in claims were not, try again",
+      502,
+      { reason: err.code || err.message },
+    );
+  }
+};
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  ClaimsError,
+  claimsFor,
+  claimsMatch,
+  resolveUid,
+  syncClaims,
+};
@@ -0,0 +1,136 @@
+// Promo codes for the application fee. A coupon takes a percentage or a
+// fixed amount (in its own currency) off the fee and may expire or be
+// limited in total uses and uses per borrower. A use counts once the fee is
+// paid, or straight away when the coupon covers the whole fee.
+const { validate } = require("./validation");
+const { SUPPORTED_CURRENCIES, MIN_CHARGE } = require("./fees");
+const { round2 } = require("./amortization");
+const { AppError } = require("./errors");
+
+const couponSchema = {
+  code: { type: "string", required: true, maxLength: 40 },
+  type: { type: "string", required: true, oneOf: ["percent", "fixed"] },
+  value: { type: "number", required: true, min: 0.01 },
+  // only for fixed discounts, which apply to fees in this currency
+  currency: { type: "string", oneOf: SUPPORTED_CURRENCIES },
+  expiresAt: { type: "string" },
+  maxRedemptions: { type: "number", integer: true, min: 1 },
+  maxPerUser: { type: "number", integer: true, min: 1 },
+  active: { type: "boolean" },
+};
+
+class CouponError extends AppError {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message, statusCode, details);
+    this.name = "CouponError";
+  }
+}
+
+// Codes are matched case-insensitively and stored upper case
+const normalizeCode = (code) => String(code).trim().toUpperCase();
+
+// Validates a create (or with `partial`, an update) against the schema and
+// the rules that span fields. `current` is the stored coupon on updates.
+const validateCoupon = (body, { partial = false, current = {} } = {}) => {
+  const { value, errors } = validate(couponSchema, body, { partial });
+  if (value.code) value.code = normalizeCode(value.code);
+  if (value.expiresAt !== undefined) {
+    value.expiresAt = new Date(value.expiresAt);
+    if (isNaN(value.expiresAt)) errors.expiresAt = "must be a valid date";
+  }
+
+  const merged = { ...current, ...value };
+  if (merged.type === "percent" && merged.value > 100) {
+    errors.value = "must be at most 100 for percent coupons";
+  }
+  if (merged.type === "fixed" && !merged.currency) {
+    errors.currency = "is required for fixed coupons";
+  }
+  return { value, errors, valid: Object.keys(errors).length === 0 };
+};
+
+const applicationsWithCoupon = (code) => ({
+  $or: [{ "paymentInfo.couponCode": code }, { "feeWaiver.couponCode": code }],
+});
+
+// Fee after an optional coupon, all amounts in major units of fee.currency.
+// A coupon has to cover the whole fee or leave at least what Stripe can
+// charge.
+const quoteFee = async (
+  { couponsCollection, applicationsCollection },
+  { fee, code, userEmail, now = new Date() },
+) => {
+  const quote = {
+    currency: fee.currency,
+    amount: fee.amount,
+    discount: 0,
+    total: fee.amount,
+    couponCode: null,
+  };
+  if (!code) return quote;
+
+  const couponCode = normalizeCode(code);
+  const coupon = await couponsCollection.findOne({ code: couponCode });
+  if (!coupon || coupon.active === false) {
+    throw new CouponError("Coupon code is not valid");
+  }
+  if (coupon.expiresAt && coupon.expiresAt < now) {
+    throw new CouponError("Coupon has expired");
+  }
+  if (
+    coupon.maxRedemptions &&
+    (coupon.redemptions || 0) >= coupon.maxRedemptions
+  ) {
+    throw new CouponError("Coupon has been used up");
+  }
+  if (coupon.maxPerUser) {
+    const used = await applicationsCollection.countDocuments({
+      userEmail,
+      ...applicationsWithCoupon(couponCode),
+    });
+    if (used >= coupon.maxPerUser) {
+      throw new CouponError("You have already used this coupon");
+    }
+  }
+  if (coupon.type === "fixed" && coupon.currency !== fee.currency) {
+    throw new CouponError(
+      `Coupon only applies to fees in ${coupon.currency.toUpperCase()}`,
+    );
+  }
+
+  const discount =
+    coupon.type === "percent"
+      ? round2((fee.amount * coupon.value) / 100)
+      : Math.min(coupon.value, fee.amount);
+  const total = round2(fee.amount - discount);
+  const minimum = MIN_CHARGE[fee.currency];
+  if (total > 0 && total < minimum) {
+    throw new CouponError(
+      `Coupon leaves less than the smallest card payment of ${minimum} ${fee.currency.toUpperCase()}`,
+      400,
+      { minimum },
+    );
+  }
+  return { ...quote, discount, total, couponCode };
+};
+
+const redeemCoupon = (couponsCollection, code) =>
+  couponsCollection.updateOne(
+    { code: normalizeCode(code) },
+    { $inc: { redemptions: 1 }, $set: { lastRedeemedAt: new Date() } },
+  );
+
+const sendCouponError = (res, err) => {
+  if (!(err instanceof CouponError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  couponSchema,
+  CouponError,
+  normalizeCode,
+  validateCoupon,
+  quoteFee,
+  redeemCoupon,
+  sendCouponError,
+};
@@ -0,0 +1,19 @@
+// Minimal CSV writer (RFC 4180 quoting)
+const escapeCell = (value) => {
+  if (value === undefined || value === null) return "";
+  const text =
+    value instanceof Date
+      ? value.toISOString()
+      : typeof value === "object"
+        ? JSON.stringify(value)
+        : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [
+    columns.map(escapeCell).join(","),
+    ...rows.map((row) => columns.map((col) => escapeCell(row[col])).join(",")),
+  ].join("\r\n");
+
+module.exports = { escapeCell, toCsv };
@@ -0,0 +1,39 @@
+// Errors the app raises on purpose. The error handler (middlewares/errors)
+// answers them with statusCode and { message, ...details }; anything else is
+// logged and becomes a plain 500.
+class AppError extends Error {
+  constructor(message, statusCode = 500, details = {}) {
+    super(message);
+    this.name = "AppError";
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message, details = {}) {
+    super(message, 400, details);
+    this.name = "BadRequestError";
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Not found", details = {}) {
+    super(message, 404, details);
+    this.name = "NotFoundError";
+  }
+}
+
+const errorBody = (err) => ({ message: err.message, ...err.details });
+
+// Stricter than ObjectId.isValid, which takes any 12 character string
+const isObjectId = (value) =>
+  typeof value === "string" && /^[0-9a-f]{24}$/i.test(value);
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  NotFoundError,
+  errorBody,
+  isObjectId,
+};
@@ -0,0 +1,254 @@
+// Application fees: the price per product, refunds and waivers. Products
+// and quotes use major units; paymentInfo and refunds keep Stripe's minor
+// units (cents).
+const { ObjectId } = require("mongodb");
+const { AppError } = require("./errors");
+
+// What a product without its own fee charges, the old flat fee
+const DEFAULT_FEE = { amount: 10, currency: "usd" };
+
+// All of them have two decimals, so Stripe takes amounts in cents
+const SUPPORTED_CURRENCIES = ["usd", "eur", "gbp", "cad", "aud", "inr", "bdt"];
+
+// The smallest amount Stripe charges a card in each of them, in major units;
+// bdt has no minimum of its own and needs about 0.50 USD
+const MIN_CHARGE = {
+  usd: 0.5,
+  eur: 0.5,
+  gbp: 0.3,
+  cad: 0.5,
+  aud: 0.5,
+  inr: 0.5,
+  bdt: 60,
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const feeFor = (loan) => ({
+  amount: loan?.applicationFee ?? DEFAULT_FEE.amount,
+  currency: loan?.currency || DEFAULT_FEE.currency,
+});
+
+const REFUNDABLE_STATUSES = ["paid", "partially_refunded"];
+
+// applications saved before fee tracking have no applicationFeeStatus
+const UNPAID = { applicationFeeStatus: { $in: ["unpaid", null] } };
+
+// Waiving a user's fees also covers their applications still in progress
+const OPEN_STATUSES = ["draft", "pending", "under_review", "approved"];
+
+class FeeError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "FeeError";
+  }
+}
+
+const feeStatus = (application) => application.applicationFeeStatus || "unpaid";
+
+const refundableAmount = ({ paymentInfo = {} }) =>
+  (paymentInfo.amount || 0) - (paymentInfo.refundedAmount || 0);
+
+// Refunds `amount` cents, by default everything not refunded yet, through
+// Stripe and records it in feeRefunds. The amount is reserved on
+// paymentInfo.refundedAmount before Stripe is called, matching on the value
+// read, so two concurrent requests cannot both refund the same money; a
+// refund Stripe refuses gives its reservation back.
+const refundFee = async (
+  { applicationsCollection, payments },
+  application,
+  { amount, reason, actor },
+) => {
+  const { paymentInfo } = application;
+  if (
+    !REFUNDABLE_STATUSES.includes(feeStatus(application)) ||
+    !paymentInfo?.transactionId
+  ) {
+    throw new FeeError("Application fee was not paid through Stripe", 409, {
+      applicationFeeStatus: feeStatus(application),
+    });
+  }
+  const refundable = refundableAmount(application);
+  const cents = amount ?? refundable;
+  if (!(cents > 0) || cents > refundable) {
+    throw new FeeError("Refund exceeds the refundable amount", 400, {
+      refundable: refundable / 100,
+    });
+  }
+
+  const previous = paymentInfo.refundedAmount || 0;
+  const refunded = previous + cents;
+  const entry = {
+    _id: new ObjectId(),
+    amount: cents,
+    currency: paymentInfo.currency,
+    reason: reason || "",
+    requestedBy: actor,
+    requestedAt: new Date(),
+  };
+
+  const reserved = await applicationsCollection.updateOne(
+    {
+      _id: application._id,
+      applicationFeeStatus: { $in: REFUNDABLE_STATUSES },
+      "paymentInfo.refundedAmount": paymentInfo.refundedAmount ?? null,
+    },
+    {
+      $set: { "paymentInfo.refundedAmount": refunded },
+      $push: { feeRefunds: { ...entry, status: "requested" } },
+    },
+  );
+  if (reserved.matchedCount === 0) {
+    throw new FeeError(
+      "The fee was refunded by someone else, reload and try again",
+    );
+  }
+
+  let refund;
+  try {
+    refund = await payments.refunds.create(
+      {
+        payment_intent: paymentInfo.transactionId,
+        amount: cents,
+        metadata: { applicationId: application._id.toString() },
+      },
+      { idempotencyKey: `fee-refund-${application._id}-${previous}-${cents}` },
+    );
+  } catch (err) {
+    // kept on the application so an admin can see it and retry
+    await applicationsCollection.updateOne(
+      { _id: application._id, "feeRefunds._id": entry._id },
+      {
+        $inc: { "paymentInfo.refundedAmount": -cents },
+        $set: {
+          "feeRefunds.$.status": "failed",
+          "feeRefunds.$.error": err.message,
+        },
+      },
+    );
+    throw new FeeError("Stripe did not accept the refund", 502, {
+      error: err.message,
+    });
+  }
+
+  const recorded = { ...entry, refundId: refund.id, status: refund.status };
+  await applicationsCollection.updateOne(
+    { _id: application._id, "feeRefunds._id": entry._id },
+    {
+      $set: {
+        applicationFeeStatus:
+          refunded >= paymentInfo.amount ? "refunded" : "partially_refunded",
+        "paymentInfo.refundedAt": new Date(),
+        "feeRefunds.$.refundId": refund.id,
+        "feeRefunds.$.status": refund.status,
+      },
+    },
+  );
+  return recorded;
+};
+
+const waiverEntry = ({ reason, actor, source, couponCode }) => ({
+  reason,
+  source,
+  ...(couponCode && { couponCode }),
+  waivedBy: actor,
+  waivedAt: new Date(),
+});
+
+// Waives the fee of one unpaid application, by an admin or with a coupon
+// that covers all of it
+const waiveFee = async (
+  applicationsCollection,
+  application,
+  { reason, actor, source = "application", couponCode },
+) => {
+  const result = await applicationsCollection.updateOne(
+    { _id: application._id, ...UNPAID },
+    {
+      $set: {
+        applicationFeeStatus: "waived",
+        feeWaiver: waiverEntry({ reason, actor, source, couponCode }),
+      },
+    },
+  );
+  if (result.modifiedCount === 0) {
+    throw new FeeError("Only unpaid fees can be waived", 409, {
+      applicationFeeStatus: feeStatus(application),
+    });
+  }
+  return result;
+};
+
+const revokeWaiver = async (applicationsCollection, application) => {
+  const result = await applicationsCollection.updateOne(
+    { _id: application._id, applicationFeeStatus: "waived" },
+    { $set: { applicationFeeStatus: "unpaid" }, $unset: { feeWaiver: "" } },
+  );
+  if (result.modifiedCount === 0) {
+    throw new FeeError("Application fee is not waived", 409, {
+      applicationFeeStatus: feeStatus(application),
+    });
+  }
+  return result;
+};
+
+// Waives the fees of a user: their open unpaid applications now, and every
+// application they make while the waiver stands (see feeFieldsFor)
+const waiveUserFees = async (
+  { usersCollection, applicationsCollection },
+  user,
+  { reason, actor },
+) => {
+  const feeWaiver = waiverEntry({ reason, actor, source: "user" });
+  await usersCollection.updateOne({ _id: user._id }, { $set: { feeWaiver } });
+  const result = await applicationsCollection.updateMany(
+    { userEmail: user.email, status: { $in: OPEN_STATUSES }, ...UNPAID },
+    { $set: { applicationFeeStatus: "waived", feeWaiver } },
+  );
+  return { feeWaiver, waivedApplications: result.modifiedCount };
+};
+
+// Applications already waived keep their waiver
+const revokeUserWaiver = ({ usersCollection }, user) =>
+  usersCollection.updateOne({ _id: user._id }, { $unset: { feeWaiver: "" } });
+
+// Fee fields of a new application made by `user` for a product charging
+// `fee`, which is kept on the application as quoted
+const feeFieldsFor = (user, fee = DEFAULT_FEE) => {
+  if (user?.feeWaiver) {
+    return {
+      applicationFee: fee,
+      applicationFeeStatus: "waived",
+      feeWaiver: user.feeWaiver,
+    };
+  }
+  return {
+    applicationFee: fee,
+    applicationFeeStatus: fee.amount > 0 ? "unpaid" : "not_required",
+  };
+};
+
+const sendFeeError = (res, err) => {
+  if (!(err instanceof FeeError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  DEFAULT_FEE,
+  SUPPORTED_CURRENCIES,
+  MIN_CHARGE,
+  REFUNDABLE_STATUSES,
+  UNPAID,
+  FeeError,
+  toMinorUnits,
+  feeFor,
+  feeStatus,
+  refundableAmount,
+  refundFee,
+  waiveFee,
+  revokeWaiver,
+  waiveUserFees,
+  revokeUserWaiver,
+  feeFieldsFor,
+  sendFeeError,
+};
@@ -0,0 +1,24 @@
+// Indexes the app relies on. createIndex is a no-op for an index that
+// already exists, so this runs on every start.
+const ensureIndexes = async (db) => {
+  const loans = db.collection("loans");
+  // the catalog's $text search; titles rank above categories and descriptions
+  await loans.createIndex(
+    { loanTitle: "text", description: "text", category: "text" },
+    {
+      name: "loan_catalog_text",
+      weights: { loanTitle: 10, category: 5, description: 1 },
+    },
+  );
+  await loans.createIndex({ showOnHome: 1, category: 1, interestRate: 1 });
+  await loans.createIndex({ showOnHome: 1, maxLimit: 1 });
+
+  // /my-loans also lists applications the user is a party to
+  await db.collection("loanApplications").createIndex({ "parties.email": 1 });
+
+  await db.collection("coupons").createIndex({ code: 1 }, { unique: true });
+  // job history per job, newest first
+  await db.collection("jobRuns").createIndex({ job: 1, startedAt: -1 });
+};
+
+module.exports = { ensureIndexes };
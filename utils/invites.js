@@ -0,0 +1,164 @@
+// Invites are how anyone becomes a manager or admin: self-registration only
+// ever creates borrowers. An admin invites an email with a role, the app
+// hands back a signed token and the invitee sends it along when they sign up
+// (POST /users). The token is an HMAC over the invite id, email and expiry
+// with INVITE_SECRET; the invite document decides whether it is still open.
+const crypto = require("crypto");
+const { ObjectId } = require("mongodb");
+const { validate } = require("./validation");
+const { AppError } = require("./errors");
+
+const INVITE_ROLES = ["manager", "admin"];
+const DEFAULT_INVITE_DAYS = 7;
+
+const inviteSchema = {
+  email: { type: "string", required: true, maxLength: 254 },
+  role: { type: "string", required: true, oneOf: INVITE_ROLES },
+  expiresInDays: { type: "number", integer: true, min: 1, max: 30 },
+};
+
+class InviteError extends AppError {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message, statusCode, details);
+    this.name = "InviteError";
+  }
+}
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const secret = () => {
+  if (!process.env.INVITE_SECRET) {
+    throw new Error("INVITE_SECRET is not set");
+  }
+  return process.env.INVITE_SECRET;
+};
+
+const sign = (payload) =>
+  crypto.createHmac("sha256", secret()).update(payload).digest("base64url");
+
+const signInvite = (invite) => {
+  const payload = Buffer.from(
+    JSON.stringify({
+      id: invite._id.toString(),
+      email: invite.email,
+      exp: invite.expiresAt.getTime(),
+    }),
+  ).toString("base64url");
+  return `${payload}.${sign(payload)}`;
+};
+
+// Returns null for anything this server did not sign
+const verifyInviteToken = (token) => {
+  const [payload, signature] = String(token).split(".");
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return null;
+  }
+  try {
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch {
+    return null;
+  }
+};
+
+const inviteUrl = (token) =>
+  `${process.env.CLIENT_DOMAIN}/signup?invite=${encodeURIComponent(token)}`;
+
+// Creates an invite and revokes the ones still open for the same email, so
+// only the newest link works
+const createInvite = async (
+  invitesCollection,
+  { email, role, expiresInDays = DEFAULT_INVITE_DAYS, actor },
+) => {
+  const now = new Date();
+  const invite = {
+    email: normalizeEmail(email),
+    role,
+    status: "pending",
+    expiresAt: new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000),
+    createdBy: actor,
+    createdAt: now,
+  };
+  await invitesCollection.updateMany(
+    { email: invite.email, status: "pending" },
+    { $set: { status: "revoked", revokedBy: actor, revokedAt: now } },
+  );
+  const { insertedId } = await invitesCollection.insertOne(invite);
+  const token = signInvite({ ...invite, _id: insertedId });
+  return { insertedId, token, inviteUrl: inviteUrl(token), ...invite };
+};
+
+// Marks the invite behind `token` used by `email`. Checks the signature and
+// expiry first, then claims the invite so it can only be used once.
+const redeemInvite = async (
+  invitesCollection,
+  token,
+  email,
+  now = new Date(),
+) => {
+  const claims = verifyInviteToken(token);
+  if (!claims || !ObjectId.isValid(claims.id)) {
+    throw new InviteError("Invite is not valid");
+  }
+  if (claims.email !== normalizeEmail(email)) {
+    throw new InviteError("Invite was sent to another email", 403);
+  }
+  if (claims.exp <= now.getTime()) {
+    throw new InviteError("Invite has expired", 410);
+  }
+
+  const invite = await invitesCollection.findOneAndUpdate(
+    {
+      _id: new ObjectId(claims.id),
+      email: claims.email,
+      status: "pending",
+      expiresAt: { $gt: now },
+    },
+    { $set: { status: "redeemed", redeemedAt: now } },
+    { returnDocument: "after" },
+  );
+  if (!invite) {
+    throw new InviteError("Invite has already been used or revoked", 409);
+  }
+  return invite;
+};
+
+// Puts a redeemed invite back, for a signup that failed after redeeming it
+const releaseInvite = (invitesCollection, invite) =>
+  invitesCollection.updateOne(
+    { _id: invite._id, status: "redeemed" },
+    { $set: { status: "pending" }, $unset: { redeemedAt: "" } },
+  );
+
+const validateInvite = (body) => {
+  const { value, errors } = validate(inviteSchema, body);
+  if (value.email !== undefined && !/^\S+@\S+\.\S+$/.test(value.email)) {
+    errors.email = "must be an email address";
+  }
+  return { value, errors, valid: Object.keys(errors).length === 0 };
+};
+
+const sendInviteError = (res, err) => {
+  if (!(err instanceof InviteError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  INVITE_ROLES,
+  DEFAULT_INVITE_DAYS,
+  inviteSchema,
+  InviteError,
+  normalizeEmail,
+  signInvite,
+  verifyInviteToken,
+  createInvite,
+  redeemInvite,
+  releaseInvite,
+  validateInvite,
+  sendInviteError,
+};
@@ -0,0 +1,196 @@
+const { ObjectId } = require("mongodb");
+const { AppError } = require("./errors");
+const { validateApplicationAgainstLoan } = require("./validation");
+const { feeFor } = require("./fees");
+const {
+  scoreApplication,
+  loadScoringConfig,
+  borrowerHistory,
+} = require("./scoring");
+
+// Products are never removed: deleting one sets deletedAt/deletedBy, which
+// hides it from the catalog while applications can still resolve it.
+const NOT_ARCHIVED = { deletedAt: null };
+
+// Applications still in flight block archiving their product
+const BLOCKING_STATUSES = [
+  "draft",
+  "pending",
+  "under_review",
+  "approved",
+  "disbursed",
+];
+// Only undecided applications move to another product. Approved and
+// disbursed ones keep the product and version they were decided on.
+const MIGRATABLE_STATUSES = ["draft", "pending", "under_review"];
+
+class LoanArchiveError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "LoanArchiveError";
+  }
+}
+
+const findLoan = async (loansCollection, id) => {
+  const loan = ObjectId.isValid(id)
+    ? await loansCollection.findOne({ _id: new ObjectId(id) })
+    : null;
+  if (!loan) throw new LoanArchiveError("Loan not found", 404);
+  return loan;
+};
+
+// What a migrated application takes over from its new product: the terms it
+// was pinned to on creation, an unpaid fee at the new price and a fresh risk
+// score. A fee already paid or waived stays as it was.
+const termsOnTarget = (application, target) => {
+  const terms = {
+    loanId: target._id.toString(),
+    loanTitle: target.loanTitle,
+    category: target.category,
+    interestRate: parseFloat(target.interestRate),
+    loanVersion: target.version || 1,
+  };
+  if (["unpaid", null, undefined].includes(application.applicationFeeStatus)) {
+    const fee = feeFor(target);
+    terms.applicationFee = fee;
+    terms.applicationFeeStatus = fee.amount > 0 ? "unpaid" : "not_required";
+  }
+  return terms;
+};
+
+// Archives a product. With `migrateTo` the undecided blocking applications
+// are moved to that product first, as long as every one of them fits it,
+// otherwise any blocking application refuses the archive.
+const archiveLoan = async (
+  { loansCollection, applicationsCollection, settingsCollection },
+  id,
+  { actor, migrateTo },
+) => {
+  const loan = await findLoan(loansCollection, id);
+  if (loan.deletedAt) {
+    throw new LoanArchiveError("Loan is already archived");
+  }
+
+  const blocking = {
+    loanId: loan._id.toString(),
+    status: { $in: BLOCKING_STATUSES },
+  };
+  const open = await applicationsCollection.find(blocking).toArray();
+
+  let migrated = 0;
+  if (open.length && !migrateTo) {
+    throw new LoanArchiveError(
+      "Loan still has open applications, pass migrateTo to move them",
+      409,
+      { openApplications: open.length },
+    );
+  }
+  const undecided = open.filter((application) =>
+    MIGRATABLE_STATUSES.includes(application.status),
+  );
+  if (undecided.length) {
+    const target = ObjectId.isValid(migrateTo)
+      ? await loansCollection.findOne({ _id: new ObjectId(migrateTo) })
+      : null;
+    if (!target || target.deletedAt || target._id.equals(loan._id)) {
+      throw new LoanArchiveError(
+        "Migration target must be another active loan",
+        400,
+      );
+    }
+
+    const incompatible = undecided
+      .map((application) => ({
+        _id: application._id,
+        errors: validateApplicationAgainstLoan(
+          {
+            ...application,
+            documents: (application.documents || []).map((doc) => doc.type),
+          },
+          target,
+        ),
+      }))
+      .filter((application) => Object.keys(application.errors).length);
+    if (incompatible.length) {
+      throw new LoanArchiveError(
+        "Some open applications do not fit the migration target",
+        409,
+        { incompatible },
+      );
+    }
+
+    const config = await loadScoringConfig(settingsCollection);
+    const migratedAt = new Date();
+    for (const application of undecided) {
+      const terms = termsOnTarget(application, target);
+      const history = await borrowerHistory(
+        applicationsCollection,
+        application.userEmail,
+      );
+      // the status guard leaves anything decided meanwhile on this product
+      const result = await applicationsCollection.updateOne(
+        { _id: application._id, status: { $in: MIGRATABLE_STATUSES } },
+        {
+          $set: {
+            ...terms,
+            risk: scoreApplication(
+              { application, loan: target, history },
+              config,
+            ),
+            migratedFrom: {
+              loanId: loan._id.toString(),
+              loanVersion: application.loanVersion || loan.version || 1,
+              loanTitle: loan.loanTitle,
+              interestRate: application.interestRate,
+              migratedBy: actor,
+              migratedAt,
+            },
+          },
+        },
+      );
+      migrated += result.modifiedCount;
+    }
+  }
+
+  const deletedAt = new Date();
+  // matching on deletedAt keeps two concurrent deletes from both succeeding
+  const result = await loansCollection.updateOne(
+    { _id: loan._id, ...NOT_ARCHIVED },
+    { $set: { deletedAt, deletedBy: actor } },
+  );
+  if (result.modifiedCount === 0) {
+    throw new LoanArchiveError("Loan is already archived");
+  }
+  const pinned = open.length - migrated;
+  return { acknowledged: true, deletedCount: 1, deletedAt, migrated, pinned };
+};
+
+const restoreLoan = async ({ loansCollection }, id, { actor }) => {
+  const loan = await findLoan(loansCollection, id);
+  const result = await loansCollection.updateOne(
+    { _id: loan._id, deletedAt: { $ne: null } },
+    {
+      $unset: { deletedAt: "", deletedBy: "" },
+      $set: { restoredAt: new Date(), restoredBy: actor },
+    },
+  );
+  if (result.modifiedCount === 0) {
+    throw new LoanArchiveError("Loan is not archived");
+  }
+  return result;
+};
+
+const sendArchiveError = (res, err) => {
+  if (!(err instanceof LoanArchiveError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  NOT_ARCHIVED,
+  BLOCKING_STATUSES,
+  MIGRATABLE_STATUSES,
+  LoanArchiveError,
+  archiveLoan,
+  restoreLoan,
+  sendArchiveError,
+};
@@ -0,0 +1,85 @@
+// What a loan product would cost: the installment, interest and repayment
+// table for an amount and one of the product's EMI plans, the same schedule
+// an approval would create today.
+const { round2, parseEmiMonths, buildSchedule } = require("./amortization");
+
+const quoteSchema = {
+  amount: { type: "number", required: true, min: 1 },
+  emiPlan: { type: "string", required: true },
+};
+
+// The same amount and plan quoted on several products
+const compareSchema = {
+  ...quoteSchema,
+  loanIds: {
+    type: "array",
+    of: "objectId",
+    required: true,
+    minItems: 2,
+    maxItems: 5,
+  },
+};
+
+// Field errors for terms the product does not offer, empty when it does
+const checkQuoteAgainstLoan = (loan, { amount, emiPlan }) => {
+  const errors = {};
+  if (amount > parseFloat(loan.maxLimit)) {
+    errors.amount = `must not exceed the loan limit of ${loan.maxLimit}`;
+  }
+  if (!(loan.emiPlans || []).includes(emiPlan) || !parseEmiMonths(emiPlan)) {
+    errors.emiPlan = `must be one of: ${(loan.emiPlans || []).join(", ")}`;
+  }
+  return errors;
+};
+
+// Expects terms already checked with checkQuoteAgainstLoan
+const quoteLoan = (loan, { amount, emiPlan }, startDate = new Date()) => {
+  const months = parseEmiMonths(emiPlan);
+  const interestRate = parseFloat(loan.interestRate) || 0;
+  const interestMethod = loan.interestMethod || "reducing";
+  const { emiAmount, totalInterest, totalPayable, installments } =
+    buildSchedule({
+      principal: amount,
+      annualRate: interestRate,
+      months,
+      startDate,
+      method: interestMethod,
+    });
+
+  let balance = amount;
+  const schedule = installments.map(
+    ({ installmentNo, dueDate, principal, interest, amount: due }) => {
+      balance = round2(balance - principal);
+      return {
+        installmentNo,
+        dueDate,
+        principal,
+        interest,
+        amount: due,
+        balance,
+      };
+    },
+  );
+
+  return {
+    loanId: loan._id,
+    loanTitle: loan.loanTitle,
+    loanVersion: loan.version || 1,
+    amount,
+    emiPlan,
+    months,
+    interestRate,
+    interestMethod,
+    emiAmount,
+    totalInterest,
+    totalPayable,
+    schedule,
+  };
+};
+
+module.exports = {
+  quoteSchema,
+  compareSchema,
+  checkQuoteAgainstLoan,
+  quoteLoan,
+};
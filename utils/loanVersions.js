@@ -0,0 +1,162 @@
+const { ObjectId } = require("mongodb");
+const { loanSchema } = require("./validation");
+const { diff } = require("../middlewares/audit");
+const { AppError } = require("./errors");
+
+// Every change to a product's terms is stored as a new, never updated
+// version in loanVersions. The loan document itself always carries the
+// latest terms plus their `version` number, so catalog reads stay simple.
+// Only the lending terms are versioned; titles, images and catalog
+// placement are edited in place.
+const TERM_FIELDS = [
+  "interestRate",
+  "interestMethod",
+  "maxLimit",
+  "emiPlans",
+  "requiredDocuments",
+  "applicationFee",
+  "currency",
+];
+const DISPLAY_FIELDS = Object.keys(loanSchema).filter(
+  (field) => !TERM_FIELDS.includes(field),
+);
+
+const pickFields = (fields) => (loan) =>
+  Object.fromEntries(
+    fields
+      .filter((field) => loan[field] !== undefined)
+      .map((field) => [field, loan[field]]),
+  );
+
+const pickTerms = pickFields(TERM_FIELDS);
+const pickDisplay = pickFields(DISPLAY_FIELDS);
+
+class LoanVersionError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "LoanVersionError";
+  }
+}
+
+const versionEntry = ({ loanId, version, terms, changes, actor, at }) => ({
+  loanId,
+  version,
+  terms,
+  changes,
+  createdBy: actor || null,
+  createdAt: at || new Date(),
+});
+
+// Loans created before versioning get their current terms recorded as
+// version 1 the first time they are needed
+const ensureBaseVersion = async (loanVersionsCollection, loan) => {
+  const version = loan.version || 1;
+  const existing = await loanVersionsCollection.findOne({
+    loanId: loan._id,
+    version,
+  });
+  if (existing) return existing;
+  const entry = versionEntry({
+    loanId: loan._id,
+    version,
+    terms: pickTerms(loan),
+    changes: {},
+    actor: loan.createdBy,
+    at: loan.createdAt,
+  });
+  await loanVersionsCollection.insertOne(entry);
+  return entry;
+};
+
+// Applies `changes` to a loan: changed terms make a new version, display
+// fields are set on the loan as they are. Unchanged edits return the current
+// version without writing anything.
+const reviseLoan = async (
+  { loansCollection, loanVersionsCollection },
+  id,
+  changes,
+  { actor },
+) => {
+  const loan = ObjectId.isValid(id)
+    ? await loansCollection.findOne({ _id: new ObjectId(id) })
+    : null;
+  if (!loan) throw new LoanVersionError("Loan not found", 404);
+
+  const current = loan.version || 1;
+  await ensureBaseVersion(loanVersionsCollection, loan);
+
+  const before = pickTerms(loan);
+  const after = { ...before, ...pickTerms(changes) };
+  const changed = diff(before, after);
+  const display = pickDisplay(changes);
+  const at = new Date();
+  if (!Object.keys(changed).length) {
+    if (
+      !Object.keys(diff(pickFields(Object.keys(display))(loan), display)).length
+    ) {
+      return { matchedCount: 1, modifiedCount: 0, version: current };
+    }
+    const result = await loansCollection.updateOne(
+      { _id: loan._id },
+      { $set: { ...display, updatedAt: at } },
+    );
+    return { ...result, version: current };
+  }
+
+  // matching on the old version makes a concurrent edit fail instead of
+  // silently forking the history
+  const result = await loansCollection.updateOne(
+    { _id: loan._id, version: loan.version ?? null },
+    { $set: { ...display, ...after, version: current + 1, updatedAt: at } },
+  );
+  if (result.modifiedCount === 0) {
+    throw new LoanVersionError(
+      "Loan was changed by someone else, please retry",
+    );
+  }
+  await loanVersionsCollection.insertOne(
+    versionEntry({
+      loanId: loan._id,
+      version: current + 1,
+      terms: after,
+      changes: changed,
+      actor,
+      at,
+    }),
+  );
+  return { ...result, version: current + 1 };
+};
+
+// The product as it was at the version an application pinned. Applications
+// from before versioning fall back to the current terms.
+const termsForApplication = async (
+  { loansCollection, loanVersionsCollection },
+  application,
+) => {
+  const loan = ObjectId.isValid(application.loanId)
+    ? await loansCollection.findOne({ _id: new ObjectId(application.loanId) })
+    : null;
+  if (!loan || !application.loanVersion) return loan;
+  const pinned = await loanVersionsCollection.findOne({
+    loanId: loan._id,
+    version: application.loanVersion,
+  });
+  return pinned ? { ...loan, ...pinned.terms, version: pinned.version } : loan;
+};
+
+const sendLoanVersionError = (res, err) => {
+  if (!(err instanceof LoanVersionError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  TERM_FIELDS,
+  DISPLAY_FIELDS,
+  pickTerms,
+  LoanVersionError,
+  versionEntry,
+  ensureBaseVersion,
+  reviseLoan,
+  termsForApplication,
+  sendLoanVersionError,
+};
@@ -0,0 +1,80 @@
+// Structured logs: one JSON object per line with time, level and msg plus
+// the fields passed along. LOG_LEVEL (debug, info, warn, error or silent,
+// default info) is read on every call so tests can turn logs off.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Keys whose values never reach the logs, wherever they are nested
+const REDACTED_KEYS =
+  /authorization|cookie|token|secret|password|signature|nationalid|contactnumber|accountnumber|phone/i;
+const EMAIL = /[^\s/?&=@]+@[^\s/?&=@]+\.[^\s/?&=@]+/g;
+
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.statusCode && { statusCode: err.statusCode }),
+  stack: err.stack,
+});
+
+const redact = (value, depth = 0) => {
+  if (value instanceof Error) return serializeError(value);
+  if (!value || typeof value !== "object" || value instanceof Date) {
+    return value;
+  }
+  if (depth > 5) return "[Object]";
+  if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+  return Object.fromEntries(
+    Object.entries(value).map(([key, v]) => [
+      key,
+      REDACTED_KEYS.test(key) ? "[REDACTED]" : redact(v, depth + 1),
+    ]),
+  );
+};
+
+// Hides emails in paths (/users/role/:email) and sensitive query values
+const redactUrl = (url = "") => {
+  const [path, query] = url.split("?");
+  const safePath = path.replace(EMAIL, "[email]");
+  if (!query) return safePath;
+  const params = new URLSearchParams(query);
+  for (const [key, value] of params) {
+    params.set(
+      key,
+      REDACTED_KEYS.test(key) ? "[REDACTED]" : value.replace(EMAIL, "[email]"),
+    );
+  }
+  return `${safePath}?${params.toString()}`;
+};
+
+const createLogger = ({
+  write = (line) => process.stdout.write(`${line}\n`),
+  bindings = {},
+} = {}) => {
+  const log =
+    (level) =>
+    (msg, fields = {}) => {
+      const threshold = LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+      if (LEVELS[level] < threshold) return;
+      write(
+        JSON.stringify({
+          time: new Date().toISOString(),
+          level,
+          msg,
+          ...redact({ ...bindings, ...fields }),
+        }),
+      );
+    };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    // a logger that adds `extra` to everything it logs
+    child: (extra) =>
+      createLogger({ write, bindings: { ...bindings, ...extra } }),
+  };
+};
+
+const logger = createLogger();
+
+module.exports = { LEVELS, redact, redactUrl, createLogger, logger };
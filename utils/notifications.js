@@ -0,0 +1,193 @@
+const { installmentDue } = require("./amortization");
+const { logger } = require("./logger");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatMoney = (amount, currency) =>
+  currency
+    ? `${(amount / 100).toFixed(2)} ${currency.toUpperCase()}`
+    : Number(amount).toFixed(2);
+
+const PARTY_ROLE_NAMES = {
+  co_applicant: "co-applicant",
+  guarantor: "guarantor",
+};
+
+// One template per notification type; `data` is stored with the notification
+const TEMPLATES = {
+  "application.submitted": (data) => ({
+    title: "Application submitted",
+    message: `Your application for ${data.loanTitle} (${formatMoney(data.loanAmount)}) was submitted and is waiting for review.`,
+  }),
+  "fee.paid": (data) => ({
+    title: "Application fee received",
+    message: `We received your application fee of ${formatMoney(data.amount, data.currency)} for ${data.loanTitle}.`,
+  }),
+  "fee.refunded": (data) => ({
+    title: "Application fee refunded",
+    message: `${formatMoney(data.amount, data.currency)} of your application fee for ${data.loanTitle} is being refunded to your card.`,
+  }),
+  "fee.waived": (data) => ({
+    title: "Application fee waived",
+    message: `You do not need to pay the application fee for ${data.loanTitle}.`,
+  }),
+  "application.expired": (data) => ({
+    title: "Application cancelled",
+    message: `Your application for ${data.loanTitle} was cancelled because the application fee was not paid within ${data.days} days.`,
+  }),
+  "review.overdue": (data) => ({
+    title: "Application waiting for review",
+    message: `The application for ${data.loanTitle} has been waiting for a decision for more than ${data.hours} hours.`,
+  }),
+  "application.approved": (data) => ({
+    title: "Application approved",
+    message: data.firstDueDate
+      ? `Your application for ${data.loanTitle} was approved. Your first installment of ${formatMoney(data.emiAmount)} is due on ${formatDate(data.firstDueDate)}.`
+      : `Your application for ${data.loanTitle} was approved.`,
+  }),
+  "application.rejected": (data) => ({
+    title: "Application rejected",
+    message: `Your application for ${data.loanTitle} was rejected. Reason: ${data.reason || "not given"}.`,
+  }),
+  "loan.disbursed": (data) => ({
+    title: "Loan disbursed",
+    message: `${formatMoney(data.amount)} for ${data.loanTitle} was sent by ${data.method} on ${formatDate(data.disbursedAt)}.`,
+  }),
+  "account.suspended": (data) => ({
+    title: "Account suspended",
+    message: `Your LoanLink account has been suspended. Reason: ${data.reason || "not given"}.`,
+  }),
+  "party.invited": (data) => ({
+    title: `Invitation to be a ${PARTY_ROLE_NAMES[data.role]}`,
+    message: `${data.borrowerName} asked you to join their application for ${data.loanTitle} as a ${PARTY_ROLE_NAMES[data.role]}. Sign in to accept or decline.`,
+  }),
+  "party.accepted": (data) => ({
+    title: "Invitation accepted",
+    message: `${data.email} accepted to join your application for ${data.loanTitle} as a ${PARTY_ROLE_NAMES[data.role]}.`,
+  }),
+  "party.declined": (data) => ({
+    title: "Invitation declined",
+    message: `${data.email} declined to join your application for ${data.loanTitle} as a ${PARTY_ROLE_NAMES[data.role]}.`,
+  }),
+  "repayment.upcoming": (data) => ({
+    title: "Repayment due soon",
+    message: `Installment ${data.installmentNo} of ${data.loanTitle}, ${formatMoney(data.amount)}, is due on ${formatDate(data.dueDate)}.`,
+  }),
+};
+
+const renderNotification = (type, data) => {
+  if (!TEMPLATES[type]) throw new Error(`Unknown notification type "${type}"`);
+  return TEMPLATES[type](data);
+};
+
+const emailText = (message) =>
+  `${message}\n\nSee the details in your dashboard: ${process.env.CLIENT_DOMAIN}/dashboard\n\n— The LoanLink team`;
+
+// Stores an in-app notification and emails it. A failing transport never
+// fails the request that triggered it, the result is kept on the notification.
+const createNotifier = ({ notificationsCollection, mailer }) => {
+  const notify = async (type, userEmail, data = {}) => {
+    try {
+      const { title, message } = renderNotification(type, data);
+      const { insertedId } = await notificationsCollection.insertOne({
+        userEmail,
+        type,
+        title,
+        message,
+        data,
+        read: false,
+        createdAt: new Date(),
+      });
+
+      let email;
+      try {
+        const { messageId } = await mailer.send({
+          to: userEmail,
+          subject: title,
+          text: emailText(message),
+        });
+        email = { status: "sent", messageId, sentAt: new Date() };
+      } catch (err) {
+        logger.error("Notification email failed", { type, err });
+        email = { status: "failed", error: err.message };
+      }
+      await notificationsCollection.updateOne(
+        { _id: insertedId },
+        { $set: { email } },
+      );
+      return insertedId;
+    } catch (err) {
+      logger.error("Notification failed", { type, err });
+      return null;
+    }
+  };
+
+  return { notify };
+};
+
+// Reminds borrowers of unpaid installments due within `days`. Each
+// installment is claimed with reminderSentAt first, so overlapping runs
+// remind once.
+const sendRepaymentReminders = async ({
+  repaymentsCollection,
+  notify,
+  days = 3,
+  now = new Date(),
+}) => {
+  const until = new Date(now);
+  until.setDate(until.getDate() + days);
+  const dueSoon = (installment) =>
+    new Date(installment.dueDate) >= now &&
+    new Date(installment.dueDate) <= until &&
+    installmentDue(installment) > 0 &&
+    !installment.reminderSentAt;
+
+  const repayments = await repaymentsCollection
+    .find({
+      status: "active",
+      installments: {
+        $elemMatch: {
+          dueDate: { $gte: now, $lte: until },
+          status: { $ne: "paid" },
+          reminderSentAt: { $exists: false },
+        },
+      },
+    })
+    .toArray();
+
+  let sent = 0;
+  for (const repayment of repayments) {
+    for (const installment of repayment.installments.filter(dueSoon)) {
+      const claimed = await repaymentsCollection.updateOne(
+        {
+          _id: repayment._id,
+          installments: {
+            $elemMatch: {
+              installmentNo: installment.installmentNo,
+              reminderSentAt: { $exists: false },
+            },
+          },
+        },
+        { $set: { "installments.$.reminderSentAt": now } },
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      await notify("repayment.upcoming", repayment.userEmail, {
+        applicationId: repayment.applicationId.toString(),
+        loanTitle: repayment.loanTitle,
+        installmentNo: installment.installmentNo,
+        amount: installmentDue(installment),
+        dueDate: installment.dueDate,
+      });
+      sent++;
+    }
+  }
+  return { sent };
+};
+
+module.exports = {
+  TEMPLATES,
+  renderNotification,
+  createNotifier,
+  sendRepaymentReminders,
+};
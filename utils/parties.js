@@ -0,0 +1,296 @@
+// Co-applicants and guarantors. The borrower invites them by email onto the
+// application (`parties`); each one accepts from their own account with
+// their own details and uploads their own copy of the application's
+// documents. Approval waits until every party still on the application has
+// accepted and had those documents verified.
+const { ObjectId } = require("mongodb");
+const { AppError } = require("./errors");
+const { applicationSchema, validate } = require("./validation");
+const { normalizeEmail } = require("./invites");
+
+const PARTY_ROLES = ["co_applicant", "guarantor"];
+// a withdrawn party is off the application, everyone else counts
+const PARTY_STATUSES = ["invited", "accepted", "declined", "withdrawn"];
+const MAX_PARTIES = 3;
+// parties and their documents can change until a decision is made
+const OPEN_STATUSES = ["draft", "pending", "under_review"];
+
+const partyInviteSchema = {
+  email: { type: "string", required: true, maxLength: 254 },
+  role: { type: "string", required: true, oneOf: PARTY_ROLES },
+};
+
+// the applicant fields that describe a person rather than the loan
+const PARTY_DETAIL_FIELDS = [
+  "firstName",
+  "lastName",
+  "contactNumber",
+  "nationalId",
+  "incomeSource",
+  "monthlyIncome",
+  "address",
+];
+
+const partyDetailsSchema = Object.fromEntries(
+  PARTY_DETAIL_FIELDS.map((field) => [field, applicationSchema[field]]),
+);
+
+class PartyError extends AppError {
+  constructor(message, statusCode = 409, details = {}) {
+    super(message, statusCode, details);
+    this.name = "PartyError";
+  }
+}
+
+const validatePartyInvite = (body) => {
+  const { value, errors } = validate(partyInviteSchema, body);
+  if (value.email !== undefined && !/^\S+@\S+\.\S+$/.test(value.email)) {
+    errors.email = "must be an email address";
+  }
+  return { value, errors, valid: Object.keys(errors).length === 0 };
+};
+
+const onApplication = (application) =>
+  (application.parties || []).filter((party) => party.status !== "withdrawn");
+
+const partyFor = (application, email) =>
+  onApplication(application).find((party) => party.email === email);
+
+const findParty = (application, partyId) =>
+  (application.parties || []).find(
+    (party) => party._id.toString() === partyId.toString(),
+  );
+
+const assertOpen = (application) => {
+  if (!OPEN_STATUSES.includes(application.status)) {
+    throw new PartyError(
+      "Parties can no longer be changed for this application",
+      409,
+      { status: application.status },
+    );
+  }
+};
+
+// Adds a party with an empty copy of the application's document list
+const inviteParty = async (
+  applicationsCollection,
+  application,
+  { email, role, actor },
+  now = new Date(),
+) => {
+  const invitee = normalizeEmail(email);
+  if (invitee === application.userEmail) {
+    throw new PartyError("You cannot invite yourself", 400);
+  }
+  assertOpen(application);
+  if (partyFor(application, invitee)) {
+    throw new PartyError("This email is already on the application");
+  }
+  if (onApplication(application).length >= MAX_PARTIES) {
+    throw new PartyError(
+      `An application can have at most ${MAX_PARTIES} co-applicants and guarantors`,
+    );
+  }
+
+  const party = {
+    _id: new ObjectId(),
+    email: invitee,
+    role,
+    status: "invited",
+    invitedBy: actor,
+    invitedAt: now,
+    documents: (application.documents || []).map((doc) => ({
+      _id: new ObjectId(),
+      type: doc.type,
+      status: "awaiting_upload",
+    })),
+  };
+  // the status guard keeps a decision made meanwhile from being ignored
+  const result = await applicationsCollection.updateOne(
+    { _id: application._id, status: { $in: OPEN_STATUSES } },
+    { $push: { parties: party } },
+  );
+  if (result.matchedCount === 0) {
+    throw new PartyError(
+      "Parties can no longer be changed for this application",
+    );
+  }
+  return party;
+};
+
+// Moves a party on from `from`, with `set` merged into the party
+const updateParty = async (
+  applicationsCollection,
+  application,
+  party,
+  { from, to, set = {} },
+) => {
+  const fields = { status: to, ...set };
+  const result = await applicationsCollection.updateOne(
+    {
+      _id: application._id,
+      status: { $in: OPEN_STATUSES },
+      parties: { $elemMatch: { _id: party._id, status: { $in: from } } },
+    },
+    {
+      $set: Object.fromEntries(
+        Object.entries(fields).map(([key, value]) => [
+          `parties.$.${key}`,
+          value,
+        ]),
+      ),
+    },
+  );
+  if (result.matchedCount === 0) {
+    throw new PartyError("This invitation has changed, reload and try again");
+  }
+  return { ...party, ...fields };
+};
+
+// Accepts (with `details`) or declines the invitation sent to `email`
+const respondToInvitation = async (
+  applicationsCollection,
+  application,
+  email,
+  { accept, details },
+  now = new Date(),
+) => {
+  const party = partyFor(application, email);
+  if (!party) {
+    throw new PartyError("You are not a party to this application", 404);
+  }
+  assertOpen(application);
+  if (party.status !== "invited") {
+    throw new PartyError(`You have already ${party.status} this invitation`);
+  }
+  return updateParty(applicationsCollection, application, party, {
+    from: ["invited"],
+    to: accept ? "accepted" : "declined",
+    set: accept ? { details, respondedAt: now } : { respondedAt: now },
+  });
+};
+
+const withdrawParty = async (
+  applicationsCollection,
+  application,
+  partyId,
+  { actor },
+  now = new Date(),
+) => {
+  const party = findParty(application, partyId);
+  if (!party || party.status === "withdrawn") {
+    throw new PartyError("Party not found", 404);
+  }
+  assertOpen(application);
+  return updateParty(applicationsCollection, application, party, {
+    from: ["invited", "accepted", "declined"],
+    to: "withdrawn",
+    set: { withdrawnBy: actor, withdrawnAt: now },
+  });
+};
+
+// What stands between the application and approval on the parties' side:
+// parties that have not accepted, and accepted ones with `requiredDocuments`
+// not verified yet
+const partyApprovalBlockers = (application, requiredDocuments = []) => {
+  const parties = onApplication(application);
+  const notAccepted = parties
+    .filter((party) => party.status !== "accepted")
+    .map(({ _id, email, role, status }) => ({ _id, email, role, status }));
+  const unverified = parties
+    .filter((party) => party.status === "accepted")
+    .map((party) => ({
+      _id: party._id,
+      email: party.email,
+      unverified: requiredDocuments.filter(
+        (type) =>
+          !(party.documents || []).some(
+            (doc) => doc.type === type && doc.status === "verified",
+          ),
+      ),
+    }))
+    .filter((party) => party.unverified.length);
+  return { notAccepted, unverified };
+};
+
+// Parties as the borrower sees them: who and where they stand, without
+// their personal details or files
+const partySummary = (party) => ({
+  _id: party._id,
+  email: party.email,
+  role: party.role,
+  status: party.status,
+  invitedAt: party.invitedAt,
+  respondedAt: party.respondedAt,
+  documents: (party.documents || []).map(({ _id, type, status }) => ({
+    _id,
+    type,
+    status,
+  })),
+});
+
+// The application as a party sees it: the loan, the borrower's name and
+// their own part, none of the borrower's or other parties' personal data
+const partyView = (application, party) => ({
+  _id: application._id,
+  loanId: application.loanId,
+  loanTitle: application.loanTitle,
+  category: application.category,
+  loanAmount: application.loanAmount,
+  emiPlan: application.emiPlan,
+  interestRate: application.interestRate,
+  status: application.status,
+  appliedAt: application.appliedAt,
+  userEmail: application.userEmail,
+  borrower: {
+    firstName: application.firstName,
+    lastName: application.lastName,
+  },
+  party,
+});
+
+// Staff see everything, the borrower gets party summaries and a party only
+// the partyView
+const applicationFor = (application, { email, staff = false }) => {
+  if (staff || !application) return application;
+  if (application.userEmail === email) {
+    return application.parties
+      ? { ...application, parties: application.parties.map(partySummary) }
+      : application;
+  }
+  const party = partyFor(application, email);
+  return party ? partyView(application, party) : null;
+};
+
+// Applications `email` is a party to; withdrawn parties lose access
+const partyQuery = (email) => ({
+  parties: { $elemMatch: { email, status: { $ne: "withdrawn" } } },
+});
+
+const sendPartyError = (res, err) => {
+  if (!(err instanceof PartyError)) throw err;
+  res.status(err.statusCode).send({ message: err.message, ...err.details });
+};
+
+module.exports = {
+  PARTY_ROLES,
+  PARTY_STATUSES,
+  MAX_PARTIES,
+  OPEN_STATUSES,
+  partyInviteSchema,
+  partyDetailsSchema,
+  PartyError,
+  validatePartyInvite,
+  onApplication,
+  partyFor,
+  findParty,
+  inviteParty,
+  respondToInvitation,
+  withdrawParty,
+  partyApprovalBlockers,
+  partySummary,
+  partyView,
+  applicationFor,
+  partyQuery,
+  sendPartyError,
+};
@@ -0,0 +1,154 @@
+// Eligibility rules engine. Each rule compares one measurement with a
+// threshold; the weights of the rules an application fails add up to its
+// risk score (0 = no risk found, 100 = every rule failed).
+const { calculateEmi, parseEmiMonths, round2 } = require("./amortization");
+
+const DEFAULT_SCORING_CONFIG = {
+  rules: {
+    // monthly installment as a share of monthly income
+    incomeRatio: { enabled: true, weight: 35, threshold: 0.4 },
+    // requested amount as a share of the product's maxLimit
+    limitUsage: { enabled: true, weight: 20, threshold: 0.8 },
+    // approved or disbursed loans the borrower already has
+    activeLoans: { enabled: true, weight: 25, threshold: 1 },
+    // applications of the borrower rejected before
+    pastRejections: { enabled: true, weight: 20, threshold: 1 },
+  },
+  // upper bounds of the low and medium bands, anything above is high
+  bands: { low: 30, medium: 60 },
+};
+
+const RULES = {
+  incomeRatio: ({ application, loan }) => {
+    const months = parseEmiMonths(application.emiPlan);
+    const income = parseFloat(application.monthlyIncome);
+    if (!months || !(income > 0)) return null;
+    const emi = calculateEmi(
+      parseFloat(application.loanAmount),
+      parseFloat(loan.interestRate) || 0,
+      months,
+      loan.interestMethod,
+    );
+    return round2(emi / income);
+  },
+  limitUsage: ({ application, loan }) => {
+    const maxLimit = parseFloat(loan.maxLimit);
+    if (!(maxLimit > 0)) return null;
+    return round2(parseFloat(application.loanAmount) / maxLimit);
+  },
+  activeLoans: ({ history }) => history.activeLoans,
+  pastRejections: ({ history }) => history.rejections,
+};
+
+const bandFor = (score, bands) => {
+  if (score <= bands.low) return "low";
+  if (score <= bands.medium) return "medium";
+  return "high";
+};
+
+// A rule that cannot be measured (missing income, ...) counts as failed
+const scoreApplication = ({ application, loan, history }, config) => {
+  const outcomes = [];
+  let totalWeight = 0;
+  let failedWeight = 0;
+
+  for (const [rule, settings] of Object.entries(config.rules)) {
+    if (!settings.enabled || !RULES[rule]) continue;
+    const value = RULES[rule]({ application, loan, history });
+    const passed = value !== null && value <= settings.threshold;
+    totalWeight += settings.weight;
+    if (!passed) failedWeight += settings.weight;
+    outcomes.push({
+      rule,
+      value,
+      threshold: settings.threshold,
+      weight: settings.weight,
+      passed,
+    });
+  }
+
+  const score = totalWeight
+    ? Math.round((failedWeight / totalWeight) * 100)
+    : 0;
+  return {
+    score,
+    band: bandFor(score, config.bands),
+    outcomes,
+    scoredAt: new Date(),
+  };
+};
+
+// Checks an admin supplied config. Unknown rules are refused, missing rules
+// keep their current settings.
+const validateScoringConfig = (body, current = DEFAULT_SCORING_CONFIG) => {
+  const errors = {};
+  const rules = {};
+
+  for (const [rule, settings] of Object.entries(body?.rules || {})) {
+    if (!RULES[rule]) {
+      errors[`rules.${rule}`] = "is not a known rule";
+      continue;
+    }
+    const merged = { ...current.rules[rule], ...settings };
+    if (typeof merged.enabled !== "boolean") {
+      errors[`rules.${rule}.enabled`] = "must be a boolean";
+    }
+    if (!(typeof merged.weight === "number" && merged.weight >= 0)) {
+      errors[`rules.${rule}.weight`] = "must be a number of at least 0";
+    }
+    if (!(typeof merged.threshold === "number" && merged.threshold >= 0)) {
+      errors[`rules.${rule}.threshold`] = "must be a number of at least 0";
+    }
+    rules[rule] = merged;
+  }
+
+  const bands = { ...current.bands, ...(body?.bands || {}) };
+  if (
+    !(typeof bands.low === "number" && typeof bands.medium === "number") ||
+    bands.low < 0 ||
+    bands.low > bands.medium ||
+    bands.medium > 100
+  ) {
+    errors.bands =
+      "low and medium must be numbers with 0 <= low <= medium <= 100";
+  }
+
+  return {
+    value: { rules: { ...current.rules, ...rules }, bands },
+    errors,
+    valid: Object.keys(errors).length === 0,
+  };
+};
+
+// Rules live in the settings collection so admins can tune them at runtime
+const SCORING_CONFIG_ID = "scoring";
+
+const loadScoringConfig = async (settingsCollection) => {
+  const stored = await settingsCollection.findOne({ _id: SCORING_CONFIG_ID });
+  return {
+    rules: { ...DEFAULT_SCORING_CONFIG.rules, ...stored?.rules },
+    bands: { ...DEFAULT_SCORING_CONFIG.bands, ...stored?.bands },
+  };
+};
+
+// Earlier applications of the borrower that the rules look at
+const borrowerHistory = async (applicationsCollection, userEmail) => {
+  const [activeLoans, rejections] = await Promise.all([
+    applicationsCollection.countDocuments({
+      userEmail,
+      status: { $in: ["approved", "disbursed"] },
+    }),
+    applicationsCollection.countDocuments({ userEmail, status: "rejected" }),
+  ]);
+  return { activeLoans, rejections };
+};
+
+module.exports = {
+  DEFAULT_SCORING_CONFIG,
+  RULES,
+  SCORING_CONFIG_ID,
+  scoreApplication,
+  validateScoringConfig,
+  loadScoringConfig,
+  borrowerHistory,
+};
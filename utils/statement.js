@@ -0,0 +1,106 @@
+const { round2 } = require("./amortization");
+
+const inRange = (date, from, to) =>
+  (!from || new Date(date) >= from) && new Date(date) <= to;
+
+const sum = (items) => round2(items.reduce((total, item) => total + item, 0));
+
+// Account statement of one application: every money movement in the range,
+// plus the interest that fell due and the balance still owed at its end.
+// Stripe amounts are in the smallest currency unit, everything else is not.
+const buildStatement = ({ application, repayment, from, to }) => {
+  const entries = [];
+  const fee = application.paymentInfo;
+
+  // fees paid before paymentInfo kept the amount have no line to show
+  if (fee?.paidAt && typeof fee.amount === "number") {
+    entries.push({
+      date: fee.paidAt,
+      type: "application_fee",
+      description: "Application fee",
+      amount: round2(fee.amount / 100),
+      currency: fee.currency,
+      reference: fee.transactionId,
+    });
+  }
+  if (fee?.refundedAt) {
+    entries.push({
+      date: fee.refundedAt,
+      type: "fee_refund",
+      description: "Application fee refund",
+      amount: round2(fee.refundedAmount / 100),
+      currency: fee.currency,
+      reference: fee.transactionId,
+    });
+  }
+  for (const disbursement of application.disbursements || []) {
+    entries.push({
+      date: disbursement.disbursedAt,
+      type: "disbursement",
+      description: `Disbursement by ${disbursement.method}`,
+      amount: disbursement.amount,
+      reference: disbursement.reference,
+    });
+  }
+  for (const payment of repayment?.payments || []) {
+    entries.push({
+      date: payment.paidAt,
+      type: "repayment",
+      description: `Repayment by ${payment.method}`,
+      amount: payment.amount,
+      reference: payment.reference,
+    });
+  }
+
+  const installments = repayment?.installments || [];
+  // nothing is owed for money that had not been sent yet
+  const disbursedByEnd = (application.disbursements || []).some(
+    (disbursement) => new Date(disbursement.disbursedAt) <= to,
+  );
+  const paidByEnd = sum(
+    (repayment?.payments || [])
+      .filter((payment) => new Date(payment.paidAt) <= to)
+      .map((payment) => payment.amount),
+  );
+  const periodEntries = entries
+    .filter((entry) => inRange(entry.date, from, to))
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  const totalOf = (type) =>
+    sum(
+      periodEntries
+        .filter((entry) => entry.type === type)
+        .map((entry) => entry.amount),
+    );
+
+  return {
+    applicationId: application._id,
+    borrower: {
+      name: `${application.firstName || ""} ${application.lastName || ""}`.trim(),
+      email: application.userEmail,
+    },
+    loanTitle: application.loanTitle,
+    status: application.status,
+    period: { from, to },
+    entries: periodEntries,
+    summary: {
+      principal: repayment?.principal ?? null,
+      totalPayable: repayment?.totalPayable ?? null,
+      disbursed: totalOf("disbursement"),
+      repaid: totalOf("repayment"),
+      applicationFee: totalOf("application_fee"),
+      feeRefunded: totalOf("fee_refund"),
+      accruedInterest: sum(
+        installments
+          .filter((installment) => inRange(installment.dueDate, from, to))
+          .map((installment) => installment.interest),
+      ),
+      outstanding:
+        repayment && disbursedByEnd
+          ? round2(Math.max(repayment.totalPayable - paidByEnd, 0))
+          : 0,
+    },
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = { buildStatement };
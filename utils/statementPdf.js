@@ -0,0 +1,63 @@
+const PDFDocument = require("pdfkit");
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const LABELS = {
+  principal: "Principal",
+  totalPayable: "Total payable",
+  disbursed: "Disbursed in period",
+  repaid: "Repaid in period",
+  applicationFee: "Application fee paid",
+  feeRefunded: "Application fee refunded",
+  accruedInterest: "Interest due in period",
+  outstanding: "Outstanding at period end",
+};
+
+// Streams a statement from buildStatement() as an A4 PDF into `out`
+const writeStatementPdf = (statement, out) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+  doc.pipe(out);
+
+  doc.fontSize(18).text("LoanLink account statement");
+  doc.moveDown(0.5).fontSize(10);
+  doc.text(`${statement.borrower.name} <${statement.borrower.email}>`);
+  doc.text(`${statement.loanTitle} (application ${statement.applicationId})`);
+  doc.text(
+    `Period: ${statement.period.from ? formatDate(statement.period.from) : "start"} to ${formatDate(statement.period.to)}`,
+  );
+  doc.text(`Generated: ${formatDate(statement.generatedAt)}`);
+
+  doc.moveDown().fontSize(12).text("Transactions");
+  doc.moveDown(0.3).fontSize(9);
+  if (!statement.entries.length) {
+    doc.text("No transactions in this period.");
+  }
+  for (const entry of statement.entries) {
+    const y = doc.y;
+    doc.text(formatDate(entry.date), 50, y, { width: 70 });
+    doc.text(entry.description, 120, y, { width: 200 });
+    doc.text(entry.reference || "", 320, y, { width: 130 });
+    doc.text(
+      `${formatAmount(entry.amount)}${entry.currency ? ` ${entry.currency.toUpperCase()}` : ""}`,
+      450,
+      y,
+      { width: 95, align: "right" },
+    );
+    doc.moveDown(0.2);
+  }
+
+  doc.moveDown().fontSize(12).text("Summary", 50);
+  doc.moveDown(0.3).fontSize(9);
+  for (const [key, label] of Object.entries(LABELS)) {
+    const value = statement.summary[key];
+    if (value === null || value === undefined) continue;
+    const y = doc.y;
+    doc.text(label, 50, y, { width: 300 });
+    doc.text(formatAmount(value), 450, y, { width: 95, align: "right" });
+  }
+
+  doc.end();
+};
+
+module.exports = { writeStatementPdf };
@@ -0,0 +1,176 @@
+const { ObjectId } = require("mongodb");
+const { redeemCoupon } = require("./coupons");
+const { UNPAID } = require("./fees");
+const { logger } = require("./logger");
+
+// Marks the application fee as paid from a completed checkout session.
+// The application is always taken from the session metadata, never the client.
+// Only an unpaid fee is marked: a fee waived, refunded or not required while
+// the session was open keeps its status and payment info, and the stray
+// payment is logged for an admin to refund.
+const markFeePaid = async (applicationsCollection, session) => {
+  const applicationId = session?.metadata?.loanId;
+  if (session.payment_status !== "paid" || !ObjectId.isValid(applicationId)) {
+    return { matchedCount: 0, modifiedCount: 0 };
+  }
+  const _id = new ObjectId(applicationId);
+  const result = await applicationsCollection.updateOne(
+    { _id, ...UNPAID },
+    {
+      $set: {
+        applicationFeeStatus: "paid",
+        paymentInfo: {
+          email: session.customer_details?.email || session.metadata.email,
+          transactionId: session.payment_intent,
+          sessionId: session.id,
+          amount: session.amount_total,
+          currency: session.currency,
+          couponCode: session.metadata.couponCode || null,
+          paidAt: new Date(),
+        },
+      },
+    },
+  );
+  if (result.matchedCount === 0) {
+    const application = await applicationsCollection.findOne({ _id });
+    // a repeated delivery of the session that paid the fee is not a mismatch
+    if (
+      application &&
+      application.paymentInfo?.transactionId !== session.payment_intent
+    ) {
+      logger.warn("Checkout paid for a fee that is no longer unpaid", {
+        applicationId,
+        applicationFeeStatus: application.applicationFeeStatus,
+        sessionId: session.id,
+        paymentIntent: session.payment_intent,
+      });
+    }
+  }
+  return result;
+};
+
+// Runs once per paid fee, after markFeePaid changed the application: counts
+// the coupon use and tells the borrower
+const onFeePaid = async (
+  { applicationsCollection, couponsCollection, notify },
+  session,
+) => {
+  if (session.metadata.couponCode) {
+    await redeemCoupon(couponsCollection, session.metadata.couponCode);
+  }
+  const application = await applicationsCollection.findOne({
+    _id: new ObjectId(session.metadata.loanId),
+  });
+  await notify("fee.paid", application.userEmail, {
+    applicationId: application._id.toString(),
+    loanTitle: application.loanTitle,
+    amount: session.amount_total,
+    currency: session.currency,
+  });
+};
+
+// An older session expiring leaves a newer open one alone, and a fee that
+// was waived, refunded or not required meanwhile stays that way
+const markCheckoutExpired = (applicationsCollection, session) => {
+  const applicationId = session?.metadata?.loanId;
+  if (!ObjectId.isValid(applicationId)) {
+    return { matchedCount: 0, modifiedCount: 0 };
+  }
+  return applicationsCollection.updateOne(
+    {
+      _id: new ObjectId(applicationId),
+      ...UNPAID,
+      $or: [
+        { "checkoutSession.id": session.id },
+        { "checkoutSession.status": { $ne: "open" } },
+      ],
+    },
+    {
+      $set: {
+        applicationFeeStatus: "unpaid",
+        checkoutSession: {
+          id: session.id,
+          status: "expired",
+          expiredAt: new Date(),
+        },
+      },
+    },
+  );
+};
+
+const markFeeRefunded = (applicationsCollection, charge) => {
+  if (!charge.payment_intent) return { matchedCount: 0, modifiedCount: 0 };
+  return applicationsCollection.updateOne(
+    { "paymentInfo.transactionId": charge.payment_intent },
+    {
+      $set: {
+        applicationFeeStatus: charge.refunded
+          ? "refunded"
+          : "partially_refunded",
+        "paymentInfo.refundedAmount": charge.amount_refunded,
+        "paymentInfo.refundedAt": new Date(),
+      },
+    },
+  );
+};
+
+// Keeps the status of refunds issued from the admin routes current
+// (pending refunds settle later, some fail)
+const markRefundUpdated = (applicationsCollection, refund) =>
+  applicationsCollection.updateOne(
+    { feeRefunds: { $elemMatch: { refundId: refund.id } } },
+    {
+      $set: {
+        "feeRefunds.$.status": refund.status,
+        "feeRefunds.$.failureReason": refund.failure_reason || null,
+        "feeRefunds.$.updatedAt": new Date(),
+      },
+    },
+  );
+
+const handlers = {
+  "checkout.session.completed": markFeePaid,
+  "checkout.session.expired": markCheckoutExpired,
+  "charge.refunded": markFeeRefunded,
+  "charge.refund.updated": markRefundUpdated,
+};
+
+// Applies a verified Stripe event once. Every handler is a conditional update,
+// so a retried delivery that slips past the event log still changes nothing.
+// `onApplied(event)` runs only when the event actually changed an application.
+const handleStripeEvent = async (
+  event,
+  { applicationsCollection, eventsCollection, onApplied },
+) => {
+  const handler = handlers[event.type];
+  if (!handler) return { handled: false };
+
+  const seen = await eventsCollection.findOne({ _id: event.id });
+  if (seen) return { handled: true, duplicate: true };
+
+  const result = await handler(applicationsCollection, event.data.object);
+  if (result.modifiedCount > 0 && onApplied) {
+    await onApplied(event);
+  }
+  try {
+    await eventsCollection.insertOne({
+      _id: event.id,
+      type: event.type,
+      matched: result.matchedCount > 0,
+      processedAt: new Date(),
+    });
+  } catch (err) {
+    // a concurrent delivery of the same event already logged it
+    if (err.code !== 11000) throw err;
+  }
+  return { handled: true, duplicate: false };
+};
+
+module.exports = {
+  markFeePaid,
+  onFeePaid,
+  markCheckoutExpired,
+  markFeeRefunded,
+  markRefundUpdated,
+  handleStripeEvent,
+};
@@ -0,0 +1,206 @@
+// Small schema layer for request bodies. A schema maps each allowed field to
+// its rules; anything not in the schema is dropped from the validated value.
+const { ObjectId } = require("mongodb");
+const { SUPPORTED_CURRENCIES } = require("./fees");
+const { INTEREST_METHODS } = require("./amortization");
+
+const loanSchema = {
+  loanTitle: { type: "string", required: true, maxLength: 150 },
+  description: { type: "string", required: true },
+  category: { type: "string", required: true },
+  interestRate: { type: "number", required: true, min: 0, max: 100 },
+  interestMethod: { type: "string", oneOf: INTEREST_METHODS },
+  maxLimit: { type: "number", required: true, min: 1 },
+  emiPlans: { type: "array", of: "string", required: true, minItems: 1 },
+  requiredDocuments: { type: "array", of: "string" },
+  loanImage: { type: "string" },
+  showOnHome: { type: "boolean" },
+  // application fee in major units of `currency`, 0 for no fee; products
+  // without one charge DEFAULT_FEE (utils/fees)
+  applicationFee: { type: "number", min: 0, max: 10000 },
+  currency: { type: "string", oneOf: SUPPORTED_CURRENCIES },
+};
+
+const applicationSchema = {
+  loanId: { type: "objectId", required: true },
+  loanAmount: { type: "number", required: true, min: 1 },
+  emiPlan: { type: "string", required: true },
+  firstName: { type: "string", required: true, maxLength: 80 },
+  lastName: { type: "string", required: true, maxLength: 80 },
+  contactNumber: { type: "string", required: true, maxLength: 30 },
+  nationalId: { type: "string", maxLength: 50 },
+  incomeSource: { type: "string", maxLength: 100 },
+  monthlyIncome: { type: "number", required: true, min: 0 },
+  reason: { type: "string", maxLength: 1000 },
+  address: { type: "string", maxLength: 300 },
+  extraNotes: { type: "string", maxLength: 1000 },
+  documents: { type: "array", of: "string" },
+};
+
+// Query string of the public catalog, GET /all-loans
+const catalogQuerySchema = {
+  q: { type: "string", maxLength: 100 },
+  search: { type: "string", maxLength: 100 },
+  category: { type: "string", maxLength: 100 },
+  minRate: { type: "number", min: 0, max: 100 },
+  maxRate: { type: "number", min: 0, max: 100 },
+  minLimit: { type: "number", min: 0 },
+  maxLimit: { type: "number", min: 0 },
+  sort: {
+    type: "string",
+    oneOf: ["newest", "rate", "-rate", "limit", "-limit"],
+  },
+  limit: { type: "number", integer: true, min: 1, max: 50 },
+  page: { type: "number", integer: true, min: 1 },
+  cursor: { type: "string", maxLength: 500 },
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === "";
+
+// Form posts send numbers and booleans as strings, accept those too
+const coerce = (type, value) => {
+  if (type === "number" && typeof value === "string" && value.trim() !== "") {
+    return Number(value);
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  if (type === "string" && typeof value === "string") return value.trim();
+  return value;
+};
+
+const checkType = (type, value) => {
+  if (type === "number") return typeof value === "number" && isFinite(value);
+  if (type === "array") return Array.isArray(value);
+  if (type === "objectId") return ObjectId.isValid(value);
+  return typeof value === type;
+};
+
+const checkField = (rule, raw) => {
+  const value = coerce(rule.type, raw);
+  if (!checkType(rule.type, value)) {
+    return { error: `must be a valid ${rule.type}` };
+  }
+  if (rule.type === "string" && rule.required && value === "") {
+    return { error: "is required" };
+  }
+  if (rule.maxLength && value.length > rule.maxLength) {
+    return { error: `must be at most ${rule.maxLength} characters` };
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return { error: `must be at least ${rule.min}` };
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return { error: `must be at most ${rule.max}` };
+  }
+  if (rule.oneOf && !rule.oneOf.includes(value)) {
+    return { error: `must be one of: ${rule.oneOf.join(", ")}` };
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return { error: "must be a whole number" };
+  }
+  if (rule.type === "array") {
+    if (rule.minItems && value.length < rule.minItems) {
+      return { error: `must have at least ${rule.minItems} item(s)` };
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return { error: `must have at most ${rule.maxItems} item(s)` };
+    }
+    if (rule.of && !value.every((item) => checkType(rule.of, item))) {
+      return { error: `must only contain ${rule.of} values` };
+    }
+  }
+  return { value };
+};
+
+// `partial` validates only the fields that were sent (PATCH semantics)
+const validate = (schema, data = {}, { partial = false } = {}) => {
+  const value = {};
+  const errors = {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const raw = data?.[field];
+    if (isEmpty(raw)) {
+      if (rule.required && !partial) errors[field] = "is required";
+      continue;
+    }
+    const result = checkField(rule, raw);
+    if (result.error) errors[field] = result.error;
+    else value[field] = result.value;
+  }
+
+  return { value, errors, valid: Object.keys(errors).length === 0 };
+};
+
+// Checks an already validated application against the loan product it targets
+const validateApplicationAgainstLoan = (application, loan) => {
+  const errors = {};
+  if (!loan) {
+    errors.loanId = "does not match an existing loan";
+    return errors;
+  }
+  if (application.loanAmount > parseFloat(loan.maxLimit)) {
+    errors.loanAmount = `must not exceed the loan limit of ${loan.maxLimit}`;
+  }
+  if (!(loan.emiPlans || []).includes(application.emiPlan)) {
+    errors.emiPlan = `must be one of: ${(loan.emiPlans || []).join(", ")}`;
+  }
+  const provided = application.documents || [];
+  const missing = (loan.requiredDocuments || []).filter(
+    (doc) => !provided.includes(doc),
+  );
+  if (missing.length) {
+    errors.documents = `missing required documents: ${missing.join(", ")}`;
+  }
+  return errors;
+};
+
+const sendValidationError = (res, errors) =>
+  res.status(422).send({ message: "Validation failed", errors });
+
+// Parses a ?from&to date range. `to` defaults to now and covers the whole
+// day when given as a plain date.
+const parseDateRange = ({ from, to } = {}) => {
+  const errors = {};
+  const range = { from: null, to: new Date() };
+  if (from) {
+    range.from = new Date(from);
+    if (isNaN(range.from)) errors.from = "must be a valid date";
+  }
+  if (to) {
+    range.to = new Date(to);
+    if (isNaN(range.to)) errors.to = "must be a valid date";
+    else if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.to.setUTCHours(23, 59, 59, 999);
+    }
+  }
+  if (!Object.keys(errors).length && range.from && range.from > range.to) {
+    errors.from = "must be before to";
+  }
+  return { range, errors, valid: Object.keys(errors).length === 0 };
+};
+
+// Express middleware, replaces req.body with the validated value
+const validateBody =
+  (schema, options = {}) =>
+  (req, res, next) => {
+    const { value, errors, valid } = validate(schema, req.body, options);
+    if (!valid) return sendValidationError(res, errors);
+    if (options.partial && Object.keys(value).length === 0) {
+      return sendValidationError(res, { body: "no updatable fields sent" });
+    }
+    req.body = value;
+    next();
+  };
+
+module.exports = {
+  loanSchema,
+  applicationSchema,
+  catalogQuerySchema,
+  validate,
+  validateApplicationAgainstLoan,
+  validateBody,
+  sendValidationError,
+  parseDateRange,
+};